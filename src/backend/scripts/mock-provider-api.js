@@ -0,0 +1,67 @@
+// Minimal stand-in for the Gitea/Forgejo and Bitbucket Server APIs, serving
+// the JSON under ../fixtures so those providers can be tried without a real
+// instance:
+//
+//   npm run -w backend mock:providers
+//   GITEA_BASE_URL=http://localhost:9090/gitea GITEA_TOKEN=x GITEA_ORGS=acme \
+//   BITBUCKET_BASE_URL=http://localhost:9090/bitbucket BITBUCKET_TOKEN=x BITBUCKET_PROJECTS=PRJ \
+//   npm run -w backend dev
+//
+// GET /<provider>/<api path> answers with fixtures/<provider>/<api path>.json.
+// Lists are paginated the way each API does it (Gitea: page/limit + Link,
+// Bitbucket: start/limit + nextPageStart); MOCK_PAGE_SIZE forces small pages.
+// Responses carry an ETag and honour If-None-Match.
+import http from "http";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const FIXTURES = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+const PORT = Number(process.env.MOCK_PORT || 9090);
+const PAGE_SIZE = Number(process.env.MOCK_PAGE_SIZE || 0);
+
+function paginate(data, url) {
+  const q = url.searchParams;
+  // Bitbucket: { values, isLastPage, nextPageStart }
+  if (data && Array.isArray(data.values)) {
+    const limit = PAGE_SIZE || Number(q.get("limit") || 25);
+    const start = Number(q.get("start") || 0);
+    const values = data.values.slice(start, start + limit);
+    const isLastPage = start + limit >= data.values.length;
+    return { body: { ...data, size: values.length, limit, start, values, isLastPage, nextPageStart: isLastPage ? null : start + limit }, headers: {} };
+  }
+  // Gitea: plain array, page/limit, Link rel="next"
+  if (Array.isArray(data)) {
+    const limit = PAGE_SIZE || Number(q.get("limit") || 50);
+    const page = Math.max(1, Number(q.get("page") || 1));
+    const body = data.slice((page - 1) * limit, page * limit);
+    const headers = { "X-Total-Count": String(data.length) };
+    if (page * limit < data.length) {
+      const next = new URL(url);
+      next.searchParams.set("page", String(page + 1));
+      headers.Link = `<${next}>; rel="next"`;
+    }
+    return { body, headers };
+  }
+  return { body: data, headers: {} };
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || `localhost:${PORT}`}`);
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  };
+  console.log(req.method, url.pathname + url.search);
+  if (req.method !== "GET") return send(405, { message: "fixtures are read-only" });
+  if (!req.headers.authorization) return send(401, { message: "token required" });
+  const file = path.join(FIXTURES, `${decodeURIComponent(url.pathname)}.json`);
+  if (!file.startsWith(FIXTURES + path.sep) || !fs.existsSync(file)) return send(404, { message: "no fixture", path: url.pathname });
+  const { body, headers } = paginate(JSON.parse(fs.readFileSync(file, "utf-8")), url);
+  const etag = `"${crypto.createHash("sha1").update(JSON.stringify(body)).digest("hex")}"`;
+  if (req.headers["if-none-match"] === etag) return send(304, undefined, { ETag: etag });
+  send(200, body, { ...headers, ETag: etag });
+});
+
+server.listen(PORT, () => console.log(`mock provider API on http://localhost:${PORT} (fixtures: ${FIXTURES})`));
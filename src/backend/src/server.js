@@ -11,12 +11,17 @@ import { fileURLToPath } from "url";
 import axios from "axios";
 import { v4 as uuidv4 } from "uuid";
 import simpleGit from "simple-git";
-import { spawnSync } from "child_process";
+import { spawn, spawnSync } from "child_process";
+import crypto from "crypto";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+// Behind a reverse proxy/ingress, req.ip is the proxy unless it is trusted:
+// TRUST_PROXY=1 (hops), true, or addresses/subnets such as "loopback, 10.0.0.0/8"
+const TRUST_PROXY = String(process.env.TRUST_PROXY || "").trim();
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : ["true", "false"].includes(TRUST_PROXY) ? TRUST_PROXY === "true" : TRUST_PROXY);
 app.use(cors());
 app.use(bodyParser.json({ limit: "10mb" }));
 
@@ -38,11 +43,6 @@ function formatErr(err) {
   return redact([status, code, msg, body].filter(Boolean).join(" "));
 }
 
-// Config endpoint
-app.get("/api/config", (req, res) => {
-  res.json({ claude: true, cliPatch: Boolean(process.env.CLAUDE_PATCH_CMD), debug: DEBUG });
-});
-
 // ---- Configuration ----
 const PORT = process.env.PORT || 8080;
 const DATA_DIR = process.env.DATA_DIR || "/data/repos";
@@ -51,17 +51,18 @@ if (!fs.existsSync(TMP_ROOT)) fs.mkdirSync(TMP_ROOT, { recursive: true });
 
 // Claude credentials path (default: ~/.claude/.credentials.json)
 const CLAUDE_CREDENTIALS_PATH = process.env.CLAUDE_CREDENTIALS_PATH || path.join(os.homedir(), ".claude", ".credentials.json");
-const CLAUDE_CMD = "claude";
+const CLAUDE_CMD = process.env.CLAUDE_CMD || "claude";
 
-const GH_TOKEN = process.env.GH_TOKEN || "";
+// Used for the default commit identity; provider settings are read per
+// instance in the "Provider backends" section
 const GH_USER = process.env.GH_USER || "";
-const GH_ORGS = (process.env.GH_ORGS || "").split(",").map(s => s.trim()).filter(Boolean);
-const GL_TOKEN = process.env.GL_TOKEN || "";
-const GL_BASE_URL = (process.env.GL_BASE_URL || "https://gitlab.com").replace(/\/$/, "");
-const GL_GROUPS = (process.env.GL_GROUPS || "").split(",").map(s => s.trim()).filter(Boolean);
 
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
+// Small JSON documents the server keeps between restarts (per-repo settings, ...)
+const STATE_DIR = path.join(DATA_DIR, "_state");
+if (!fs.existsSync(STATE_DIR)) fs.mkdirSync(STATE_DIR, { recursive: true });
+
 // ---- Claude Credentials Helper ----
 function getClaudeCredentials() {
   try {
@@ -75,14 +76,89 @@ function getClaudeCredentials() {
   return null;
 }
 
+// Environment for running the Claude CLI (terminals, commit messages)
+function claudeEnv(extra = {}) {
+  const env = { ...process.env };
+  // If Claude credentials path is explicitly set, pass it along
+  if (CLAUDE_CREDENTIALS_PATH && CLAUDE_CREDENTIALS_PATH !== path.join(os.homedir(), ".claude", ".credentials.json")) {
+    env.CLAUDE_CONFIG_DIR = path.dirname(CLAUDE_CREDENTIALS_PATH);
+  }
+  return Object.assign(env, extra);
+}
+
 // ---- Utilities ----
 function safeJoin(base, p) {
-  const full = path.resolve(base, p);
-  if (!full.startsWith(path.resolve(base))) throw new Error("Path traversal not allowed");
+  const root = path.resolve(base);
+  const full = path.resolve(root, p);
+  if (full !== root && !full.startsWith(root + path.sep)) throw Object.assign(new Error("Path traversal not allowed"), { status: 400 });
   return full;
 }
 
+function readState(name, fallback) {
+  try {
+    const fp = path.join(STATE_DIR, `${name}.json`);
+    if (fs.existsSync(fp)) return JSON.parse(fs.readFileSync(fp, "utf-8"));
+  } catch (e) {
+    console.error(`state: failed to read ${name}:`, e.message);
+  }
+  return fallback;
+}
+
+function writeState(name, data) {
+  // Write to a temp file first so a crash never leaves half a document behind
+  const fp = path.join(STATE_DIR, `${name}.json`);
+  const tmp = `${fp}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, fp);
+}
+
+// Per-repo settings, keyed by the repo path relative to DATA_DIR
+function repoSettingsKey(repoPath) {
+  return path.relative(DATA_DIR, path.resolve(repoPath));
+}
+function getRepoSettings(repoPath) {
+  return readState("repo-settings", {})[repoSettingsKey(repoPath)] || {};
+}
+function updateRepoSettings(repoPath, patch) {
+  const all = readState("repo-settings", {});
+  const key = repoSettingsKey(repoPath);
+  const next = { ...(all[key] || {}), ...patch };
+  for (const k of Object.keys(next)) if (next[k] === null || next[k] === undefined) delete next[k];
+  all[key] = next;
+  writeState("repo-settings", all);
+  return next;
+}
+
+// Quote one argument for `sh -c`
+function shellQuote(arg) {
+  const s = String(arg);
+  return /^[\w@%+=:,./-]+$/.test(s) ? s : `'${s.replaceAll("'", "'\\''")}'`;
+}
+
+// git in repoPath without blocking, for commands that can take a while (big
+// trees, merges, hooks) and would otherwise hold up terminals and requests.
+// simple-git is not used here because it refuses an environment that carries
+// GIT_EDITOR and friends. Resolves with the trimmed output; a failure carries
+// stderr and stdout (merge conflicts are reported on stdout). `input` is
+// written to stdin; `okCodes` are the exit codes that count as success.
+function gitRun(repoPath, args, env = process.env, { input, okCodes = [0] } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn("git", args, { cwd: repoPath, env });
+    let out = "";
+    let err = "";
+    proc.stdout.setEncoding("utf-8").on("data", d => { out += d; });
+    proc.stderr.setEncoding("utf-8").on("data", d => { err += d; });
+    proc.on("error", reject);
+    proc.on("close", code => okCodes.includes(code) ? resolve(out.trim()) : reject(new Error(`${err}${out}`.trim() || `git ${args[0]} failed`)));
+    proc.stdin.on("error", () => {});
+    proc.stdin.end(input);
+  });
+}
+
 function repoStoragePath(provider, owner, name) {
+  if (![provider, owner, name].every(x => REPO_ID_SEGMENT.test(String(x || "")))) {
+    throw Object.assign(new Error(`Invalid repository name: ${provider}/${owner}/${name}`), { status: 400 });
+  }
   const p = path.join(DATA_DIR, provider, owner, name);
   fs.mkdirSync(p, { recursive: true });
   return p;
@@ -102,18 +178,12 @@ async function ensureClone(provider, owner, name, cloneUrl) {
   return repoPath;
 }
 
+// Add the owning provider's credentials to an https remote
 function injectTokenIntoUrl(url) {
   try {
     const u = new URL(url);
-    if (u.hostname.includes("github.com") && GH_TOKEN) {
-      // For GitHub, use PAT as password; username can be the real username or 'x-access-token'
-      u.username = GH_USER || "x-access-token";
-      u.password = GH_TOKEN;
-    } else if (u.hostname.includes("gitlab") && GL_TOKEN) {
-      // GitLab: use oauth2:<token>@
-      u.username = "oauth2";
-      u.password = GL_TOKEN;
-    }
+    const backend = /^https?:$/.test(u.protocol) ? backendForUrl(url) : null;
+    if (backend) backend.cloneAuth(u);
     return u.toString();
   } catch (e) {
     return url;
@@ -121,446 +191,3416 @@ function injectTokenIntoUrl(url) {
 }
 
 function redact(str) {
-  return String(str || "").replaceAll(GH_TOKEN, "***").replaceAll(GL_TOKEN, "***");
+  let out = String(str || "");
+  // An unset token is "", and replaceAll("") would insert *** between every character
+  for (const t of PROVIDER_BACKENDS.flatMap(b => b.tokens())) if (t) out = out.replaceAll(t, "***");
+  return out;
 }
 
-// ---- Providers: fetch repos ----
-app.get("/api/providers", async (req, res) => {
-  const out = { github: {}, gitlab: {}, _errors: [] };
-  try {
-    // GitHub repos: user + orgs
-    if (GH_TOKEN) {
-      const ghHeaders = { Authorization: `Bearer ${GH_TOKEN}`, Accept: "application/vnd.github+json" };
-      try {
-        dlog("GitHub: fetching /user");
-        const identityResp = await axios.get("https://api.github.com/user", { headers: ghHeaders });
-        const identity = identityResp.data.login;
-        const ghUser = (GH_USER || identity).trim();
-        dlog("GitHub identity:", identity, "target user:", ghUser);
+// ---- Authentication ----
+// Local users (scrypt-hashed passwords) and optional OIDC login. Either way the
+// browser ends up with an opaque session cookie; every /api route and the
+// terminal WebSocket require it unless AUTH_DISABLED is set.
+const AUTH_DISABLED = ["1", "true", "yes", "on"].includes(String(process.env.AUTH_DISABLED || "").toLowerCase());
+const AUTH_COOKIE = "wc_session";
+const AUTH_SESSION_TTL_MS = Number(process.env.AUTH_SESSION_TTL_HOURS || 168) * 3600_000;
+const AUTH_COOKIE_SECURE = ["1", "true", "yes", "on"].includes(String(process.env.AUTH_COOKIE_SECURE || "").toLowerCase());
+const AUTH_ROLES = ["admin", "user"];
+// Failed logins per user name and client address before it is told to wait
+const AUTH_MAX_FAILURES = 10;
+const AUTH_FAILURE_WINDOW_MS = 15 * 60_000;
 
-        let url;
-        if (ghUser.toLowerCase() === String(identity).toLowerCase()) {
-          // Owned repos for the authenticated user (includes private)
-          url = "https://api.github.com/user/repos?per_page=100&type=owner";
-        } else {
-          // Owned repos for another user (public only)
-          url = `https://api.github.com/users/${encodeURIComponent(ghUser)}/repos?per_page=100&type=owner`;
-        }
-        dlog("GET", url);
-        const userRepos = (await axios.get(url, { headers: ghHeaders })).data;
-        const onlyOwned = (userRepos || []).filter(r => String(r?.owner?.login || "").toLowerCase() === ghUser.toLowerCase());
-        out.github[ghUser] = onlyOwned.map(r => ({ name: r.name, full_name: r.full_name, default_branch: r.default_branch, clone_url: r.clone_url, ssh_url: r.ssh_url, html_url: r.html_url, private: r.private }));
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || "").replace(/\/$/, "");
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || "";
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "";
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || "";
+const OIDC_SCOPES = process.env.OIDC_SCOPES || "openid profile email";
+const OIDC_LABEL = process.env.OIDC_LABEL || "Single sign-on";
+const OIDC_USERNAME_CLAIM = process.env.OIDC_USERNAME_CLAIM || "preferred_username";
+const OIDC_ALLOWED_USERS = (process.env.OIDC_ALLOWED_USERS || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+const OIDC_ADMIN_USERS = (process.env.OIDC_ADMIN_USERS || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+const OIDC_ENABLED = Boolean(OIDC_ISSUER && OIDC_CLIENT_ID);
 
-        for (const org of GH_ORGS) {
-          try {
-            const orgUrl = `https://api.github.com/orgs/${org}/repos?per_page=100`;
-            dlog("GET", orgUrl);
-            const orgRepos = (await axios.get(orgUrl, { headers: ghHeaders })).data;
-            out.github[org] = orgRepos.map(r => ({ name: r.name, full_name: r.full_name, default_branch: r.default_branch, clone_url: r.clone_url, ssh_url: r.ssh_url, html_url: r.html_url, private: r.private }));
-          } catch (e) {
-            console.error("providers: GitHub org repos failed:", formatErr(e));
-            out._errors.push({ provider: "github", scope: "org", org, error: formatErr(e) });
-          }
-        }
-      } catch (e) {
-        console.error("providers: GitHub user fetch failed:", formatErr(e));
-        out._errors.push({ provider: "github", scope: "user", error: formatErr(e) });
-      }
-    } else {
-      dlog("GitHub disabled: GH_TOKEN not set");
-    }
+const scryptAsync = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+});
 
-    // GitLab repos: groups
-    if (GL_TOKEN && GL_GROUPS.length) {
-      const glHeaders = { "Private-Token": GL_TOKEN };
-      for (const grp of GL_GROUPS) {
-        try {
-          const encoded = encodeURIComponent(grp);
-          const url = `${GL_BASE_URL}/api/v4/groups/${encoded}/projects?per_page=100`;
-          dlog("GET", url);
-          const projects = (await axios.get(url, { headers: glHeaders })).data;
-          // Filter out repositories scheduled for deletion
-          const keep = (projects || []).filter(p => {
-            // GitLab may expose one of these when scheduled for deletion
-            const markedAt = p.marked_for_deletion_at || p.marked_for_deletion_on;
-            const pending = p.pending_delete || p.pending_deletion || p.marked_for_deletion;
-            return !(markedAt || pending);
-          });
-          out.gitlab[grp] = keep.map(p => ({ id: p.id, name: p.path, full_name: p.path_with_namespace, default_branch: p.default_branch, clone_url: p.http_url_to_repo, ssh_url: p.ssh_url_to_repo, web_url: p.web_url, private: !p.public }));
-        } catch (e) {
-          console.error("providers: GitLab group projects failed:", formatErr(e));
-          out._errors.push({ provider: "gitlab", scope: "group", group: grp, error: formatErr(e) });
-        }
-      }
-    } else {
-      if (!GL_TOKEN) dlog("GitLab disabled: GL_TOKEN not set");
-      else if (!GL_GROUPS.length) dlog("GitLab disabled: GL_GROUPS not set");
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(password), salt);
+  return `scrypt$${salt.toString("base64")}$${key.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scryptAsync(String(password), Buffer.from(salt, "base64"));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+function loadUsers() { return readState("users", {}); }
+function saveUsers(users) { writeState("users", users); }
+
+// Sessions are kept by the SHA-256 of the cookie value, so the state file
+// never holds anything a browser could present.
+const sidHash = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const authSessions = new Map(Object.entries(readState("auth-sessions", {})));
+function saveAuthSessions() {
+  const now = Date.now();
+  for (const [sid, sess] of authSessions) if (sess.expiresAt <= now) authSessions.delete(sid);
+  writeState("auth-sessions", Object.fromEntries(authSessions));
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (!k) continue;
+    try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch { out[k] = part.slice(i + 1).trim(); }
+  }
+  return out;
+}
+
+function isHttps(req) {
+  return req.secure || String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+}
+
+// The signed-in user for an HTTP request or WebSocket upgrade, or null
+function authUser(req) {
+  const token = parseCookies(req.headers.cookie)[AUTH_COOKIE];
+  if (!token) return null;
+  const sid = sidHash(token);
+  const sess = authSessions.get(sid);
+  if (!sess) return null;
+  if (sess.expiresAt <= Date.now()) {
+    authSessions.delete(sid);
+    return null;
+  }
+  return { username: sess.username, role: sess.role, via: sess.via, sid };
+}
+
+function startAuthSession(req, res, { username, role, via }) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  authSessions.set(sidHash(token), { username, role, via, createdAt: new Date(now).toISOString(), expiresAt: now + AUTH_SESSION_TTL_MS });
+  saveAuthSessions();
+  res.cookie(AUTH_COOKIE, token, {
+    httpOnly: true, sameSite: "lax", path: "/", maxAge: AUTH_SESSION_TTL_MS, secure: AUTH_COOKIE_SECURE || isHttps(req)
+  });
+}
+
+// Drop sessions (all of a user's when no sid is given) and their open terminals
+function endAuthSessions({ sid, username }) {
+  for (const [k, sess] of authSessions) {
+    if (k === sid || (username && sess.username === username)) authSessions.delete(k);
+  }
+  saveAuthSessions();
+  // The WebSocket server is created further down; it is always there by the
+  // time a request can reach this.
+  for (const ws of wss.clients) {
+    if ((sid && ws.authSid === sid) || (username && ws.authUser === username)) {
+      try { ws.close(4401, "signed out"); } catch {}
     }
+  }
+}
 
-    res.json(out);
-  } catch (err) {
-    console.error("providers fatal error:", formatErr(err));
-    res.status(500).json({ error: "Failed to fetch providers", details: formatErr(err) });
+// Seed local users from AUTH_USERS ("name:password,..."; a password may be a
+// stored "scrypt$..." hash). Existing users are left alone.
+async function bootstrapUsers() {
+  if (AUTH_DISABLED) return;
+  const users = loadUsers();
+  let changed = false;
+  for (const entry of (process.env.AUTH_USERS || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const i = entry.indexOf(":");
+    const username = i > 0 ? entry.slice(0, i).trim() : "";
+    const secret = i > 0 ? entry.slice(i + 1) : "";
+    if (!username || !secret) { console.error(`auth: ignoring malformed AUTH_USERS entry for "${username || entry}"`); continue; }
+    if (users[username]) continue;
+    users[username] = { password: secret.startsWith("scrypt$") ? secret : await hashPassword(secret), role: "admin", createdAt: new Date().toISOString() };
+    changed = true;
   }
+  // Nothing configured at all: create an admin so the UI is never left open
+  if (!Object.keys(users).length && !OIDC_ENABLED) {
+    const password = crypto.randomBytes(12).toString("base64url");
+    users.admin = { password: await hashPassword(password), role: "admin", createdAt: new Date().toISOString() };
+    changed = true;
+    console.log(`auth: created user "admin" with password ${password} — sign in and change it under Account`);
+  }
+  if (changed) saveUsers(users);
+}
+const authReady = bootstrapUsers().catch(e => console.error("auth: failed to set up users:", e.message));
+
+const AUTH_PUBLIC_PATHS = new Set(["/auth/me", "/auth/login", "/auth/logout", "/auth/oidc/login", "/auth/oidc/callback"]);
+
+app.use("/api", (req, res, next) => {
+  if (AUTH_DISABLED || AUTH_PUBLIC_PATHS.has(req.path)) return next();
+  const user = authUser(req);
+  if (!user) return res.status(401).json({ error: "Authentication required" });
+  req.user = user;
+  next();
 });
 
-// ---- Git operations ----
-app.post("/api/git/clone", async (req, res) => {
+function requireAdmin(req, res, next) {
+  if (AUTH_DISABLED || req.user?.role === "admin") return next();
+  res.status(403).json({ error: "Administrator role required" });
+}
+
+app.get("/api/auth/me", (req, res) => {
+  const user = AUTH_DISABLED ? null : authUser(req);
+  res.json({
+    enabled: !AUTH_DISABLED,
+    user: user ? { username: user.username, role: user.role, via: user.via } : null,
+    oidc: { enabled: OIDC_ENABLED && !AUTH_DISABLED, label: OIDC_LABEL }
+  });
+});
+
+// "<ip> <username>" -> failure times. Keyed by both, so someone guessing one
+// account neither locks out other users behind the same address nor the
+// account's owner elsewhere.
+const loginFailures = new Map();
+app.post("/api/auth/login", async (req, res) => {
+  if (AUTH_DISABLED) return res.status(400).json({ error: "Authentication is disabled" });
+  await authReady;
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: "username and password required" });
+  const ip = req.ip || req.socket?.remoteAddress || "";
+  const key = `${ip} ${String(username).toLowerCase()}`;
+  const now = Date.now();
+  const recent = (loginFailures.get(key) || []).filter(t => now - t < AUTH_FAILURE_WINDOW_MS);
+  if (recent.length >= AUTH_MAX_FAILURES) {
+    return res.status(429).json({ error: "Too many failed sign-in attempts; try again later" });
+  }
   try {
-    const { provider, owner, name, clone_url } = req.body;
-    dlog("clone request:", { provider, owner, name, clone_url: redact(clone_url) });
-    // Safety: block GitLab projects scheduled for deletion
-    if (String(provider).toLowerCase() === 'gitlab' && GL_TOKEN && clone_url) {
-      try {
-        const u = new URL(clone_url);
-        const hostMatches = u.origin.replace(/\/$/, '') === GL_BASE_URL;
-        if (hostMatches) {
-          let p = u.pathname.replace(/^\//, '');
-          if (p.endsWith('.git')) p = p.slice(0, -4);
-          const projId = encodeURIComponent(p);
-          const checkUrl = `${GL_BASE_URL}/api/v4/projects/${projId}`;
-          dlog('GET', checkUrl, '(pre-clone check)');
-          const r = await axios.get(checkUrl, { headers: { 'Private-Token': GL_TOKEN } });
-          const pr = r.data || {};
-          const markedAt = pr.marked_for_deletion_at || pr.marked_for_deletion_on;
-          const pending = pr.pending_delete || pr.pending_deletion || pr.marked_for_deletion;
-          if (markedAt || pending) {
-            return res.status(400).json({ error: 'GitLab project is scheduled for deletion; loading is disabled' });
-          }
-        }
-      } catch (e) {
-        // Do not block on check errors; continue to clone unless clearly flagged
-        dlog('gitlab pre-clone check skipped:', formatErr(e));
-      }
+    const u = loadUsers()[username];
+    // Hash anyway for unknown users so timing does not reveal which names exist
+    const ok = await verifyPassword(password, u?.password || "scrypt$AAAA$AAAA");
+    if (!u || !ok) {
+      recent.push(now);
+      loginFailures.set(key, recent);
+      // Forget keys whose failures have all expired
+      for (const [k, times] of loginFailures) if (now - times[times.length - 1] >= AUTH_FAILURE_WINDOW_MS) loginFailures.delete(k);
+      dlog("auth: failed login for", username, "from", ip);
+      return res.status(401).json({ error: "Invalid username or password" });
     }
-    const repoPath = await ensureClone(provider, owner, name, clone_url);
-    res.json({ ok: true, repoPath });
+    loginFailures.delete(key);
+    startAuthSession(req, res, { username, role: u.role || "user", via: "local" });
+    res.json({ ok: true, user: { username, role: u.role || "user", via: "local" } });
   } catch (err) {
-    console.error("clone error:", formatErr(err));
-    res.status(500).json({ error: formatErr(err) });
+    res.status(500).json({ error: err.message });
   }
 });
 
-app.post("/api/git/pull", async (req, res) => {
+app.post("/api/auth/logout", (req, res) => {
+  const user = AUTH_DISABLED ? null : authUser(req);
+  if (user) endAuthSessions({ sid: user.sid });
+  res.clearCookie(AUTH_COOKIE, { path: "/" });
+  res.json({ ok: true });
+});
+
+app.post("/api/auth/password", async (req, res) => {
+  const { current, password } = req.body || {};
+  if (!password || String(password).length < 8) return res.status(400).json({ error: "New password must be at least 8 characters" });
   try {
-    const { repoPath } = req.body;
-    const git = simpleGit(repoPath);
-    const before = await git.status();
-    await git.fetch();
-    const result = await git.pull();
-    const after = await git.status();
-    const upToDate = (after.behind || 0) === 0;
-    res.json({ ok: true, result, status: { before, after, upToDate } });
+    const users = loadUsers();
+    const u = users[req.user?.username];
+    if (!u || req.user.via !== "local") return res.status(400).json({ error: "Only local accounts have a password here" });
+    if (!(await verifyPassword(current || "", u.password))) return res.status(403).json({ error: "Current password is wrong" });
+    u.password = await hashPassword(password);
+    saveUsers(users);
+    // Sign out everywhere else
+    for (const [k, sess] of authSessions) if (sess.username === req.user.username && k !== req.user.sid) authSessions.delete(k);
+    saveAuthSessions();
+    res.json({ ok: true });
   } catch (err) {
-    if (DEBUG) console.error("pull error:", formatErr(err));
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/git/branches", async (req, res) => {
+app.get("/api/auth/users", requireAdmin, (req, res) => {
+  const users = loadUsers();
+  res.json({ users: Object.keys(users).sort().map(name => ({ username: name, role: users[name].role || "user", createdAt: users[name].createdAt })) });
+});
+
+// Create a user, or reset an existing user's password/role
+app.post("/api/auth/users", requireAdmin, async (req, res) => {
+  const { username, password, role = "user" } = req.body || {};
+  if (!username || !/^[\w.@-]{1,64}$/.test(username)) return res.status(400).json({ error: "username may contain letters, digits, . _ @ - (max 64)" });
+  if (!AUTH_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${AUTH_ROLES.join(", ")}` });
   try {
-    const repoPath = req.query.repoPath;
-    const git = simpleGit(repoPath);
-    // Fetch latest remote refs
-    try { await git.fetch(["--prune"]); } catch {}
-    // Get all branches (local + remote)
-    const branches = await git.branch(["-a"]);
-    // Filter and clean up remote branch names (remove "remotes/origin/" prefix)
-    const remoteBranches = branches.all
-      .filter(b => b.startsWith("remotes/origin/") && !b.includes("->"))
-      .map(b => b.replace("remotes/origin/", ""));
-    // Merge local and remote, dedupe
-    const allBranches = [...new Set([...branches.all.filter(b => !b.startsWith("remotes/")), ...remoteBranches])];
-    res.json({ ok: true, current: branches.current, all: allBranches });
+    const users = loadUsers();
+    const existing = users[username];
+    if (!existing && !password) return res.status(400).json({ error: "password required for a new user" });
+    if (password && String(password).length < 8) return res.status(400).json({ error: "Password must be at least 8 characters" });
+    users[username] = {
+      ...(existing || { createdAt: new Date().toISOString() }),
+      role,
+      ...(password ? { password: await hashPassword(password) } : {})
+    };
+    saveUsers(users);
+    // Existing sessions keep the role they were issued with; make changes stick now
+    if (existing) endAuthSessions({ username });
+    res.json({ ok: true, user: { username, role } });
   } catch (err) {
-    if (DEBUG) console.error("branches error:", formatErr(err));
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post("/api/git/checkout", async (req, res) => {
+app.delete("/api/auth/users/:username", requireAdmin, (req, res) => {
+  const { username } = req.params;
+  if (username === req.user?.username) return res.status(400).json({ error: "You cannot delete your own account" });
   try {
-    const { repoPath, branch } = req.body;
-    const git = simpleGit(repoPath);
-    await git.checkout(branch);
+    const users = loadUsers();
+    if (!users[username]) return res.status(404).json({ error: "User not found" });
+    delete users[username];
+    saveUsers(users);
+    endAuthSessions({ username });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post("/api/git/createBranch", async (req, res) => {
-  try {
-    const { repoPath, branchName, sourceBranch } = req.body;
-    if (!repoPath) return res.status(400).json({ error: "repoPath is required" });
-    if (!branchName) return res.status(400).json({ error: "branchName is required" });
-    const git = simpleGit(repoPath);
-    const source = sourceBranch || "main";
-    // Create new branch from source and checkout to it
-    await git.checkout(["-b", branchName, source]);
-    res.json({ ok: true, branch: branchName });
-  } catch (err) {
-    if (DEBUG) console.error("createBranch error:", formatErr(err));
-    res.status(500).json({ error: err.message });
+// ---- OIDC (authorization code flow with PKCE) ----
+let oidcDiscovery = null;
+let oidcJwks = null;
+// state -> { nonce, verifier, returnTo, redirectUri, at }; short-lived, in memory
+const oidcPending = new Map();
+const OIDC_PENDING_TTL_MS = 10 * 60_000;
+
+async function getOidcConfig() {
+  if (!oidcDiscovery) {
+    const r = await axios.get(`${OIDC_ISSUER}/.well-known/openid-configuration`, { timeout: 10_000 });
+    oidcDiscovery = r.data;
   }
-});
+  return oidcDiscovery;
+}
+
+async function getOidcKey(kid, refresh = false) {
+  if (!oidcJwks || refresh) {
+    const cfg = await getOidcConfig();
+    oidcJwks = (await axios.get(cfg.jwks_uri, { timeout: 10_000 })).data?.keys || [];
+  }
+  const jwk = oidcJwks.find(k => !kid || k.kid === kid);
+  if (jwk) return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  // The IdP may have rotated its keys since we fetched them
+  if (!refresh) return getOidcKey(kid, true);
+  throw new Error("ID token signed with an unknown key");
+}
+
+// Verify an ID token's signature and claims; returns its payload
+async function verifyIdToken(idToken, nonce) {
+  const [h, p, sig] = String(idToken || "").split(".");
+  if (!h || !p || !sig) throw new Error("Malformed ID token");
+  const header = JSON.parse(Buffer.from(h, "base64url").toString("utf-8"));
+  const claims = JSON.parse(Buffer.from(p, "base64url").toString("utf-8"));
+  const algs = { RS256: ["sha256"], RS384: ["sha384"], RS512: ["sha512"], ES256: ["sha256", "ieee-p1363"], ES384: ["sha384", "ieee-p1363"], PS256: ["sha256", "pss"] };
+  const alg = algs[header.alg];
+  if (!alg) throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+  const key = await getOidcKey(header.kid);
+  const verifyKey = alg[1] === "ieee-p1363" ? { key, dsaEncoding: "ieee-p1363" }
+    : (alg[1] === "pss" ? { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 } : key);
+  if (!crypto.verify(alg[0], Buffer.from(`${h}.${p}`), verifyKey, Buffer.from(sig, "base64url"))) {
+    throw new Error("ID token signature is invalid");
+  }
+  const cfg = await getOidcConfig();
+  const now = Math.floor(Date.now() / 1000);
+  const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== cfg.issuer) throw new Error("ID token issuer mismatch");
+  if (!aud.includes(OIDC_CLIENT_ID)) throw new Error("ID token audience mismatch");
+  if (!claims.exp || claims.exp + 60 < now) throw new Error("ID token expired");
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  return claims;
+}
+
+function oidcRedirectUri(req) {
+  if (OIDC_REDIRECT_URI) return OIDC_REDIRECT_URI;
+  const proto = isHttps(req) ? "https" : "http";
+  const host = String(req.headers["x-forwarded-host"] || req.headers.host || "").split(",")[0].trim();
+  return `${proto}://${host}/api/auth/oidc/callback`;
+}
+
+function authErrorPage(res, status, message) {
+  const esc = String(message).replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]));
+  res.status(status).type("html").send(`<!doctype html><meta charset="utf-8"><title>Sign-in failed</title><p>${esc}</p><p><a href="/">Back to sign in</a></p>`);
+}
 
-app.post("/api/git/commitPush", async (req, res) => {
+app.get("/api/auth/oidc/login", async (req, res) => {
+  if (!OIDC_ENABLED || AUTH_DISABLED) return res.status(404).json({ error: "OIDC login is not configured" });
   try {
-    const { repoPath, message } = req.body;
-    const git = simpleGit(repoPath);
-    await git.add("--all");
-    // Ensure author/committer identity is set locally for this repo
-    const name = process.env.GIT_AUTHOR_NAME || process.env.GIT_COMMITTER_NAME || GH_USER || "claude";
-    const email = process.env.GIT_AUTHOR_EMAIL || process.env.GIT_COMMITTER_EMAIL || (GH_USER ? `${GH_USER}@users.noreply.github.com` : "claude@example.invalid");
-    try {
-      await git.addConfig("user.name", name);
-      await git.addConfig("user.email", email);
-    } catch {}
-    const msg = message || `claude-${new Date().toISOString()}`;
-    const commit = await git.commit(msg);
-    // Push with token in remote URL if needed
-    const remotes = await git.getRemotes(true);
-    let origin = remotes.find(r => r.name === "origin");
-    if (!origin) throw new Error("No origin remote configured");
-    const url = injectTokenIntoUrl(origin.refs.push || origin.refs.fetch);
-    await git.push(url, undefined, ["--follow-tags"]);
-    // Get the actual latest commit hash after push (more reliable than commit result)
-    const logResult = await git.log({ maxCount: 1 });
-    const latestHash = logResult.latest?.hash || commit?.commit || '';
-    res.json({ ok: true, commit: { ...commit, commit: latestHash } });
+    const cfg = await getOidcConfig();
+    const now = Date.now();
+    for (const [k, v] of oidcPending) if (now - v.at > OIDC_PENDING_TTL_MS) oidcPending.delete(k);
+    const state = crypto.randomBytes(16).toString("base64url");
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const verifier = crypto.randomBytes(32).toString("base64url");
+    // Only ever return to an in-app route, never to another site
+    const returnTo = String(req.query.returnTo || "").startsWith("#") ? String(req.query.returnTo) : "";
+    const redirectUri = oidcRedirectUri(req);
+    oidcPending.set(state, { nonce, verifier, returnTo, redirectUri, at: now });
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: OIDC_CLIENT_ID,
+      redirect_uri: redirectUri,
+      scope: OIDC_SCOPES,
+      state,
+      nonce,
+      code_challenge: crypto.createHash("sha256").update(verifier).digest("base64url"),
+      code_challenge_method: "S256"
+    });
+    res.redirect(`${cfg.authorization_endpoint}?${params}`);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("oidc: login failed:", formatErr(err));
+    authErrorPage(res, 502, `Could not reach the identity provider: ${err.message}`);
   }
 });
 
-// ---- Git rollback (discard all uncommitted changes) ----
-app.post("/api/git/rollback", async (req, res) => {
+app.get("/api/auth/oidc/callback", async (req, res) => {
+  if (!OIDC_ENABLED || AUTH_DISABLED) return res.status(404).json({ error: "OIDC login is not configured" });
+  const { code, state, error, error_description: errorDescription } = req.query;
+  if (error) return authErrorPage(res, 401, `The identity provider refused the sign-in: ${errorDescription || error}`);
+  const pending = oidcPending.get(String(state || ""));
+  oidcPending.delete(String(state || ""));
+  if (!pending || Date.now() - pending.at > OIDC_PENDING_TTL_MS || !code) {
+    return authErrorPage(res, 400, "This sign-in link has expired; please start again.");
+  }
   try {
-    const { repoPath } = req.body;
-    if (!repoPath) return res.status(400).json({ error: "repoPath is required" });
-    const git = simpleGit(repoPath);
-    // Discard changes to tracked files
-    await git.checkout(["."]);
-    // Remove untracked files and directories
-    await git.clean("f", ["-d"]);
-    res.json({ ok: true });
+    const cfg = await getOidcConfig();
+    const form = new URLSearchParams({
+      grant_type: "authorization_code",
+      code: String(code),
+      redirect_uri: pending.redirectUri,
+      client_id: OIDC_CLIENT_ID,
+      code_verifier: pending.verifier
+    });
+    if (OIDC_CLIENT_SECRET) form.set("client_secret", OIDC_CLIENT_SECRET);
+    const tok = await axios.post(cfg.token_endpoint, form.toString(), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+      timeout: 10_000
+    });
+    const claims = await verifyIdToken(tok.data?.id_token, pending.nonce);
+    const username = String(claims[OIDC_USERNAME_CLAIM] || claims.preferred_username || claims.email || claims.sub || "");
+    if (!username) return authErrorPage(res, 403, "The identity provider did not return a user name.");
+    const names = [username, claims.email].filter(Boolean).map(s => String(s).toLowerCase());
+    if (OIDC_ALLOWED_USERS.length && !names.some(n => OIDC_ALLOWED_USERS.includes(n))) {
+      return authErrorPage(res, 403, `${username} is not allowed to use this web-claude.`);
+    }
+    const role = names.some(n => OIDC_ADMIN_USERS.includes(n)) ? "admin" : "user";
+    startAuthSession(req, res, { username, role, via: "oidc" });
+    dlog("oidc: signed in", username);
+    res.redirect(`/${pending.returnTo}`);
   } catch (err) {
-    if (DEBUG) console.error("rollback error:", formatErr(err));
-    res.status(500).json({ error: err.message });
+    console.error("oidc: callback failed:", formatErr(err));
+    authErrorPage(res, 401, `Sign-in failed: ${err.message}`);
   }
 });
 
-// ---- Git status (working tree) ----
-app.get("/api/git/status", async (req, res) => {
+// ---- Repo handles ----
+// Clients address a working copy by its repo id, "<provider>/<owner>/<name>"
+// under DATA_DIR, instead of a filesystem path. Every route that touches a repo
+// resolves it through withRepo, so nothing outside DATA_DIR can be reached.
+// The first character may not be "_" or "." so ids never hit _state, _tmp, ...
+const REPO_ID_SEGMENT = /^[A-Za-z0-9][\w.-]*$/;
+
+function repoIdFor(repoPath) {
+  return path.relative(DATA_DIR, path.resolve(repoPath)).split(path.sep).join("/");
+}
+
+// Resolve a repo id (or, from older clients, an absolute repoPath) to the
+// working copy path. Errors carry an HTTP status: 400 malformed, 403 outside
+// DATA_DIR, 404 not cloned.
+function resolveRepo({ repoId, repoPath }) {
+  let id = String(repoId || "");
+  if (!id && repoPath) {
+    id = repoIdFor(String(repoPath));
+    if (id.split("/").length !== 3 || !id.split("/").every(x => REPO_ID_SEGMENT.test(x))) {
+      throw Object.assign(new Error("Access denied: repoPath must be a repository inside DATA_DIR"), { status: 403 });
+    }
+  }
+  const parts = id.split("/");
+  if (parts.length !== 3 || !parts.every(x => REPO_ID_SEGMENT.test(x))) {
+    throw Object.assign(new Error(`Invalid repo id "${id}" (expected provider/owner/name)`), { status: 400 });
+  }
+  const full = path.join(DATA_DIR, ...parts);
+  let real;
+  try { real = fs.realpathSync(full); } catch {
+    throw Object.assign(new Error(`Repository ${id} is not cloned`), { status: 404 });
+  }
+  // A symlinked directory could still point elsewhere
+  if (!real.startsWith(fs.realpathSync(DATA_DIR) + path.sep)) {
+    throw Object.assign(new Error(`Access denied: ${id} resolves outside DATA_DIR`), { status: 403 });
+  }
+  return { repoId: parts.join("/"), repoPath: full };
+}
+
+// Route middleware: resolves repoId/repoPath from the query or JSON body into
+// req.repoId and req.repoPath, or answers with the error
+function withRepo(req, res, next) {
+  const repoId = req.body?.repoId || req.query.repoId;
+  const repoPath = req.body?.repoPath || req.query.repoPath;
+  if (!repoId && !repoPath) return res.status(400).json({ error: "repoId is required" });
   try {
-    const repoPath = req.query.repoPath;
-    if (!repoPath) return res.status(400).json({ error: "repoPath is required" });
-    const git = simpleGit(repoPath);
-    try { await git.fetch(); } catch {}
-    const st = await git.status();
-    res.set("Cache-Control", "no-store");
-    res.json({ ok: true, status: st });
+    Object.assign(req, resolveRepo({ repoId, repoPath }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    return res.status(err.status || 500).json({ error: err.message });
   }
+  next();
+}
+
+// Config endpoint
+app.get("/api/config", (req, res) => {
+  res.json({ claude: true, cliPatch: Boolean(process.env.CLAUDE_PATCH_CMD), debug: DEBUG });
 });
 
-// ---- Git diff (working tree) ----
-app.get("/api/git/diff", async (req, res) => {
-  try {
-    const repoPath = req.query.repoPath;
-    if (!repoPath) return res.status(400).json({ error: "repoPath is required" });
-    const git = simpleGit(repoPath);
+// ---- Providers: fetch repos ----
+// Listings follow every page (GitHub/Gitea `Link: rel="next"`, GitLab
+// `x-next-page`, Bitbucket `nextPageStart`). Each page's ETag is remembered so
+// a refresh sends conditional requests and unchanged pages come back as cheap
+// 304s. The merged result is cached and served immediately; once older than
+// PROVIDERS_CACHE_TTL_MS a request triggers a refresh in the background.
+const PROVIDERS_CACHE_TTL_MS = Number(process.env.PROVIDERS_CACHE_TTL_MS || 5 * 60_000);
+const PROVIDERS_MAX_PAGES = Number(process.env.PROVIDERS_MAX_PAGES || 50);
+// include | exclude | only
+const REPOS_ARCHIVED = ["include", "exclude", "only"].includes(process.env.REPOS_ARCHIVED) ? process.env.REPOS_ARCHIVED : "include";
 
-    // Gather working tree diffs (unstaged + staged) and include untracked files
-    const parts = [];
-    let st;
-    try { st = await git.status(); } catch { st = null; }
+// url -> { etag, items, next } from the last successful fetch of that page
+const pageCache = new Map();
 
-    try {
-      const diffUnstaged = await git.raw(["diff", "--no-ext-diff"]);
-      if ((diffUnstaged || "").trim()) parts.push(diffUnstaged.trim());
-    } catch {}
-    try {
-      const diffStaged = await git.raw(["diff", "--no-ext-diff", "--staged"]);
-      if ((diffStaged || "").trim()) parts.push(diffStaged.trim());
-    } catch {}
+function nextPageUrl(resp, url) {
+  const link = String(resp.headers?.link || "");
+  const m = link.split(",").map(s => s.trim()).find(s => /rel="next"/.test(s))?.match(/<([^>]+)>/);
+  if (m) return m[1];
+  const next = resp.headers?.["x-next-page"];
+  if (!next) return "";
+  const u = new URL(url);
+  u.searchParams.set("page", String(next));
+  return u.toString();
+}
 
-    // Include untracked (not ignored) files by diffing against /dev/null
-    const untracked = Array.isArray(st?.not_added) ? st.not_added : [];
-    for (const p of untracked) {
-      try {
-        const abs = path.join(repoPath, p);
-        if (!fs.existsSync(abs)) continue;
-        const stat = fs.statSync(abs);
-        if (stat.isDirectory()) continue;
-        // Use raw git to allow non-zero exit with differences
-        const proc = spawnSync("git", ["diff", "--no-index", "--", "/dev/null", p], {
-          cwd: repoPath,
-          env: process.env,
-          encoding: "utf-8",
-          maxBuffer: 10 * 1024 * 1024
-        });
-        const out = proc.stdout || "";
-        if (out.trim()) parts.push(out.trim());
-      } catch {}
+// Default page reader: a JSON array plus Link / x-next-page headers
+function linkPage(resp, url) {
+  return { items: Array.isArray(resp.data) ? resp.data : [], next: nextPageUrl(resp, url) };
+}
+
+async function fetchAllPages(url, headers, pageOf = linkPage) {
+  const items = [];
+  let pages = 0;
+  while (url) {
+    if (++pages > PROVIDERS_MAX_PAGES) {
+      console.warn(`providers: stopped after ${PROVIDERS_MAX_PAGES} pages at ${url}`);
+      break;
     }
+    const cached = pageCache.get(url);
+    dlog("GET", url, cached?.etag ? "(conditional)" : "");
+    const resp = await axios.get(url, {
+      headers: { ...headers, ...(cached?.etag ? { "If-None-Match": cached.etag } : {}) },
+      validateStatus: s => (s >= 200 && s < 300) || s === 304
+    });
+    let page;
+    if (resp.status === 304 && cached) {
+      page = cached;
+    } else {
+      page = { etag: resp.headers?.etag || "", ...pageOf(resp, url) };
+      if (page.etag) pageCache.set(url, page);
+    }
+    items.push(...page.items);
+    url = page.next;
+  }
+  return items;
+}
 
-    const diff = parts.join("\n\n");
-    res.set("Cache-Control", "no-store");
-    res.json({ ok: true, diff });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+function keepArchived(archived) {
+  if (REPOS_ARCHIVED === "exclude") return !archived;
+  if (REPOS_ARCHIVED === "only") return Boolean(archived);
+  return true;
+}
+
+// Host and repository path of a remote URL (https, ssh:// or scp-style
+// git@host:path), with `basePath` (a self-hosted instance under a sub-path)
+// and ".git" removed from the path
+function parseRemote(url, basePath = "") {
+  const str = String(url || "").trim();
+  let host = "";
+  let p = "";
+  const scp = /^[\w.-]+@([^:/]+):(?!\/)(.+)$/.exec(str);
+  if (scp) {
+    host = scp[1];
+    p = scp[2];
+  } else {
+    try {
+      const u = new URL(str);
+      host = u.hostname;
+      p = decodeURIComponent(u.pathname);
+      const base = String(basePath || "").replace(/\/$/, "");
+      if (/^https?:$/.test(u.protocol) && base && p.startsWith(`${base}/`)) p = p.slice(base.length);
+    } catch {
+      return null;
+    }
   }
-});
+  return { host: host.toLowerCase(), path: p.replace(/^\/+/, "").replace(/\.git$/, "").replace(/\/$/, "") };
+}
 
-// ---- Git three-way for a file (base/ours/theirs) ----
-app.get("/api/git/threeway", async (req, res) => {
-  try {
-    const repoPath = req.query.repoPath;
-    const filePath = req.query.path;
-    if (!repoPath || !filePath) return res.status(400).json({ error: "repoPath and path are required" });
-    const cwd = repoPath;
-    try { await simpleGit(cwd).fetch(); } catch {}
-    const sh = (args) => spawnSync("git", args, { cwd, env: process.env, encoding: "utf-8", maxBuffer: 10 * 1024 * 1024 });
-    const out = (p) => (p && typeof p.stdout === 'string') ? p.stdout.trim() : '';
-    let upstream = out(sh(["rev-parse", "--abbrev-ref", "--symbolic-full-name", "@{u}"]));
-    if (!upstream) upstream = out(sh(["rev-parse", "--abbrev-ref", "origin/HEAD"]));
-    if (!upstream) return res.status(400).json({ error: "No upstream configured for three-way comparison" });
-    const base = out(sh(["merge-base", "HEAD", upstream]));
-    if (!base) return res.status(400).json({ error: "Failed to compute merge-base" });
+const hostOf = (url) => { try { return new URL(url).hostname.toLowerCase(); } catch { return ""; } };
+const basePathOf = (url) => { try { return new URL(url).pathname.replace(/\/$/, ""); } catch { return ""; } };
 
-    // Read file contents at base, ours (HEAD), and theirs (upstream)
-    const readAt = (ref, p) => {
-      try {
-        const r = sh(["show", `${ref}:${p}`]);
-        if (r.status !== 0) return null;
-        return out(r);
-      } catch { return null; }
-    };
-    const data = {
-      ok: true,
-      upstream,
-      baseRef: base,
-      oursRef: "HEAD",
-      theirsRef: upstream,
-      base: readAt(base, filePath),
-      ours: readAt("HEAD", filePath),
-      theirs: readAt(upstream, filePath)
+// ---- Provider backends ----
+// Each configured instance of a hosting service is one object; nothing outside
+// this section knows which services exist. A backend provides:
+//   name, label        key used in /api/providers and repo ids; display name
+//   enabled()          configured through the environment?
+//   tokens()           secrets to redact from logs
+//   hosts()            hostnames whose remotes belong to it
+//   listRepos(errors)  -> { [tab]: [repo] }, pushing per-tab failures to errors
+//   cloneAuth(u)       put credentials on a clone/push URL object
+//   commitUrl(remote, hash) -> web URL of a commit ("" if unknown)
+//   ciStatus({ owner, name, id }) -> { status, url } of the latest CI run
+//   beforeClone(cloneUrl)   optional; throw (with .status) to refuse a clone
+//   createPullRequest(remote, { source, target, title, body, draft, reviewers, labels })
+//                      optional; open a PR/MR -> { number, url, title, draft, warnings }
+//   listPullRequests(remote)            optional; open PRs/MRs with a checks summary
+//   getPullRequest(remote, number, { details })
+//                      one PR/MR; with details also its check items and review threads
+//   pullRequestRef(number) -> { ref, branch }  where a PR's head can be fetched
+//                      from origin (forks included) and the local branch for it
+//   listIssues(remote, { search, labels }), getIssue(remote, number), listLabels(remote)
+//                      optional; open issues -> [{ number, title, author, url, labels, ... }]
+//   createRelease(remote, { tag, name, body, draft, prerelease })
+//                      optional; publish a release for a pushed tag -> { url, name, warnings }
+// Repos are returned as { name, full_name, default_branch, clone_url, ssh_url,
+// web_url, private, archived } plus anything provider-specific (id, html_url).
+
+// Settings of every configured instance of one provider type. The default
+// instance reads <PREFIX>_TOKEN, <PREFIX>_BASE_URL, ...; <PREFIX>_INSTANCES=corp,oss
+// adds instances that read <PREFIX>_CORP_TOKEN, <PREFIX>_OSS_BASE_URL, ...
+// Instance names become part of the provider key ("gitlab-corp") and so of
+// repo ids and clone paths.
+const INSTANCE_NAME = /^[a-z0-9][a-z0-9-]*$/;
+function providerInstances(prefix) {
+  const names = (process.env[`${prefix}_INSTANCES`] || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const instances = [{ instance: "", varPrefix: prefix }];
+  for (const name of names) {
+    if (!INSTANCE_NAME.test(name)) {
+      console.warn(`${prefix}_INSTANCES: ignoring invalid instance name "${name}"`);
+      continue;
+    }
+    instances.push({ instance: name, varPrefix: `${prefix}_${name.toUpperCase().replaceAll("-", "_")}` });
+  }
+  return instances.map(({ instance, varPrefix }) => {
+    const get = (key) => (process.env[`${varPrefix}_${key}`] || "").trim();
+    return {
+      instance,
+      get,
+      list: (key) => get(key).split(",").map(s => s.trim()).filter(Boolean),
+      flag: (key) => ["1", "true", "yes", "on"].includes(get(key).toLowerCase()),
+      url: (key, fallback = "") => (get(key) || fallback).replace(/\/$/, "")
     };
-    res.json(data);
+  });
+}
+
+const instanceName = (type, cfg) => (cfg.instance ? `${type}-${cfg.instance}` : type);
+const instanceLabel = (label, cfg) => cfg.get("LABEL") || (cfg.instance ? `${label} (${cfg.instance})` : label);
+
+// The provider's own explanation of a failed API call; "already exists"
+// answers become 409, anything else 502
+function providerApiError(e, what) {
+  const d = e?.response?.data || {};
+  const detail = Array.isArray(d.errors) && d.errors.length
+    ? d.errors.map(x => x.message || x.code || String(x)).join("; ")
+    : (Array.isArray(d.message) ? d.message.join("; ") : (typeof d.message === "object" ? JSON.stringify(d.message) : d.message));
+  const status = [409, 422].includes(e?.response?.status) ? 409 : 502;
+  return Object.assign(new Error(`${what}: ${detail || formatErr(e)}`), { status });
+}
+
+// Reduce provider check/job states to success | failure | pending | neutral
+// and count them; `state` is the overall verdict shown next to a PR
+function summarizeChecks(items) {
+  const count = (st) => items.filter(i => i.status === st).length;
+  const summary = { total: items.length, passed: count("success"), failed: count("failure"), pending: count("pending") };
+  const state = !items.length ? "none" : summary.failed ? "failure" : summary.pending ? "pending" : "success";
+  return { state, ...summary };
+}
+
+function githubCheckStatus(run) {
+  if (run.status && run.status !== "completed") return "pending";
+  const c = run.conclusion || run.state;
+  if (["success"].includes(c)) return "success";
+  if (["failure", "error", "timed_out", "cancelled", "action_required", "startup_failure"].includes(c)) return "failure";
+  if (["pending", "queued", "in_progress", "waiting", "requested"].includes(c)) return "pending";
+  return "neutral";
+}
+
+function gitlabCheckStatus(status) {
+  if (status === "success") return "success";
+  if (["failed", "canceled"].includes(status)) return "failure";
+  if (["created", "waiting_for_resource", "preparing", "pending", "running", "scheduled"].includes(status)) return "pending";
+  return "neutral";
+}
+
+// GitHub and GitHub Enterprise Server (GH_BASE_URL=https://github.example.com)
+function githubBackend(cfg) {
+  const name = instanceName("github", cfg);
+  const token = cfg.get("TOKEN");
+  const user = cfg.get("USER");
+  const orgs = cfg.list("ORGS");
+  const webUrl = cfg.url("BASE_URL", "https://github.com");
+  const api = hostOf(webUrl) === "github.com" ? "https://api.github.com" : `${webUrl}/api/v3`;
+  return {
+    name,
+    label: instanceLabel("GitHub", cfg),
+    enabled: () => Boolean(token),
+    tokens: () => [token],
+    hosts: () => [hostOf(webUrl)],
+    headers: () => ({ Authorization: `Bearer ${token}`, Accept: "application/vnd.github+json" }),
+    repoItem: (r) => ({ name: r.name, full_name: r.full_name, default_branch: r.default_branch, clone_url: r.clone_url, ssh_url: r.ssh_url, html_url: r.html_url, web_url: r.html_url, private: r.private, archived: Boolean(r.archived) }),
+    async listRepos(errors) {
+      const out = {};
+      const headers = this.headers();
+      try {
+        dlog(`${this.label}: fetching /user`);
+        const identityResp = await axios.get(`${api}/user`, { headers });
+        const identity = identityResp.data.login;
+        const ghUser = (user || identity).trim();
+        dlog(`${this.label} identity:`, identity, "target user:", ghUser);
+
+        let url;
+        if (ghUser.toLowerCase() === String(identity).toLowerCase()) {
+          // Owned repos for the authenticated user (includes private)
+          url = `${api}/user/repos?per_page=100&type=owner`;
+        } else {
+          // Owned repos for another user (public only)
+          url = `${api}/users/${encodeURIComponent(ghUser)}/repos?per_page=100&type=owner`;
+        }
+        const userRepos = await fetchAllPages(url, headers);
+        const onlyOwned = userRepos.filter(r => String(r?.owner?.login || "").toLowerCase() === ghUser.toLowerCase());
+        out[ghUser] = onlyOwned.filter(r => keepArchived(r.archived)).map(this.repoItem);
+
+        for (const org of orgs) {
+          try {
+            const orgRepos = await fetchAllPages(`${api}/orgs/${org}/repos?per_page=100`, headers);
+            out[org] = orgRepos.filter(r => keepArchived(r.archived)).map(this.repoItem);
+          } catch (e) {
+            console.error(`providers: ${this.label} org repos failed:`, formatErr(e));
+            errors.push({ provider: name, scope: "org", org, error: formatErr(e) });
+          }
+        }
+      } catch (e) {
+        console.error(`providers: ${this.label} user fetch failed:`, formatErr(e));
+        errors.push({ provider: name, scope: "user", error: formatErr(e) });
+      }
+      return out;
+    },
+    cloneAuth(u) {
+      // PAT as password; username can be the real username or 'x-access-token'
+      u.username = user || "x-access-token";
+      u.password = token;
+    },
+    commitUrl(remote, hash) {
+      const r = parseRemote(remote, basePathOf(webUrl));
+      return r?.path ? `${webUrl}/${r.path}/commit/${hash}` : "";
+    },
+    async ciStatus({ owner, name: repo }) {
+      const runs = (await axios.get(`${api}/repos/${owner}/${repo}/actions/runs?per_page=1`, { headers: this.headers() })).data;
+      const run = runs.workflow_runs?.[0];
+      return { status: run?.conclusion || run?.status || "unknown", url: run?.html_url || "" };
+    },
+    async createPullRequest(remote, { source, target, title, body, draft, reviewers, labels }) {
+      const repo = `${api}/repos/${parseRemote(remote, basePathOf(webUrl))?.path}`;
+      const headers = this.headers();
+      let pr;
+      try {
+        pr = (await axios.post(`${repo}/pulls`, { head: source, base: target, title, body, draft }, { headers })).data;
+      } catch (e) {
+        throw providerApiError(e, "GitHub refused the pull request");
+      }
+      // Reviewers and labels are separate calls; the PR exists either way
+      const warnings = [];
+      if (reviewers.length) {
+        // "org/team" requests a team review
+        const teams = reviewers.filter(r => r.includes("/")).map(r => r.split("/").pop());
+        const users = reviewers.filter(r => !r.includes("/"));
+        try {
+          await axios.post(`${repo}/pulls/${pr.number}/requested_reviewers`, { reviewers: users, team_reviewers: teams }, { headers });
+        } catch (e) {
+          warnings.push(providerApiError(e, "Reviewers not requested").message);
+        }
+      }
+      if (labels.length) {
+        try {
+          await axios.post(`${repo}/issues/${pr.number}/labels`, { labels }, { headers });
+        } catch (e) {
+          warnings.push(providerApiError(e, "Labels not added").message);
+        }
+      }
+      return { number: pr.number, url: pr.html_url, title: pr.title, draft: Boolean(pr.draft), warnings };
+    },
+    async createRelease(remote, { tag, name, body, draft, prerelease }) {
+      const repo = `${api}/repos/${parseRemote(remote, basePathOf(webUrl))?.path}`;
+      try {
+        const rel = (await axios.post(`${repo}/releases`, { tag_name: tag, name, body, draft, prerelease }, { headers: this.headers() })).data;
+        return { url: rel.html_url, name: rel.name || tag, warnings: [] };
+      } catch (e) {
+        throw providerApiError(e, "GitHub refused the release");
+      }
+    },
+    pullItem(pr) {
+      return {
+        number: pr.number, title: pr.title, author: pr.user?.login || "", url: pr.html_url,
+        source: pr.head?.ref || "", target: pr.base?.ref || "", sha: pr.head?.sha || "",
+        // A deleted fork leaves head.repo empty
+        fork: pr.head?.repo?.full_name !== pr.base?.repo?.full_name,
+        draft: Boolean(pr.draft), updatedAt: pr.updated_at
+      };
+    },
+    // Check runs (Actions and apps) plus legacy commit statuses of one commit
+    async checks(repo, sha) {
+      const headers = this.headers();
+      const [runs, statuses] = await Promise.all([
+        axios.get(`${repo}/commits/${sha}/check-runs?per_page=100`, { headers }).then(r => r.data?.check_runs || []).catch(() => []),
+        axios.get(`${repo}/commits/${sha}/status`, { headers }).then(r => r.data?.statuses || []).catch(() => [])
+      ]);
+      return [
+        ...runs.map(r => ({ name: r.name, status: githubCheckStatus(r), url: r.html_url || r.details_url || "" })),
+        ...statuses.map(st => ({ name: st.context, status: githubCheckStatus(st), url: st.target_url || "" }))
+      ];
+    },
+    async listPullRequests(remote) {
+      const repo = `${api}/repos/${parseRemote(remote, basePathOf(webUrl))?.path}`;
+      const prs = (await axios.get(`${repo}/pulls?state=open&sort=updated&direction=desc&per_page=30`, { headers: this.headers() })).data || [];
+      return Promise.all(prs.map(async pr => ({ ...this.pullItem(pr), checks: summarizeChecks(await this.checks(repo, pr.head.sha)) })));
+    },
+    async getPullRequest(remote, number, { details = false } = {}) {
+      const repo = `${api}/repos/${parseRemote(remote, basePathOf(webUrl))?.path}`;
+      const headers = this.headers();
+      const pr = (await axios.get(`${repo}/pulls/${number}`, { headers })).data;
+      const item = { ...this.pullItem(pr), body: pr.body || "" };
+      if (!details) return item;
+      const [checks, comments, reviews, conversation] = await Promise.all([
+        this.checks(repo, pr.head.sha),
+        fetchAllPages(`${repo}/pulls/${number}/comments?per_page=100`, headers),
+        fetchAllPages(`${repo}/pulls/${number}/reviews?per_page=100`, headers),
+        fetchAllPages(`${repo}/issues/${number}/comments?per_page=100`, headers)
+      ]);
+      const comment = (c) => ({ id: String(c.id), author: c.user?.login || "", body: c.body || "", createdAt: c.created_at || c.submitted_at, url: c.html_url || "" });
+      // Line comments form threads through in_reply_to_id; review summaries
+      // and the PR conversation become threads without a file
+      const threads = [];
+      const byRoot = new Map();
+      for (const c of comments) {
+        const root = c.in_reply_to_id ? byRoot.get(c.in_reply_to_id) : null;
+        if (root) { root.comments.push(comment(c)); continue; }
+        const t = { id: `c${c.id}`, path: c.path, line: c.line ?? c.original_line ?? null, outdated: c.line == null, resolved: null, comments: [comment(c)] };
+        byRoot.set(c.id, t);
+        threads.push(t);
+      }
+      for (const r of reviews.filter(r => (r.body || "").trim())) {
+        threads.push({ id: `r${r.id}`, path: "", line: null, outdated: false, resolved: null, review: r.state, comments: [comment(r)] });
+      }
+      for (const c of conversation) {
+        threads.push({ id: `i${c.id}`, path: "", line: null, outdated: false, resolved: null, comments: [comment(c)] });
+      }
+      const reviewState = new Map();
+      for (const r of reviews.filter(r => r.state !== "COMMENTED")) reviewState.set(r.user?.login, r.state);
+      return {
+        ...item,
+        checks: { ...summarizeChecks(checks), items: checks },
+        reviews: [...reviewState].map(([author, state]) => ({ author, state: state.toLowerCase() })),
+        threads
+      };
+    },
+    pullRequestRef: (number) => ({ ref: `refs/pull/${number}/head`, branch: `pr-${number}` }),
+    issueItem: (i) => ({
+      number: i.number, title: i.title, author: i.user?.login || "", url: i.html_url,
+      labels: (i.labels || []).map(l => (typeof l === "string" ? l : l.name)), comments: i.comments || 0, updatedAt: i.updated_at
+    }),
+    async listIssues(remote, { search = "", labels = [] } = {}) {
+      const path = parseRemote(remote, basePathOf(webUrl))?.path;
+      const headers = this.headers();
+      let items;
+      if (search) {
+        // Only the search API matches text; it takes labels as qualifiers
+        const q = [`repo:${path}`, "is:issue", "is:open", ...labels.map(l => `label:"${l.replaceAll('"', "")}"`), search].join(" ");
+        items = (await axios.get(`${api}/search/issues?per_page=50&sort=updated&q=${encodeURIComponent(q)}`, { headers })).data?.items || [];
+      } else {
+        const params = new URLSearchParams({ state: "open", sort: "updated", per_page: "50" });
+        if (labels.length) params.set("labels", labels.join(","));
+        items = (await axios.get(`${api}/repos/${path}/issues?${params}`, { headers })).data || [];
+      }
+      // The issues API also returns pull requests
+      return items.filter(i => !i.pull_request).map(this.issueItem);
+    },
+    async getIssue(remote, number) {
+      const path = parseRemote(remote, basePathOf(webUrl))?.path;
+      const i = (await axios.get(`${api}/repos/${path}/issues/${number}`, { headers: this.headers() })).data;
+      return { ...this.issueItem(i), body: i.body || "" };
+    },
+    async listLabels(remote) {
+      const path = parseRemote(remote, basePathOf(webUrl))?.path;
+      const labels = await fetchAllPages(`${api}/repos/${path}/labels?per_page=100`, this.headers());
+      return labels.map(l => ({ name: l.name, color: `#${l.color}` }));
+    }
+  };
+}
+
+function gitlabBackend(cfg) {
+  const name = instanceName("gitlab", cfg);
+  const token = cfg.get("TOKEN");
+  const groups = cfg.list("GROUPS");
+  const baseUrl = cfg.url("BASE_URL", "https://gitlab.com");
+  const includeSubgroups = cfg.flag("INCLUDE_SUBGROUPS");
+  return {
+    name,
+    label: instanceLabel("GitLab", cfg),
+    enabled: () => Boolean(token),
+    tokens: () => [token],
+    hosts: () => [hostOf(baseUrl)],
+    headers: () => ({ "Private-Token": token }),
+    async listRepos(errors) {
+      const out = {};
+      if (!groups.length) dlog(`${this.label} listing disabled: no groups configured`);
+      for (const grp of groups) {
+        try {
+          const params = new URLSearchParams({ per_page: "100", order_by: "path", sort: "asc" });
+          if (includeSubgroups) params.set("include_subgroups", "true");
+          if (REPOS_ARCHIVED !== "include") params.set("archived", REPOS_ARCHIVED === "only" ? "true" : "false");
+          const projects = await fetchAllPages(`${baseUrl}/api/v4/groups/${encodeURIComponent(grp)}/projects?${params}`, this.headers());
+          // Filter out repositories scheduled for deletion
+          const keep = projects.filter(p => {
+            // GitLab may expose one of these when scheduled for deletion
+            const markedAt = p.marked_for_deletion_at || p.marked_for_deletion_on;
+            const pending = p.pending_delete || p.pending_deletion || p.marked_for_deletion;
+            return !(markedAt || pending) && keepArchived(p.archived);
+          });
+          out[grp] = keep.map(p => ({ id: p.id, name: p.path, full_name: p.path_with_namespace, default_branch: p.default_branch, clone_url: p.http_url_to_repo, ssh_url: p.ssh_url_to_repo, web_url: p.web_url, private: !p.public, archived: Boolean(p.archived) }));
+        } catch (e) {
+          console.error(`providers: ${this.label} group projects failed:`, formatErr(e));
+          errors.push({ provider: name, scope: "group", group: grp, error: formatErr(e) });
+        }
+      }
+      return out;
+    },
+    cloneAuth(u) {
+      u.username = "oauth2";
+      u.password = token;
+    },
+    commitUrl(remote, hash) {
+      const r = parseRemote(remote, basePathOf(baseUrl));
+      return r?.path ? `${baseUrl}/${r.path}/-/commit/${hash}` : "";
+    },
+    async ciStatus({ owner, name: repo, id }) {
+      const project = encodeURIComponent(id || `${owner}/${repo}`);
+      const p = (await axios.get(`${baseUrl}/api/v4/projects/${project}/pipelines?per_page=1`, { headers: this.headers() })).data?.[0];
+      return { status: p?.status || "unknown", url: p?.web_url || "" };
+    },
+    async createPullRequest(remote, { source, target, title, body, draft, reviewers, labels }) {
+      const project = encodeURIComponent(parseRemote(remote, basePathOf(baseUrl))?.path || "");
+      const headers = this.headers();
+      // Merge requests take reviewer ids, not user names
+      const warnings = [];
+      const reviewerIds = [];
+      for (const username of reviewers) {
+        try {
+          const u = (await axios.get(`${baseUrl}/api/v4/users?username=${encodeURIComponent(username)}`, { headers })).data?.[0];
+          if (u) reviewerIds.push(u.id);
+          else warnings.push(`Reviewer ${username} not found`);
+        } catch (e) {
+          warnings.push(providerApiError(e, `Reviewer ${username} not looked up`).message);
+        }
+      }
+      const draftTitle = draft && !/^(draft:|\[draft\]|\(draft\))/i.test(title) ? `Draft: ${title}` : title;
+      let mr;
+      try {
+        mr = (await axios.post(`${baseUrl}/api/v4/projects/${project}/merge_requests`, {
+          source_branch: source, target_branch: target, title: draftTitle, description: body,
+          labels: labels.join(","), reviewer_ids: reviewerIds, remove_source_branch: true
+        }, { headers })).data;
+      } catch (e) {
+        throw providerApiError(e, "GitLab refused the merge request");
+      }
+      return { number: mr.iid, url: mr.web_url, title: mr.title, draft: Boolean(mr.draft || mr.work_in_progress), warnings };
+    },
+    async createRelease(remote, { tag, name, body, draft, prerelease }) {
+      const project = encodeURIComponent(parseRemote(remote, basePathOf(baseUrl))?.path || "");
+      let rel;
+      try {
+        rel = (await axios.post(`${baseUrl}/api/v4/projects/${project}/releases`, { tag_name: tag, name, description: body }, { headers: this.headers() })).data;
+      } catch (e) {
+        throw providerApiError(e, "GitLab refused the release");
+      }
+      // GitLab releases are always published and have no pre-release flag
+      const warnings = [draft && "GitLab has no draft releases; it was published", prerelease && "GitLab has no pre-release flag"].filter(Boolean);
+      return { url: rel._links?.self || `${baseUrl}/${decodeURIComponent(project)}/-/releases/${encodeURIComponent(tag)}`, name: rel.name || tag, warnings };
+    },
+    mergeRequestItem(mr) {
+      return {
+        number: mr.iid, title: mr.title, author: mr.author?.username || "", url: mr.web_url,
+        source: mr.source_branch, target: mr.target_branch, sha: mr.sha || "",
+        fork: mr.source_project_id !== mr.target_project_id,
+        draft: Boolean(mr.draft || mr.work_in_progress), updatedAt: mr.updated_at
+      };
+    },
+    async listPullRequests(remote) {
+      const project = `${baseUrl}/api/v4/projects/${encodeURIComponent(parseRemote(remote, basePathOf(baseUrl))?.path || "")}`;
+      const headers = this.headers();
+      const mrs = (await axios.get(`${project}/merge_requests?state=opened&order_by=updated_at&per_page=30`, { headers })).data || [];
+      return Promise.all(mrs.map(async mr => {
+        // The list has no pipeline; ask for the latest one of each MR
+        const p = await axios.get(`${project}/merge_requests/${mr.iid}/pipelines?per_page=1`, { headers }).then(r => r.data?.[0]).catch(() => null);
+        return { ...this.mergeRequestItem(mr), checks: summarizeChecks(p ? [{ name: "pipeline", status: gitlabCheckStatus(p.status) }] : []) };
+      }));
+    },
+    async getPullRequest(remote, number, { details = false } = {}) {
+      const project = `${baseUrl}/api/v4/projects/${encodeURIComponent(parseRemote(remote, basePathOf(baseUrl))?.path || "")}`;
+      const headers = this.headers();
+      const mr = (await axios.get(`${project}/merge_requests/${number}`, { headers })).data;
+      const item = { ...this.mergeRequestItem(mr), body: mr.description || "" };
+      if (!details) return item;
+      const pipeline = mr.head_pipeline;
+      const [jobs, discussions, approvals] = await Promise.all([
+        pipeline ? fetchAllPages(`${project}/pipelines/${pipeline.id}/jobs?per_page=100`, headers).catch(() => []) : [],
+        fetchAllPages(`${project}/merge_requests/${number}/discussions?per_page=100`, headers),
+        axios.get(`${project}/merge_requests/${number}/approvals`, { headers }).then(r => r.data).catch(() => null)
+      ]);
+      const checks = jobs.map(j => ({ name: `${j.stage}: ${j.name}`, status: gitlabCheckStatus(j.status), url: j.web_url || "" }));
+      if (!checks.length && pipeline) checks.push({ name: "pipeline", status: gitlabCheckStatus(pipeline.status), url: pipeline.web_url || "" });
+      const threads = discussions
+        .filter(d => d.notes?.length && !d.notes[0].system)
+        .map(d => {
+          const first = d.notes[0];
+          const pos = first.position || {};
+          const resolvable = d.notes.filter(n => n.resolvable);
+          return {
+            id: d.id, path: pos.new_path || pos.old_path || "", line: pos.new_line ?? pos.old_line ?? null, outdated: false,
+            resolved: resolvable.length ? resolvable.every(n => n.resolved) : null,
+            comments: d.notes.filter(n => !n.system).map(n => ({ id: String(n.id), author: n.author?.username || "", body: n.body || "", createdAt: n.created_at, url: `${mr.web_url}#note_${n.id}` }))
+          };
+        });
+      return {
+        ...item,
+        checks: { ...summarizeChecks(checks), items: checks },
+        reviews: (approvals?.approved_by || []).map(a => ({ author: a.user?.username || "", state: "approved" })),
+        threads
+      };
+    },
+    pullRequestRef: (number) => ({ ref: `refs/merge-requests/${number}/head`, branch: `mr-${number}` }),
+    issueItem: (i) => ({
+      number: i.iid, title: i.title, author: i.author?.username || "", url: i.web_url,
+      labels: i.labels || [], comments: i.user_notes_count || 0, updatedAt: i.updated_at
+    }),
+    async listIssues(remote, { search = "", labels = [] } = {}) {
+      const project = encodeURIComponent(parseRemote(remote, basePathOf(baseUrl))?.path || "");
+      const params = new URLSearchParams({ state: "opened", order_by: "updated_at", per_page: "50" });
+      if (search) params.set("search", search);
+      if (labels.length) params.set("labels", labels.join(","));
+      const issues = (await axios.get(`${baseUrl}/api/v4/projects/${project}/issues?${params}`, { headers: this.headers() })).data || [];
+      return issues.map(this.issueItem);
+    },
+    async getIssue(remote, number) {
+      const project = encodeURIComponent(parseRemote(remote, basePathOf(baseUrl))?.path || "");
+      const i = (await axios.get(`${baseUrl}/api/v4/projects/${project}/issues/${number}`, { headers: this.headers() })).data;
+      return { ...this.issueItem(i), body: i.description || "" };
+    },
+    async listLabels(remote) {
+      const project = encodeURIComponent(parseRemote(remote, basePathOf(baseUrl))?.path || "");
+      const labels = await fetchAllPages(`${baseUrl}/api/v4/projects/${project}/labels?per_page=100`, this.headers());
+      return labels.map(l => ({ name: l.name, color: l.color }));
+    },
+    // Block projects scheduled for deletion
+    async beforeClone(cloneUrl) {
+      const r = parseRemote(cloneUrl, basePathOf(baseUrl));
+      if (!r?.path || !this.hosts().includes(r.host)) return;
+      try {
+        const checkUrl = `${baseUrl}/api/v4/projects/${encodeURIComponent(r.path)}`;
+        dlog("GET", checkUrl, "(pre-clone check)");
+        const pr = (await axios.get(checkUrl, { headers: this.headers() })).data || {};
+        const markedAt = pr.marked_for_deletion_at || pr.marked_for_deletion_on;
+        const pending = pr.pending_delete || pr.pending_deletion || pr.marked_for_deletion;
+        if (markedAt || pending) {
+          throw Object.assign(new Error("GitLab project is scheduled for deletion; loading is disabled"), { status: 400 });
+        }
+      } catch (e) {
+        if (e.status) throw e;
+        // Do not block on check errors; continue to clone unless clearly flagged
+        dlog("gitlab pre-clone check skipped:", formatErr(e));
+      }
+    }
+  };
+}
+
+// Gitea and Forgejo share the same API
+function giteaBackend(cfg) {
+  const name = instanceName("gitea", cfg);
+  const token = cfg.get("TOKEN");
+  const user = cfg.get("USER");
+  const orgs = cfg.list("ORGS");
+  const baseUrl = cfg.url("BASE_URL");
+  let login = "";
+  return {
+    name,
+    label: instanceLabel("Gitea", cfg),
+    enabled: () => Boolean(baseUrl && token),
+    tokens: () => [token],
+    hosts: () => [hostOf(baseUrl)],
+    headers: () => ({ Authorization: `token ${token}`, Accept: "application/json" }),
+    repoItem: (r) => ({ id: r.id, name: r.name, full_name: r.full_name, default_branch: r.default_branch, clone_url: r.clone_url, ssh_url: r.ssh_url, web_url: r.html_url, private: r.private, archived: Boolean(r.archived) }),
+    async listRepos(errors) {
+      const out = {};
+      const api = `${baseUrl}/api/v1`;
+      const headers = this.headers();
+      try {
+        login = (await axios.get(`${api}/user`, { headers })).data?.login || "";
+        const target = (user || login).trim();
+        // /user/repos also includes org repos the token can see; keep the user's own
+        const url = target.toLowerCase() === login.toLowerCase()
+          ? `${api}/user/repos?limit=50`
+          : `${api}/users/${encodeURIComponent(target)}/repos?limit=50`;
+        const repos = await fetchAllPages(url, headers);
+        out[target] = repos
+          .filter(r => String(r?.owner?.login || "").toLowerCase() === target.toLowerCase() && keepArchived(r.archived))
+          .map(this.repoItem);
+      } catch (e) {
+        console.error(`providers: ${this.label} user repos failed:`, formatErr(e));
+        errors.push({ provider: name, scope: "user", error: formatErr(e) });
+      }
+      for (const org of orgs) {
+        try {
+          const repos = await fetchAllPages(`${api}/orgs/${encodeURIComponent(org)}/repos?limit=50`, headers);
+          out[org] = repos.filter(r => keepArchived(r.archived)).map(this.repoItem);
+        } catch (e) {
+          console.error(`providers: ${this.label} org repos failed:`, formatErr(e));
+          errors.push({ provider: name, scope: "org", org, error: formatErr(e) });
+        }
+      }
+      return out;
+    },
+    cloneAuth(u) {
+      u.username = user || login || "oauth2";
+      u.password = token;
+    },
+    commitUrl(remote, hash) {
+      const r = parseRemote(remote, basePathOf(baseUrl));
+      return r?.path ? `${baseUrl}/${r.path}/commit/${hash}` : "";
+    },
+    async ciStatus({ owner, name: repoName }) {
+      const repo = `${baseUrl}/api/v1/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repoName)}`;
+      const branch = (await axios.get(repo, { headers: this.headers() })).data?.default_branch || "HEAD";
+      const st = (await axios.get(`${repo}/commits/${encodeURIComponent(branch)}/status`, { headers: this.headers() })).data || {};
+      return { status: st.state || "unknown", url: st.statuses?.[0]?.target_url || "" };
+    }
+  };
+}
+
+// Bitbucket Server / Data Center (REST 1.0); tabs are project keys
+function bitbucketBackend(cfg) {
+  const name = instanceName("bitbucket", cfg);
+  const token = cfg.get("TOKEN");
+  const user = cfg.get("USER");
+  const projects = cfg.list("PROJECTS");
+  const baseUrl = cfg.url("BASE_URL");
+  return {
+    name,
+    label: instanceLabel("Bitbucket", cfg),
+    enabled: () => Boolean(baseUrl && token),
+    tokens: () => [token],
+    hosts: () => [hostOf(baseUrl)],
+    headers: () => ({ Authorization: `Bearer ${token}`, Accept: "application/json" }),
+    // Paged responses: { values, isLastPage, nextPageStart }
+    page(resp, url) {
+      const d = resp.data || {};
+      if (d.isLastPage !== false || d.nextPageStart == null) return { items: d.values || [], next: "" };
+      const u = new URL(url);
+      u.searchParams.set("start", String(d.nextPageStart));
+      return { items: d.values || [], next: u.toString() };
+    },
+    async listRepos(errors) {
+      const out = {};
+      for (const key of projects) {
+        try {
+          const repos = await fetchAllPages(`${baseUrl}/rest/api/1.0/projects/${encodeURIComponent(key)}/repos?limit=100`, this.headers(), this.page);
+          out[key] = repos.filter(r => keepArchived(r.archived)).map(r => {
+            const http = (r.links?.clone || []).find(l => l.name === "http")?.href || "";
+            const ssh = (r.links?.clone || []).find(l => l.name === "ssh")?.href || "";
+            let cloneUrl = http;
+            // Bitbucket puts the requesting user into the URL; credentials are added at clone time
+            try { const u = new URL(http); u.username = ""; u.password = ""; cloneUrl = u.toString(); } catch {}
+            return {
+              id: r.id, name: r.slug, full_name: `${r.project?.key || key}/${r.slug}`, default_branch: "",
+              clone_url: cloneUrl, ssh_url: ssh, web_url: r.links?.self?.[0]?.href || "",
+              private: !r.public, archived: Boolean(r.archived)
+            };
+          });
+        } catch (e) {
+          console.error(`providers: ${this.label} project repos failed:`, formatErr(e));
+          errors.push({ provider: name, scope: "project", project: key, error: formatErr(e) });
+        }
+      }
+      return out;
+    },
+    cloneAuth(u) {
+      // HTTP access tokens work as the password; project/repo tokens need x-token-auth
+      u.username = user || "x-token-auth";
+      u.password = token;
+    },
+    commitUrl(remote, hash) {
+      const r = parseRemote(remote, basePathOf(baseUrl));
+      // https remotes are /scm/<project>/<repo>, ssh remotes /<project>/<repo>
+      const parts = (r?.path || "").replace(/^scm\//, "").split("/");
+      if (parts.length !== 2) return "";
+      const [project, slug] = parts;
+      const owner = project.startsWith("~") ? `users/${project.slice(1)}` : `projects/${project.toUpperCase()}`;
+      return `${baseUrl}/${owner}/repos/${slug}/commits/${hash}`;
+    },
+    async ciStatus({ owner, name: repoName }) {
+      const repo = `${baseUrl}/rest/api/1.0/projects/${encodeURIComponent(owner)}/repos/${encodeURIComponent(repoName)}`;
+      const head = (await axios.get(`${repo}/commits?limit=1`, { headers: this.headers() })).data?.values?.[0]?.id;
+      if (!head) return { status: "unknown", url: "" };
+      const build = (await axios.get(`${baseUrl}/rest/build-status/1.0/commits/${head}`, { headers: this.headers() })).data?.values?.[0];
+      return { status: build?.state ? build.state.toLowerCase() : "unknown", url: build?.url || "" };
+    }
+  };
+}
+
+const PROVIDER_BACKENDS = [
+  ...providerInstances("GH").map(githubBackend),
+  ...providerInstances("GL").map(gitlabBackend),
+  ...providerInstances("GITEA").map(giteaBackend),
+  ...providerInstances("BITBUCKET").map(bitbucketBackend)
+];
+
+// Credentials are picked by host, so two enabled instances must not share one
+{
+  const seen = new Map();
+  for (const b of PROVIDER_BACKENDS.filter(b => b.enabled())) {
+    for (const h of b.hosts()) {
+      if (seen.has(h)) console.warn(`providers: ${b.name} and ${seen.get(h)} both use host ${h}; clones there use ${seen.get(h)} credentials`);
+      else seen.set(h, b.name);
+    }
+  }
+}
+
+function providerBackend(name) {
+  return PROVIDER_BACKENDS.find(b => b.name === name) || null;
+}
+
+// The enabled backend a remote URL belongs to, by hostname
+function backendForUrl(url) {
+  const r = parseRemote(url);
+  if (!r) return null;
+  return PROVIDER_BACKENDS.find(b => b.enabled() && b.hosts().includes(r.host)) || null;
+}
+
+async function fetchProviders() {
+  const out = { _errors: [], _labels: {} };
+  for (const b of PROVIDER_BACKENDS) {
+    if (!b.enabled()) {
+      dlog(`${b.label} disabled: not configured`);
+      continue;
+    }
+    out._labels[b.name] = b.label;
+    out[b.name] = await b.listRepos(out._errors);
+  }
+  return out;
+}
+
+let providersCache = null; // { data, at }
+let providersRefresh = null;
+
+// One refresh at a time; concurrent callers share it
+function refreshProviders() {
+  if (!providersRefresh) {
+    providersRefresh = fetchProviders()
+      .then(data => {
+        providersCache = { data, at: Date.now() };
+        return providersCache;
+      })
+      .finally(() => { providersRefresh = null; });
+  }
+  return providersRefresh;
+}
+
+app.get("/api/providers", async (req, res) => {
+  try {
+    // ?refresh=1 waits for fresh data; otherwise answer from the cache
+    if (!providersCache || req.query.refresh) await refreshProviders();
+    else if (Date.now() - providersCache.at > PROVIDERS_CACHE_TTL_MS) {
+      refreshProviders().catch(e => console.error("providers: background refresh failed:", formatErr(e)));
+    }
+    // Express adds an ETag; the browser revalidates and gets 304 when unchanged
+    res.set("Cache-Control", "no-cache");
+    res.json(providersCache.data);
+  } catch (err) {
+    console.error("providers fatal error:", formatErr(err));
+    res.status(500).json({ error: "Failed to fetch providers", details: formatErr(err) });
+  }
+});
+
+// ---- Git operations ----
+app.post("/api/git/clone", async (req, res) => {
+  try {
+    const { provider, owner, name, clone_url, default_branch } = req.body;
+    dlog("clone request:", { provider, owner, name, clone_url: redact(clone_url) });
+    // Let the provider refuse (e.g. GitLab projects scheduled for deletion)
+    const backend = providerBackend(String(provider || "").toLowerCase());
+    if (backend?.enabled() && backend.beforeClone && clone_url) await backend.beforeClone(clone_url);
+    const repoPath = await ensureClone(provider, owner, name, clone_url);
+    // The provider knows the real default branch even when origin/HEAD is unset
+    if (default_branch && getRepoSettings(repoPath).defaultBranch !== String(default_branch)) {
+      updateRepoSettings(repoPath, { defaultBranch: String(default_branch) });
+    }
+    res.json({ ok: true, repoId: repoIdFor(repoPath), repoPath });
+  } catch (err) {
+    console.error("clone error:", formatErr(err));
+    res.status(err.status || 500).json({ error: formatErr(err) });
+  }
+});
+
+app.post("/api/git/pull", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const before = await git.status();
+    await git.fetch();
+    const result = await git.pull();
+    const after = await git.status();
+    const upToDate = (after.behind || 0) === 0;
+    res.json({ ok: true, result, status: { before, after, upToDate } });
+  } catch (err) {
+    if (DEBUG) console.error("pull error:", formatErr(err));
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- Branches (list, create, delete, rename) ----
+// refs/heads/<branch>, else refs/remotes/origin/<branch>, else ""
+async function branchRef(git, branch) {
+  for (const ref of [`refs/heads/${branch}`, `refs/remotes/origin/${branch}`]) {
+    if (await git.raw(["rev-parse", "-q", "--verify", `${ref}^{commit}`]).catch(() => "")) return ref;
+  }
+  return "";
+}
+
+// The branch new work starts from and others are compared to: the provider's
+// default_branch (remembered at clone time), else origin/HEAD, else main/master
+async function defaultBranchFor(git, repoPath) {
+  const saved = getRepoSettings(repoPath).defaultBranch;
+  if (saved && await branchRef(git, saved)) return saved;
+  const remote = await remoteDefaultBranch(git);
+  if (remote) return remote;
+  for (const b of ["main", "master"]) if (await branchRef(git, b)) return b;
+  return "";
+}
+
+// origin/<default> is what counts as merged; the local copy may lag behind
+async function defaultBaseRef(git, repoPath) {
+  const name = await defaultBranchFor(git, repoPath);
+  if (!name) return { name: "", ref: "" };
+  const remote = `refs/remotes/origin/${name}`;
+  const ref = (await git.raw(["rev-parse", "-q", "--verify", remote]).catch(() => "")) ? remote : await branchRef(git, name);
+  return { name, ref };
+}
+
+function checkBranchName(name) {
+  const proc = spawnSync("git", ["check-ref-format", "--branch", String(name || "")], { encoding: "utf-8" });
+  if (!name || String(name).startsWith("-") || proc.status !== 0) {
+    throw Object.assign(new Error(`Invalid branch name "${name || ""}"`), { status: 400 });
+  }
+  return String(name);
+}
+
+app.get("/api/git/branches", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    // Fetch latest remote refs
+    try { await git.fetch(["--prune"]); } catch {}
+    // Get all branches (local + remote)
+    const branches = await git.branch(["-a"]);
+    // Filter and clean up remote branch names (remove "remotes/origin/" prefix)
+    const remoteBranches = branches.all
+      .filter(b => b.startsWith("remotes/origin/") && !b.includes("->"))
+      .map(b => b.replace("remotes/origin/", ""));
+    const localBranches = branches.all.filter(b => !b.startsWith("remotes/"));
+    // Merge local and remote, dedupe
+    const allBranches = [...new Set([...localBranches, ...remoteBranches])];
+    // Ahead/behind the default branch; the local copy of a branch if there is one
+    const base = await defaultBaseRef(git, repoPath);
+    const details = [];
+    for (const name of allBranches) {
+      const item = { name, local: localBranches.includes(name), remote: remoteBranches.includes(name), ahead: 0, behind: 0 };
+      if (base.ref) {
+        const ref = item.local ? `refs/heads/${name}` : `refs/remotes/origin/${name}`;
+        const counts = await git.raw(["rev-list", "--left-right", "--count", `${base.ref}...${ref}`]).catch(() => "");
+        const [behind, ahead] = counts.trim().split(/\s+/).map(Number);
+        Object.assign(item, { ahead: ahead || 0, behind: behind || 0 });
+      }
+      details.push(item);
+    }
+    res.json({ ok: true, current: branches.current, all: allBranches, defaultBranch: base.name, branches: details });
+  } catch (err) {
+    if (DEBUG) console.error("branches error:", formatErr(err));
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/checkout", withRepo, async (req, res) => {
+  try {
+    const { branch } = req.body;
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    await git.checkout(branch);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/createBranch", withRepo, async (req, res) => {
+  try {
+    const { branchName, sourceBranch, issue, setUpstream } = req.body;
+    const { repoPath } = req;
+    if (!branchName) return res.status(400).json({ error: "branchName is required" });
+    checkBranchName(branchName);
+    const git = simpleGit(repoPath);
+    let source = sourceBranch || await defaultBranchFor(git, repoPath) || "HEAD";
+    // A branch that only exists on the remote is branched from origin/<name>
+    const isLocal = (await git.raw(["branch", "--list", source])).trim() !== "";
+    if (!isLocal && (await git.raw(["branch", "-r", "--list", `origin/${source}`])).trim()) source = `origin/${source}`;
+    // Create new branch from source and checkout to it
+    await git.checkout(["-b", branchName, "--no-track", source]);
+    // Work started from an issue is linked to it in commits and PRs
+    if (issue?.number) saveBranchIssue(repoPath, branchName, { number: Number(issue.number), title: String(issue.title || ""), url: String(issue.url || "") });
+    // Publish right away so the branch tracks origin/<name> from the start
+    if (setUpstream) {
+      try {
+        const pushed = await pushBranch(git, { setUpstream: true });
+        return res.json({ ok: true, branch: branchName, upstream: pushed.upstream });
+      } catch (e) {
+        return res.json({ ok: true, branch: branchName, upstream: "", warning: `Created locally, but pushing it failed: ${redact(e.message)}` });
+      }
+    }
+    res.json({ ok: true, branch: branchName, upstream: "" });
+  } catch (err) {
+    if (DEBUG) console.error("createBranch error:", formatErr(err));
+    res.status(err.status || 500).json({ error: redact(formatErr(err)) });
+  }
+});
+
+// Deletes a branch locally and/or on origin. Unless force is set, a branch
+// whose commits are neither merged into the default branch nor kept elsewhere
+// (origin/<branch> when only the local copy goes) is refused with 409.
+app.post("/api/git/deleteBranch", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const branch = checkBranchName(req.body?.branch);
+    const { local = true, remote = false, force = false } = req.body || {};
+    if (!local && !remote) return res.status(400).json({ error: "Nothing to delete: pick local and/or remote" });
+    const base = await defaultBaseRef(git, repoPath);
+    if (branch === base.name) return res.status(409).json({ error: `${branch} is the default branch` });
+    const current = (await git.revparse(["--abbrev-ref", "HEAD"]).catch(() => "")).trim();
+    const localRef = `refs/heads/${branch}`;
+    const remoteRef = `refs/remotes/origin/${branch}`;
+    const has = async (ref) => Boolean(await git.raw(["rev-parse", "-q", "--verify", ref]).catch(() => ""));
+    const hasLocal = local && await has(localRef);
+    const hasRemote = remote && await has(remoteRef);
+    if (!hasLocal && !hasRemote) return res.status(404).json({ error: `No such branch: ${branch}` });
+    if (hasLocal && branch === current) return res.status(409).json({ error: `${branch} is checked out; switch to another branch first` });
+    if (!force) {
+      const unmerged = async (ref, keep) => {
+        const not = [base.ref, ...keep].filter(Boolean);
+        return Number((await git.raw(["rev-list", "--count", ref, ...not.map(r => `^${r}`)])).trim());
+      };
+      const remoteKept = !remote && await has(remoteRef);
+      const n = Math.max(hasLocal ? await unmerged(localRef, remoteKept ? [remoteRef] : []) : 0, hasRemote ? await unmerged(remoteRef, []) : 0);
+      if (n) {
+        return res.status(409).json({
+          error: `${branch} has ${n} commit${n === 1 ? "" : "s"} not merged into ${base.name || "the default branch"}${remoteKept ? " or pushed" : ""}`,
+          unmerged: n
+        });
+      }
+    }
+    // Remote first: if the server refuses (protected branch), the local one stays
+    if (hasRemote) {
+      await pushToOrigin(git, [`:refs/heads/${branch}`]);
+      await git.raw(["update-ref", "-d", remoteRef]);
+    }
+    if (hasLocal) {
+      await git.raw(["branch", "-D", branch]);
+      const links = readState("branch-issues", {});
+      if (links[repoSettingsKey(repoPath)]?.[branch]) {
+        delete links[repoSettingsKey(repoPath)][branch];
+        writeState("branch-issues", links);
+      }
+    }
+    res.json({ ok: true, branch, local: hasLocal, remote: hasRemote });
+  } catch (err) {
+    if (DEBUG) console.error("deleteBranch error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message, ...(err.kind ? { kind: err.kind } : {}) });
+  }
+});
+
+// Renames a local branch; with remote, origin/<from> is replaced by
+// origin/<to> and the branch tracks the new name
+app.post("/api/git/renameBranch", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const from = checkBranchName(req.body?.from);
+    const to = checkBranchName(req.body?.to);
+    const remote = Boolean(req.body?.remote);
+    if (!(await git.raw(["rev-parse", "-q", "--verify", `refs/heads/${from}`]).catch(() => ""))) {
+      return res.status(404).json({ error: `No local branch ${from}` });
+    }
+    if (await branchRef(git, to)) return res.status(409).json({ error: `A branch named ${to} already exists` });
+    const base = await defaultBaseRef(git, repoPath);
+    const hasRemote = Boolean(await git.raw(["rev-parse", "-q", "--verify", `refs/remotes/origin/${from}`]).catch(() => ""));
+    if (remote && hasRemote && from === base.name) return res.status(409).json({ error: `${from} is the default branch on origin; rename it on the provider instead` });
+    await git.raw(["branch", "-m", from, to]);
+    const links = readState("branch-issues", {});
+    const mine = links[repoSettingsKey(repoPath)];
+    if (mine?.[from]) {
+      mine[to] = mine[from];
+      delete mine[from];
+      writeState("branch-issues", links);
+    }
+    if (remote && hasRemote) {
+      try {
+        await pushToOrigin(git, [`refs/heads/${to}:refs/heads/${to}`]);
+        await git.raw(["update-ref", `refs/remotes/origin/${to}`, `refs/heads/${to}`]);
+        await git.addConfig(`branch.${to}.remote`, "origin");
+        await git.addConfig(`branch.${to}.merge`, `refs/heads/${to}`);
+        await pushToOrigin(git, [`:refs/heads/${from}`]);
+        await git.raw(["update-ref", "-d", `refs/remotes/origin/${from}`]);
+      } catch (e) {
+        return res.status(e.status || 500).json({ error: `Renamed locally, but updating origin failed: ${e.message}`, kind: e.kind, branch: to });
+      }
+    }
+    res.json({ ok: true, branch: to, remote: remote && hasRemote });
+  } catch (err) {
+    if (DEBUG) console.error("renameBranch error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- Commit, amend and push ----
+// Committing is local; push sends the current branch to origin through the
+// provider's token URL and then moves origin/<branch> itself, since a push to
+// a URL does not update remote-tracking refs.
+async function ensureCommitIdentity(git) {
+  // Ensure author/committer identity is set locally for this repo
+  const name = process.env.GIT_AUTHOR_NAME || process.env.GIT_COMMITTER_NAME || GH_USER || "claude";
+  const email = process.env.GIT_AUTHOR_EMAIL || process.env.GIT_COMMITTER_EMAIL || (GH_USER ? `${GH_USER}@users.noreply.github.com` : "claude@example.invalid");
+  try {
+    await git.addConfig("user.name", name);
+    await git.addConfig("user.email", email);
+  } catch {}
+}
+
+async function currentBranch(git) {
+  const branch = (await git.revparse(["--abbrev-ref", "HEAD"]).catch(() => "")).trim();
+  if (!branch || branch === "HEAD") throw Object.assign(new Error("Not on a branch (detached HEAD)"), { status: 409 });
+  return branch;
+}
+
+// Whether HEAD is already on origin (then amending it needs a force push)
+async function headIsPushed(git) {
+  const out = await git.raw(["branch", "-r", "--contains", "HEAD"]).catch(() => "");
+  return out.split("\n").some(l => l.trim().startsWith("origin/"));
+}
+
+// onlyStaged commits exactly the index; otherwise everything is added first.
+// amend rewrites HEAD, keeping its message when none is given.
+async function commitChanges(git, repoPath, { message, onlyStaged = false, amend = false }) {
+  if (!onlyStaged) await git.add("--all");
+  const staged = (await git.raw(["diff", "--staged", "--name-only"])).trim();
+  if (!staged && !amend) throw Object.assign(new Error(onlyStaged ? "Nothing is staged" : "Nothing to commit"), { status: 400 });
+  await ensureCommitIdentity(git);
+  const wasPushed = amend ? await headIsPushed(git) : false;
+  const text = String(message || "").trim();
+  const args = ["commit", "-q"];
+  if (amend) args.push("--amend");
+  if (text) args.push("-m", await withIssueRef(git, repoPath, text));
+  else if (amend) args.push("--no-edit");
+  else args.push("-m", await withIssueRef(git, repoPath, `claude-${new Date().toISOString()}`));
+  await git.raw(args);
+  const hash = (await git.revparse(["HEAD"])).trim();
+  return { commit: hash, amended: amend, needsForce: wasPushed };
+}
+
+// Why the remote refused a push, from git's output: "protected" (branch
+// protection), "auth" (credentials), "rejected" (origin has commits we lack),
+// "hook" (a server-side hook said no) or "unknown"
+function classifyPushError(message) {
+  const m = String(message || "");
+  if (/protected branch|GH006|not allowed to (force[- ])?push|cannot force-push/i.test(m)) return "protected";
+  if (/Authentication failed|could not read Username|Invalid username or password|HTTP Basic: Access denied|Permission to \S+ denied|terminal prompts disabled|error: 40[13]/i.test(m)) return "auth";
+  if (/non-fast-forward|fetch first|stale info|\[rejected\]|Updates were rejected/i.test(m)) return "rejected";
+  if (/hook declined|pre-receive hook|\[remote rejected\]/i.test(m)) return "hook";
+  return "unknown";
+}
+
+// `git push [flags] <origin with token> <refspecs>`; errors carry `kind`
+async function pushToOrigin(git, refspecs, flags = []) {
+  const url = injectTokenIntoUrl(await originUrl(git));
+  try {
+    await git.raw(["push", ...flags, url, ...refspecs]);
+  } catch (e) {
+    const kind = classifyPushError(e.message);
+    throw Object.assign(new Error(redact(e.message)), { status: kind === "auth" || kind === "unknown" ? 502 : 409, kind });
+  }
+}
+
+async function pushBranch(git, { force = false, setUpstream = false } = {}) {
+  const branch = await currentBranch(git);
+  const tracking = `refs/remotes/origin/${branch}`;
+  const flags = ["--follow-tags"];
+  if (force) {
+    // Lease on what we last saw of origin/<branch> (or on it not existing)
+    const seen = (await git.raw(["rev-parse", "--verify", "-q", tracking]).catch(() => "")).trim();
+    flags.push(`--force-with-lease=refs/heads/${branch}:${seen}`);
+  }
+  await pushToOrigin(git, [`refs/heads/${branch}:refs/heads/${branch}`], flags);
+  await git.raw(["update-ref", tracking, "HEAD"]);
+  // `push -u <url>` would write the token into .git/config; point at origin instead
+  if (setUpstream) {
+    await git.addConfig(`branch.${branch}.remote`, "origin");
+    await git.addConfig(`branch.${branch}.merge`, `refs/heads/${branch}`);
+  }
+  return { branch, forced: Boolean(force), upstream: setUpstream ? `origin/${branch}` : "" };
+}
+
+// Commits not on origin yet: ahead of the upstream, or, without one, not on
+// any origin branch
+async function aheadCount(git, st) {
+  if (st.tracking) return st.ahead || 0;
+  const n = await git.raw(["rev-list", "--count", "HEAD", "--not", "--remotes=origin"]).catch(() => "0");
+  return Number(n.trim()) || 0;
+}
+
+app.post("/api/git/commit", withRepo, async (req, res) => {
+  try {
+    const { message, onlyStaged } = req.body || {};
+    const result = await commitChanges(simpleGit(req.repoPath), req.repoPath, { message, onlyStaged });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    if (DEBUG) console.error("commit error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/amend", withRepo, async (req, res) => {
+  try {
+    const { message, onlyStaged } = req.body || {};
+    const git = simpleGit(req.repoPath);
+    const hasHead = await git.raw(["rev-parse", "--verify", "-q", "HEAD"]).then(() => true, () => false);
+    if (!hasHead) return res.status(400).json({ error: "There is no commit to amend" });
+    const result = await commitChanges(git, req.repoPath, { message, onlyStaged, amend: true });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    if (DEBUG) console.error("amend error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/push", withRepo, async (req, res) => {
+  try {
+    const { force, setUpstream } = req.body || {};
+    const git = simpleGit(req.repoPath);
+    const result = await pushBranch(git, { force, setUpstream });
+    const st = await git.status();
+    res.json({ ok: true, ...result, ahead: await aheadCount(git, st), behind: st.behind || 0 });
+  } catch (err) {
+    if (DEBUG) console.error("push error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message, kind: err.kind });
+  }
+});
+
+// Commit everything (or the index) and push in one go, as before the split
+app.post("/api/git/commitPush", withRepo, async (req, res) => {
+  try {
+    const { message, onlyStaged } = req.body || {};
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const result = await commitChanges(git, repoPath, { message, onlyStaged });
+    const st = await git.status();
+    await pushBranch(git, { setUpstream: !st.tracking });
+    res.json({ ok: true, commit: { commit: result.commit } });
+  } catch (err) {
+    if (DEBUG) console.error("commitPush error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message, kind: err.kind });
+  }
+});
+
+// ---- Syncing with origin and resolving conflicts ----
+// A rejected push is recovered by rebasing onto or merging origin/<branch>.
+// Conflicts leave a rebase/merge (or cherry-pick/revert) in progress; files
+// are resolved one by one and the operation is then continued or aborted.
+async function operationInProgress(git, repoPath) {
+  const gitDir = path.resolve(repoPath, (await git.revparse(["--git-dir"])).trim());
+  const has = (p) => fs.existsSync(path.join(gitDir, p));
+  const operation = has("rebase-merge") || has("rebase-apply") ? "rebase"
+    : has("MERGE_HEAD") ? "merge"
+    : has("CHERRY_PICK_HEAD") ? "cherry-pick"
+    : has("REVERT_HEAD") ? "revert"
+    : "";
+  // Unmerged files can also come without an operation, from a stash apply
+  const conflicts = (await git.raw(["diff", "--name-only", "--diff-filter=U"])).split("\n").filter(Boolean);
+  return { operation, conflicts, step: operation === "rebase" ? await rebaseStep(git, gitDir) : null };
+}
+
+// Where a rebase stands: commit `current` of `total`, and the commit it stopped at
+async function rebaseStep(git, gitDir) {
+  const read = (f) => { try { return fs.readFileSync(path.join(gitDir, f), "utf-8").trim(); } catch { return ""; } };
+  const merge = fs.existsSync(path.join(gitDir, "rebase-merge"));
+  const current = Number(read(merge ? "rebase-merge/msgnum" : "rebase-apply/next")) || 0;
+  const total = Number(read(merge ? "rebase-merge/end" : "rebase-apply/last")) || 0;
+  const hash = read("REBASE_HEAD") || read("rebase-merge/stopped-sha");
+  const message = hash ? (await git.raw(["log", "-1", "--format=%s", hash]).catch(() => "")).trim() : "";
+  return { current, total, hash, message };
+}
+
+function sendConflicts(res, state) {
+  return res.status(409).json({ error: `Conflicts in ${state.conflicts.length} file${state.conflicts.length === 1 ? "" : "s"}`, ...state, labels: conflictLabels(state.operation) });
+}
+
+// Which side is which: while rebasing, HEAD is the branch being rebased onto
+// and "theirs" is your own commit being replayed
+function conflictLabels(operation) {
+  if (operation === "rebase") return { ours: "rebasing onto", theirs: "your commit" };
+  if (operation === "merge") return { ours: "yours", theirs: "merged in" };
+  if (!operation) return { ours: "yours", theirs: "stashed" };
+  return { ours: "yours", theirs: operation === "revert" ? "reverted" : "picked" };
+}
+
+// Splits a file with conflict markers into plain text and conflict hunks
+// ({ ours, base, theirs }; base only with diff3 markers)
+function parseConflictMarkers(text) {
+  const segments = [];
+  let plain = "";
+  let cur = null;
+  let raw = "";
+  let part = "";
+  for (const line of String(text).split(/(?<=\n)/)) {
+    if (!cur && /^<{7}(?: |\r?\n|$)/.test(line)) {
+      if (plain) segments.push({ text: plain });
+      plain = "";
+      cur = { ours: "", base: null, theirs: "" };
+      raw = line;
+      part = "ours";
+      continue;
+    }
+    if (cur) {
+      raw += line;
+      if (part === "ours" && /^\|{7}(?: |\r?\n|$)/.test(line)) { cur.base = ""; part = "base"; continue; }
+      if (part !== "theirs" && /^={7}(?:\r?\n|$)/.test(line)) { part = "theirs"; continue; }
+      if (part === "theirs" && /^>{7}(?: |\r?\n|$)/.test(line)) { segments.push(cur); cur = null; continue; }
+      cur[part] += line;
+      continue;
+    }
+    plain += line;
+  }
+  // An unterminated block is not a conflict, keep it as it is
+  if (cur) plain += raw;
+  if (plain) segments.push({ text: plain });
+  return segments;
+}
+
+const CONFLICT_MARKER = /^(?:<{7}|>{7})(?: |\r?\n|$)/m;
+
+// rebase/merge/--continue without ever waiting for an editor; simple-git
+// refuses to override core.editor, so this goes through gitRun
+function gitNoEditor(repoPath, args) {
+  return gitRun(repoPath, args, { ...process.env, GIT_EDITOR: "true" });
+}
+
+app.get("/api/git/operation", withRepo, async (req, res) => {
+  try {
+    const git = simpleGit(req.repoPath);
+    const state = await operationInProgress(git, req.repoPath);
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, ...state, labels: conflictLabels(state.operation) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Updates origin/<branch> through the token URL; false if origin has no such branch
+async function fetchOriginBranch(git, branch) {
+  const url = injectTokenIntoUrl(await originUrl(git));
+  try {
+    await git.raw(["fetch", url, `+refs/heads/${branch}:refs/remotes/origin/${branch}`]);
+    return true;
+  } catch (e) {
+    if (/couldn't find remote ref/i.test(e.message)) return false;
+    throw Object.assign(new Error(redact(e.message)), { status: 502 });
+  }
+}
+
+// Fetch origin/<branch> and rebase onto it or merge it; local changes are
+// stashed around the operation
+app.post("/api/git/sync", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const strategy = req.body?.strategy || "rebase";
+    if (!["rebase", "merge"].includes(strategy)) return res.status(400).json({ error: "strategy must be rebase or merge" });
+    const git = simpleGit(repoPath);
+    const branch = await currentBranch(git);
+    const before = await operationInProgress(git, repoPath);
+    if (before.operation) return res.status(409).json({ error: `A ${before.operation} is already in progress`, ...before });
+    if (!await fetchOriginBranch(git, branch)) return res.status(404).json({ error: `origin has no branch ${branch}` });
+    await ensureCommitIdentity(git);
+    const onto = `origin/${branch}`;
+    try {
+      await gitNoEditor(repoPath, strategy === "rebase" ? ["rebase", "--autostash", onto] : ["merge", "--no-edit", "--autostash", onto]);
+    } catch (e) {
+      const state = await operationInProgress(git, repoPath);
+      if (state.conflicts.length) {
+        return sendConflicts(res, state);
+      }
+      throw Object.assign(new Error(redact(e.message)), { status: 409 });
+    }
+    const st = await git.status();
+    res.json({ ok: true, strategy, onto, ahead: await aheadCount(git, st), behind: st.behind || 0 });
+  } catch (err) {
+    if (DEBUG) console.error("sync error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Resolve one conflicted file with the given content (or by deleting it)
+app.post("/api/git/resolve", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const { path: file, content, delete: remove } = req.body || {};
+    if (!file) return res.status(400).json({ error: "path is required" });
+    const abs = safeJoin(repoPath, file);
+    const git = simpleGit(repoPath);
+    if (remove) {
+      await git.raw(["rm", "-q", "--ignore-unmatch", "--", file]);
+    } else {
+      if (typeof content !== "string") return res.status(400).json({ error: "content is required" });
+      if (CONFLICT_MARKER.test(content)) return res.status(400).json({ error: "The file still has conflict markers" });
+      fs.mkdirSync(path.dirname(abs), { recursive: true });
+      fs.writeFileSync(abs, content);
+      await git.raw(["add", "--", file]);
+    }
+    const state = await operationInProgress(git, repoPath);
+    res.json({ ok: true, ...state, labels: conflictLabels(state.operation) });
+  } catch (err) {
+    if (DEBUG) console.error("resolve error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/operation/continue", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const before = await operationInProgress(git, repoPath);
+    if (!before.operation) return res.status(409).json({ error: "Nothing to continue" });
+    if (before.conflicts.length) return res.status(409).json({ error: `Resolve ${before.conflicts.length} conflicted file${before.conflicts.length === 1 ? "" : "s"} first`, ...before });
+    await ensureCommitIdentity(git);
+    try {
+      await gitNoEditor(repoPath, before.operation === "merge" ? ["commit", "--no-edit"] : [before.operation, "--continue"]);
+    } catch (e) {
+      // A rebase stops again at the next commit that conflicts
+      const state = await operationInProgress(git, repoPath);
+      if (state.conflicts.length) {
+        return sendConflicts(res, state);
+      }
+      throw Object.assign(new Error(e.message), { status: 409 });
+    }
+    const state = await operationInProgress(git, repoPath);
+    res.json({ ok: true, ...state, labels: conflictLabels(state.operation) });
+  } catch (err) {
+    if (DEBUG) console.error("continue error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/operation/abort", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const { operation } = await operationInProgress(git, repoPath);
+    if (!operation) return res.status(409).json({ error: "Nothing to abort" });
+    await git.raw([operation, "--abort"]);
+    res.json({ ok: true, aborted: operation });
+  } catch (err) {
+    if (DEBUG) console.error("abort error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Drop the commit the rebase (or cherry-pick/revert) stopped at and go on
+app.post("/api/git/operation/skip", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const { operation } = await operationInProgress(git, repoPath);
+    if (!operation) return res.status(409).json({ error: "Nothing to skip" });
+    if (operation === "merge") return res.status(400).json({ error: "A merge cannot be skipped; resolve it or abort" });
+    try {
+      await gitNoEditor(repoPath, [operation, "--skip"]);
+    } catch (e) {
+      const state = await operationInProgress(git, repoPath);
+      if (state.conflicts.length) return sendConflicts(res, state);
+      throw Object.assign(new Error(e.message), { status: 409 });
+    }
+    const state = await operationInProgress(git, repoPath);
+    res.json({ ok: true, skipped: operation, ...state, labels: conflictLabels(state.operation) });
+  } catch (err) {
+    if (DEBUG) console.error("skip error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- Merge and rebase the current branch ----
+// The other side is the local branch, or origin/<branch>, freshly fetched, when
+// there is no local one. A local branch that is only behind origin is
+// fast-forwarded first; one that has diverged is used as it is, with a warning.
+// Local changes are stashed around the operation.
+const MERGE_MODES = ["ff", "ff-only", "no-ff"];
+
+// { source, updated?, behindOrigin?, warning? }
+async function integrationSource(git, repoPath, branch) {
+  const name = checkBranchName(branch);
+  const local = (await git.raw(["rev-parse", "-q", "--verify", `refs/heads/${name}`]).catch(() => "")).trim();
+  let fetched = false;
+  try {
+    fetched = await fetchOriginBranch(git, name);
+  } catch (e) {
+    if (!local) throw Object.assign(new Error(`Unknown branch ${name}`), { status: 404 });
+    if (e.status !== 400) return { source: name, warning: `origin could not be reached; used your local ${name} as it is` };
+  }
+  if (!local) {
+    if (fetched) return { source: `origin/${name}` };
+    throw Object.assign(new Error(`Unknown branch ${name}`), { status: 404 });
+  }
+  const remote = `refs/remotes/origin/${name}`;
+  const behind = fetched ? Number((await git.raw(["rev-list", "--count", `${local}..${remote}`])).trim()) : 0;
+  if (!behind) return { source: name };
+  if (await isAncestor(repoPath, local, remote)) {
+    // Only moves the ref if nobody moved it since we looked
+    await git.raw(["update-ref", `refs/heads/${name}`, remote, local]);
+    return { source: name, updated: behind };
+  }
+  return {
+    source: name,
+    behindOrigin: behind,
+    warning: `Your local ${name} has diverged from origin/${name}, which has ${behind} commit${behind === 1 ? "" : "s"} it does not; pull ${name} to bring them in too`
+  };
+}
+
+// After a rebase, origin/<current> is no longer an ancestor and the next push
+// has to be forced
+async function integrationResult(git, repoPath, current) {
+  const remote = (await git.raw(["rev-parse", "-q", "--verify", `refs/remotes/origin/${current}`]).catch(() => "")).trim();
+  const st = await git.status();
+  return { ahead: await aheadCount(git, st), behind: st.behind || 0, needsForce: Boolean(remote) && !await isAncestor(repoPath, remote, "HEAD") };
+}
+
+async function integrate(req, res, op) {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const current = await currentBranch(git);
+    const mode = String(req.body?.mode || "ff");
+    if (op === "merge" && !MERGE_MODES.includes(mode)) return res.status(400).json({ error: `mode must be one of ${MERGE_MODES.join(", ")}` });
+    const branch = String(req.body?.branch || "");
+    if (branch === current) return res.status(400).json({ error: `${current} is the current branch` });
+    const before = await operationInProgress(git, repoPath);
+    if (before.operation) return res.status(409).json({ error: `A ${before.operation} is already in progress`, ...before });
+    const { source, ...sourceInfo } = await integrationSource(git, repoPath, branch || await defaultBranchFor(git, repoPath));
+    if (await isAncestor(repoPath, source, "HEAD")) {
+      return res.json({ ok: true, upToDate: true, source, ...sourceInfo, ...await integrationResult(git, repoPath, current) });
+    }
+    await ensureCommitIdentity(git);
+    const args = op === "rebase" ? ["rebase", "--autostash", source] : ["merge", "--no-edit", "--autostash", `--${mode}`, source];
+    try {
+      await gitNoEditor(repoPath, args);
+    } catch (e) {
+      const state = await operationInProgress(git, repoPath);
+      if (state.conflicts.length) return sendConflicts(res, state);
+      const msg = /Not possible to fast-forward|not possible to fast-forward/.test(e.message)
+        ? `${current} has commits that ${source} does not; it cannot be fast-forwarded. Merge with a merge commit or rebase instead.`
+        : redact(e.message);
+      throw Object.assign(new Error(msg), { status: 409 });
+    }
+    res.json({ ok: true, source, ...sourceInfo, mode: op === "merge" ? mode : undefined, ...await integrationResult(git, repoPath, current) });
+  } catch (err) {
+    if (DEBUG) console.error(`${op} error:`, formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+}
+
+// { branch (default: the default branch), mode: ff | ff-only | no-ff }
+app.post("/api/git/merge", withRepo, (req, res) => integrate(req, res, "merge"));
+// { branch (default: the default branch) }
+app.post("/api/git/rebase", withRepo, (req, res) => integrate(req, res, "rebase"));
+
+// ---- Discarding changes (rollback, files, hunks) ----
+// Each discard first saves the working tree as a checkpoint (see Checkpoints
+// below). For DISCARD_UNDO_MS the response's undo id puts the discarded files
+// back from it; after that the checkpoint is still in the list.
+const DISCARD_UNDO_MS = Number(process.env.DISCARD_UNDO_MS || 60_000);
+// undo id -> { repoPath, hash, paths }
+const pendingUndos = new Map();
+
+async function backupBeforeDiscard(repoPath) {
+  // An unchanged tree is not checkpointed again; the newest one has it already
+  return await takeCheckpoint(repoPath, "before discard") || (await listCheckpoints(repoPath))[0];
+}
+
+async function offerUndo(repoPath, backup) {
+  const paths = (await gitRun(repoPath, ["diff", "--name-only", "--no-renames", backup.hash, await workingTreeId(repoPath)])).split("\n").filter(Boolean);
+  if (!paths.length) return null;
+  const id = uuidv4();
+  pendingUndos.set(id, { repoPath, hash: backup.hash, paths });
+  setTimeout(() => pendingUndos.delete(id), DISCARD_UNDO_MS).unref();
+  return { id, expiresAt: new Date(Date.now() + DISCARD_UNDO_MS).toISOString(), checkpoint: backup.id, paths };
+}
+
+app.post("/api/git/rollback", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const backup = await backupBeforeDiscard(repoPath);
+    // Discard changes to tracked files
+    await git.checkout(["."]);
+    // Remove untracked files and directories
+    await git.clean("f", ["-d"]);
+    res.json({ ok: true, undo: await offerUndo(repoPath, backup) });
+  } catch (err) {
+    if (DEBUG) console.error("rollback error:", formatErr(err));
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Discard whole files ({ paths }: staged and unstaged changes, new files are
+// deleted) or one hunk of a file's unstaged diff ({ path, hunk }, named by its
+// "@@" line like /api/git/stageHunk)
+app.post("/api/git/discard", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const { paths, path: file, hunk } = req.body || {};
+    const git = simpleGit(repoPath);
+    if (hunk) {
+      if (!file) return res.status(400).json({ error: "path is required with hunk" });
+      safeJoin(repoPath, file);
+      const range = /^@@ [^@]+ @@/.exec(String(hunk))?.[0];
+      if (!range) return res.status(400).json({ error: "hunk must start with its @@ line" });
+      let fileDiff = await git.raw(["diff", "--no-ext-diff", "--", file]);
+      if (!fileDiff.trim()) fileDiff = await untrackedDiff(git, repoPath, file);
+      const { header, hunks } = splitHunks(fileDiff);
+      const picked = hunks.find(h => h.startsWith(range));
+      if (!picked) return res.status(409).json({ error: "That hunk is no longer in the diff; refresh and try again" });
+      const backup = await backupBeforeDiscard(repoPath);
+      await gitWithInput(repoPath, ["apply", "-R", "-"], `${header}\n${picked}\n`);
+      return res.json({ ok: true, undo: await offerUndo(repoPath, backup) });
+    }
+    if (!Array.isArray(paths) || !paths.length) return res.status(400).json({ error: "paths (or path and hunk) are required" });
+    const files = paths.map(String);
+    for (const p of files) safeJoin(repoPath, p);
+    const backup = await backupBeforeDiscard(repoPath);
+    const head = await git.raw(["rev-parse", "-q", "--verify", "HEAD"]).then(s => s.trim()).catch(() => "");
+    for (const p of files) {
+      const inHead = head && spawnSync("git", ["cat-file", "-e", `HEAD:${p}`], { cwd: repoPath }).status === 0;
+      if (inHead) {
+        await git.raw(["restore", "--source=HEAD", "--staged", "--worktree", "--", p]);
+      } else {
+        await git.raw(["rm", "-r", "--cached", "--quiet", "--ignore-unmatch", "--", p]);
+        fs.rmSync(safeJoin(repoPath, p), { recursive: true, force: true });
+      }
+    }
+    res.json({ ok: true, undo: await offerUndo(repoPath, backup) });
+  } catch (err) {
+    if (DEBUG) console.error("discard error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Put back what a discard removed. The files return as unstaged changes.
+app.post("/api/git/discard/undo", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const pending = pendingUndos.get(String(req.body?.id || ""));
+    if (!pending || pending.repoPath !== repoPath) {
+      return res.status(410).json({ error: "The undo window has passed; the discarded changes are still in the Checkpoints list" });
+    }
+    pendingUndos.delete(req.body.id);
+    await takeCheckpoint(repoPath, "before restore");
+    res.json({ ok: true, ...await restoreCheckpoint(repoPath, pending.hash, pending.paths) });
+  } catch (err) {
+    if (DEBUG) console.error("discard undo error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- Stashes ----
+// Addressed by index (stash@{n}); callers pass the hash they listed so an
+// index that moved since (another push/drop) is refused instead of hitting
+// the wrong stash.
+async function listStashes(git) {
+  const out = await git.raw(["stash", "list", "--format=%gd%x00%H%x00%cI%x00%gs"]);
+  return out.split("\n").filter(Boolean).map((line, index) => {
+    const [ref, hash, date, subject] = line.split("\0");
+    // "On main: message" or "WIP on main: abc1234 last commit subject"
+    const m = /^(?:WIP on|On) ([^:]+): (.*)$/.exec(subject || "");
+    return { index, ref, hash, date, branch: m ? m[1] : "", message: m ? m[2] : subject };
+  });
+}
+
+async function stashAt(git, req) {
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0) throw Object.assign(new Error("Invalid stash index"), { status: 400 });
+  const stash = (await listStashes(git))[index];
+  if (!stash) throw Object.assign(new Error(`No stash@{${index}}`), { status: 404 });
+  const hash = req.body?.hash || req.query.hash;
+  if (hash && hash !== stash.hash) throw Object.assign(new Error("The stash list changed; refresh and try again"), { status: 409 });
+  return stash;
+}
+
+app.get("/api/git/stashes", withRepo, async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, stashes: await listStashes(simpleGit(req.repoPath)) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/stashes", withRepo, async (req, res) => {
+  try {
+    const { message = "", includeUntracked = true } = req.body || {};
+    const git = simpleGit(req.repoPath);
+    const before = (await listStashes(git))[0]?.hash;
+    const args = ["stash", "push"];
+    if (includeUntracked) args.push("--include-untracked");
+    if (String(message).trim()) args.push("-m", String(message).trim());
+    await git.raw(args);
+    const stashes = await listStashes(git);
+    if (stashes[0]?.hash === before) return res.status(400).json({ error: "No local changes to stash" });
+    res.json({ ok: true, stash: stashes[0], stashes });
+  } catch (err) {
+    if (DEBUG) console.error("stash push error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// The stash as a patch against its base commit, or with ?against=worktree the
+// working tree compared to it (tracked files)
+app.get("/api/git/stashes/:index", withRepo, async (req, res) => {
+  try {
+    const git = simpleGit(req.repoPath);
+    const stash = await stashAt(git, req);
+    const diff = req.query.against === "worktree"
+      ? await git.raw(["diff", "--no-ext-diff", stash.hash])
+      : await git.raw(["stash", "show", "-p", "--include-untracked", "--no-ext-diff", stash.ref]);
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, stash, diff });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+for (const action of ["apply", "pop"]) {
+  app.post(`/api/git/stashes/:index/${action}`, withRepo, async (req, res) => {
+    try {
+      const { repoPath } = req;
+      const git = simpleGit(repoPath);
+      const stash = await stashAt(git, req);
+      try {
+        await git.raw(["stash", action, "--index", stash.ref]);
+      } catch (e) {
+        // Conflicts leave the stash in place (also for pop) and the files unmerged
+        const conflicts = (await git.raw(["diff", "--name-only", "--diff-filter=U"])).split("\n").filter(Boolean);
+        const overwritten = /would be overwritten[^\n]*:\n((?:\t[^\n]+\n?)+)/.exec(e.message)?.[1].split("\n").map(l => l.trim()).filter(Boolean);
+        const msg = conflicts.length ? `The stash conflicts with ${conflicts.join(", ")}; it was kept`
+          : overwritten ? `Local changes to ${overwritten.join(", ")} would be overwritten; commit or stash them first`
+          : e.message;
+        throw Object.assign(new Error(msg), { status: 409, conflicts });
+      }
+      res.json({ ok: true, stashes: await listStashes(git) });
+    } catch (err) {
+      if (DEBUG) console.error(`stash ${action} error:`, formatErr(err));
+      res.status(err.status || 500).json({ error: err.message, conflicts: err.conflicts });
+    }
+  });
+}
+
+app.delete("/api/git/stashes/:index", withRepo, async (req, res) => {
+  try {
+    const git = simpleGit(req.repoPath);
+    const stash = await stashAt(git, req);
+    await git.raw(["stash", "drop", "-q", stash.ref]);
+    res.json({ ok: true, dropped: stash, stashes: await listStashes(git) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- Checkpoints (automatic working-tree snapshots) ----
+// A checkpoint is a commit of the whole working tree (tracked and untracked,
+// ignored files left out) on top of HEAD, like `git stash create` but built
+// in a throwaway index so the real index and the stash list stay untouched.
+// They live under refs/web-claude/checkpoints/<ms> and are taken every
+// CHECKPOINT_INTERVAL_MS for repos in use, and when the polled diff changes
+// (at most every CHECKPOINT_MIN_GAP_MS). Unchanged trees are skipped, and only
+// the newest CHECKPOINT_KEEP are kept.
+const CHECKPOINT_REFS = "refs/web-claude/checkpoints/";
+const CHECKPOINT_INTERVAL_MS = Number(process.env.CHECKPOINT_INTERVAL_MS ?? 5 * 60_000);
+const CHECKPOINT_MIN_GAP_MS = Number(process.env.CHECKPOINT_MIN_GAP_MS || 30_000);
+const CHECKPOINT_KEEP = Number(process.env.CHECKPOINT_KEEP || 50);
+// A repo counts as in use for this long after its diff was last polled
+const CHECKPOINT_IDLE_MS = 30 * 60_000;
+
+// repoPath -> { seenAt, diffHash, lastAt, tree }
+const checkpointRepos = new Map();
+// repoPath -> the checkpoint being taken there
+const checkpointsRunning = new Map();
+
+// Tree id of the working tree as it is now
+async function workingTreeId(repoPath) {
+  const tmpIndex = path.join(TMP_ROOT, `checkpoint-${uuidv4()}.index`);
+  try {
+    // Starting from a copy of the real index spares rehashing unchanged files
+    const realIndex = path.resolve(repoPath, await gitRun(repoPath, ["rev-parse", "--git-path", "index"]));
+    await fs.promises.copyFile(realIndex, tmpIndex).catch(e => { if (e.code !== "ENOENT") throw e; });
+    const env = { ...process.env, GIT_INDEX_FILE: tmpIndex };
+    await gitRun(repoPath, ["add", "-A", "--", "."], env);
+    return await gitRun(repoPath, ["write-tree"], env);
+  } finally {
+    await fs.promises.rm(tmpIndex, { force: true });
+  }
+}
+
+async function listCheckpoints(repoPath) {
+  const out = await gitRun(repoPath, ["for-each-ref", "--sort=-refname", "--format=%(refname)%00%(objectname)%00%(contents:subject)%00%(parent)", CHECKPOINT_REFS]);
+  return out.split("\n").filter(Boolean).map(line => {
+    const [ref, hash, subject, head] = line.split("\0");
+    const id = ref.slice(CHECKPOINT_REFS.length);
+    return { id, hash, date: new Date(Number(id)).toISOString(), reason: /\(([^)]+)\)$/.exec(subject)?.[1] || "", head: head || "" };
+  });
+}
+
+// Takes a checkpoint unless the tree matches the newest one (or, for the
+// automatic ones, HEAD: a clean tree has nothing to lose). Returns it or null.
+// One runs per repo at a time; an automatic one is skipped while another runs.
+async function takeCheckpoint(repoPath, reason) {
+  const automatic = reason === "interval" || reason === "diff";
+  const running = checkpointsRunning.get(repoPath);
+  if (running && automatic) return null;
+  const run = (running || Promise.resolve()).catch(() => {}).then(() => snapshotWorkingTree(repoPath, reason, automatic));
+  checkpointsRunning.set(repoPath, run);
+  try {
+    return await run;
+  } finally {
+    if (checkpointsRunning.get(repoPath) === run) checkpointsRunning.delete(repoPath);
+  }
+}
+
+async function snapshotWorkingTree(repoPath, reason, automatic) {
+  const tree = await workingTreeId(repoPath);
+  const entry = checkpointRepos.get(repoPath);
+  // Same tree as the last automatic look: nothing new to keep
+  if (automatic && entry?.tree === tree) return null;
+  if (entry) entry.tree = tree;
+  const [latest] = await listCheckpoints(repoPath);
+  if (latest && await gitRun(repoPath, ["rev-parse", `${latest.hash}^{tree}`]) === tree) return null;
+  const head = await gitRun(repoPath, ["rev-parse", "-q", "--verify", "HEAD"]).catch(() => "");
+  if (automatic && head && await gitRun(repoPath, ["rev-parse", `${head}^{tree}`]) === tree) return null;
+  const hash = await gitRun(repoPath, ["commit-tree", tree, ...(head ? ["-p", head] : []), "-m", `web-claude checkpoint (${reason})`], {
+    ...process.env,
+    GIT_AUTHOR_NAME: "web-claude", GIT_AUTHOR_EMAIL: "checkpoint@web-claude.invalid",
+    GIT_COMMITTER_NAME: "web-claude", GIT_COMMITTER_EMAIL: "checkpoint@web-claude.invalid"
+  });
+  let id = String(Date.now());
+  if (latest && Number(id) <= Number(latest.id)) id = String(Number(latest.id) + 1);
+  await gitRun(repoPath, ["update-ref", `${CHECKPOINT_REFS}${id}`, hash]);
+  for (const old of (await listCheckpoints(repoPath)).slice(CHECKPOINT_KEEP)) {
+    await gitRun(repoPath, ["update-ref", "-d", `${CHECKPOINT_REFS}${old.id}`]).catch(() => {});
+  }
+  if (entry) entry.lastAt = Date.now();
+  dlog("checkpoint", repoSettingsKey(repoPath), id, reason);
+  return { id, hash, date: new Date(Number(id)).toISOString(), reason, head };
+}
+
+// Called with every polled diff; checkpoints in the background when it changed
+function noteDiffForCheckpoint(repoPath, diff) {
+  const entry = checkpointRepos.get(repoPath) || { seenAt: 0, diffHash: "", lastAt: 0, tree: "" };
+  checkpointRepos.set(repoPath, entry);
+  entry.seenAt = Date.now();
+  if (!CHECKPOINT_INTERVAL_MS) return;
+  const diffHash = crypto.createHash("sha1").update(diff).digest("hex");
+  if (diffHash === entry.diffHash || Date.now() - entry.lastAt < CHECKPOINT_MIN_GAP_MS) return;
+  entry.diffHash = diffHash;
+  entry.lastAt = Date.now();
+  takeCheckpoint(repoPath, "diff").catch(e => dlog("checkpoint failed:", e.message));
+}
+
+if (CHECKPOINT_INTERVAL_MS > 0) {
+  setInterval(async () => {
+    const now = Date.now();
+    const inUse = new Set([...termSessions.values()].map(s => s.repoPath).filter(Boolean));
+    for (const [repoPath, entry] of checkpointRepos) {
+      if (now - entry.seenAt > CHECKPOINT_IDLE_MS && !inUse.has(repoPath)) { checkpointRepos.delete(repoPath); continue; }
+      inUse.add(repoPath);
+    }
+    // One repo after the other
+    for (const repoPath of inUse) {
+      if (!fs.existsSync(path.join(repoPath, ".git"))) continue;
+      await takeCheckpoint(repoPath, "interval").catch(e => dlog("checkpoint failed:", e.message));
+    }
+  }, CHECKPOINT_INTERVAL_MS).unref();
+}
+
+// Working-tree files (all, or `only`) back to how they are in the checkpoint
+// commit `hash`; files that did not exist then are removed. The index is left alone.
+async function restoreCheckpoint(repoPath, hash, only = null) {
+  const changed = (await gitRun(repoPath, ["diff", "--name-status", "--no-renames", hash, await workingTreeId(repoPath)])).split("\n").filter(Boolean)
+    .map(l => l.split("\t"))
+    .filter(([, file]) => !only || only.includes(file));
+  const removed = changed.filter(([st]) => st === "A").map(([, file]) => file);
+  const restored = changed.filter(([st]) => st !== "A").map(([, file]) => file);
+  for (const file of removed) fs.rmSync(safeJoin(repoPath, file), { force: true });
+  if (restored.length) await gitWithInput(repoPath, ["restore", `--source=${hash}`, "--worktree", "--pathspec-from-file=-", "--pathspec-file-nul"], restored.join("\0"));
+  return { restored, removed };
+}
+
+async function checkpointById(repoPath, id) {
+  if (!/^\d+$/.test(String(id))) throw Object.assign(new Error("Invalid checkpoint id"), { status: 400 });
+  const found = (await listCheckpoints(repoPath)).find(c => c.id === String(id));
+  if (!found) throw Object.assign(new Error("Checkpoint not found"), { status: 404 });
+  return found;
+}
+
+app.get("/api/git/checkpoints", withRepo, async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, checkpoints: await listCheckpoints(req.repoPath), intervalMs: CHECKPOINT_INTERVAL_MS, keep: CHECKPOINT_KEEP });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/checkpoints", withRepo, async (req, res) => {
+  try {
+    const checkpoint = await takeCheckpoint(req.repoPath, "manual");
+    res.json({ ok: true, checkpoint, unchanged: !checkpoint });
+  } catch (err) {
+    if (DEBUG) console.error("checkpoint error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// What changed since the checkpoint: checkpoint -> current working tree
+app.get("/api/git/checkpoints/:id", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const checkpoint = await checkpointById(repoPath, req.params.id);
+    const now = await workingTreeId(repoPath);
+    const files = (await gitRun(repoPath, ["diff", "--name-status", "--no-renames", checkpoint.hash, now])).split("\n").filter(Boolean).map(l => {
+      const [st, file] = l.split("\t");
+      return { path: file, status: st === "A" ? "added" : st === "D" ? "deleted" : "modified" };
+    });
+    const diff = await gitRun(repoPath, ["diff", "--no-ext-diff", "--no-renames", checkpoint.hash, now]);
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, checkpoint, files, diff });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Put all files (or `paths`) back the way they were in the checkpoint. The
+// current state is checkpointed first, so a restore can itself be undone.
+app.post("/api/git/checkpoints/:id/restore", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const checkpoint = await checkpointById(repoPath, req.params.id);
+    const only = Array.isArray(req.body?.paths) ? req.body.paths.map(String) : null;
+    if (only && !only.length) return res.status(400).json({ error: "paths is empty" });
+    for (const p of only || []) safeJoin(repoPath, p);
+    const backup = await takeCheckpoint(repoPath, "before restore");
+    res.json({ ok: true, ...await restoreCheckpoint(repoPath, checkpoint.hash, only), backup });
+  } catch (err) {
+    if (DEBUG) console.error("checkpoint restore error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- Git status (working tree) ----
+app.get("/api/git/status", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    try { await git.fetch(); } catch {}
+    const st = await git.status();
+    res.set("Cache-Control", "no-store");
+    const { operation, conflicts, step } = await operationInProgress(git, repoPath);
+    res.json({ ok: true, status: st, ahead: await aheadCount(git, st), behind: st.behind || 0, upstream: st.tracking || "", operation, conflicts: conflicts.length, step });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- Git diff (working tree) ----
+// `staged` is the index against HEAD, `unstaged` the working tree against the
+// index plus untracked files (as new-file diffs); `diff` is both together.
+const UNTRACKED_DIFF_FILES = Number(process.env.UNTRACKED_DIFF_FILES || 200);
+
+async function untrackedDiff(git, repoPath, only) {
+  let st;
+  try { st = await git.status(); } catch { return ""; }
+  const untracked = (Array.isArray(st?.not_added) ? st.not_added : []).filter(p => !only || p === only);
+  // The diff is polled; past this many files the rest only show in the status
+  if (untracked.length > UNTRACKED_DIFF_FILES) dlog("untracked diff:", untracked.length, "files, showing", UNTRACKED_DIFF_FILES);
+  const parts = [];
+  for (const p of untracked.slice(0, UNTRACKED_DIFF_FILES)) {
+    try {
+      const stat = await fs.promises.stat(path.join(repoPath, p));
+      if (stat.isDirectory()) continue;
+      // git diff --no-index exits with 1 when there are differences
+      const out = await gitRun(repoPath, ["diff", "--no-index", "--", "/dev/null", p], process.env, { okCodes: [0, 1] });
+      if (out) parts.push(out);
+    } catch {}
+  }
+  return parts.join("\n");
+}
+
+async function workingTreeDiff(git, repoPath) {
+  const raw = async (args) => { try { return (await git.raw(args)).trim(); } catch { return ""; } };
+  const staged = await raw(["diff", "--no-ext-diff", "--staged"]);
+  const unstaged = [await raw(["diff", "--no-ext-diff"]), await untrackedDiff(git, repoPath)].filter(Boolean).join("\n");
+  return { staged, unstaged };
+}
+
+app.get("/api/git/diff", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const { staged, unstaged } = await workingTreeDiff(git, repoPath);
+    const diff = [unstaged, staged].filter(Boolean).join("\n\n");
+    noteDiffForCheckpoint(repoPath, diff);
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, diff, staged, unstaged });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- Staging (files and hunks) ----
+function stagingPaths(body) {
+  const paths = (Array.isArray(body?.paths) ? body.paths : [body?.path]).map(p => String(p || "").trim()).filter(Boolean);
+  if (!paths.length) throw Object.assign(new Error("paths is required"), { status: 400 });
+  return paths;
+}
+
+app.post("/api/git/stage", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const paths = stagingPaths(req.body);
+    for (const p of paths) safeJoin(repoPath, p);
+    // -A so deleted files are staged as deletions too
+    await simpleGit(repoPath).raw(["add", "-A", "--", ...paths]);
+    res.json({ ok: true });
+  } catch (err) {
+    if (DEBUG) console.error("stage error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post("/api/git/unstage", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const paths = stagingPaths(req.body);
+    for (const p of paths) safeJoin(repoPath, p);
+    const git = simpleGit(repoPath);
+    const hasHead = await git.raw(["rev-parse", "--verify", "-q", "HEAD"]).then(() => true, () => false);
+    // Before the first commit there is no HEAD to restore the index from
+    if (hasHead) await git.raw(["restore", "--staged", "--", ...paths]);
+    else await git.raw(["rm", "-r", "-q", "--cached", "--", ...paths]);
+    res.json({ ok: true });
+  } catch (err) {
+    if (DEBUG) console.error("unstage error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Run git with `input` on stdin (simple-git cannot pipe into a command)
+function gitWithInput(repoPath, args, input) {
+  return gitRun(repoPath, args, process.env, { input });
+}
+
+// Split a one-file diff into its header and hunks
+function splitHunks(fileDiff) {
+  const lines = String(fileDiff || "").split("\n");
+  const first = lines.findIndex(l => l.startsWith("@@"));
+  if (first < 0) return { header: lines.join("\n"), hunks: [] };
+  const hunks = [];
+  for (const line of lines.slice(first)) {
+    if (line.startsWith("@@")) hunks.push([line]);
+    else hunks[hunks.length - 1].push(line);
+  }
+  return { header: lines.slice(0, first).join("\n"), hunks: hunks.map(h => h.join("\n").replace(/\n+$/, "")) };
+}
+
+// Stage one hunk of a file's unstaged diff, or unstage one of its staged diff.
+// The hunk is named by its "@@ -a,b +c,d @@" line and taken from the current
+// diff, so a stale page cannot stage something else.
+app.post("/api/git/stageHunk", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const { path: file, hunk, unstage } = req.body || {};
+    if (!file || !hunk) return res.status(400).json({ error: "path and hunk are required" });
+    safeJoin(repoPath, file);
+    const git = simpleGit(repoPath);
+    const range = /^@@ [^@]+ @@/.exec(String(hunk))?.[0];
+    if (!range) return res.status(400).json({ error: "hunk must start with its @@ line" });
+    let fileDiff = await git.raw(["diff", "--no-ext-diff", ...(unstage ? ["--staged"] : []), "--", file]);
+    if (!fileDiff.trim() && !unstage) fileDiff = await untrackedDiff(git, repoPath, file);
+    const { header, hunks } = splitHunks(fileDiff);
+    const picked = hunks.find(h => h.startsWith(range));
+    if (!picked) return res.status(409).json({ error: "That hunk is no longer in the diff; refresh and try again" });
+    const patch = `${header}\n${picked}\n`;
+    await gitWithInput(repoPath, ["apply", "--cached", ...(unstage ? ["-R"] : []), "-"], patch);
+    res.json({ ok: true });
+  } catch (err) {
+    if (DEBUG) console.error("stageHunk error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- Git three-way for a file (base/ours/theirs) ----
+app.get("/api/git/threeway", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const filePath = req.query.path;
+    if (!filePath) return res.status(400).json({ error: "path is required" });
+    const cwd = repoPath;
+    const sh = (args) => spawnSync("git", args, { cwd, env: process.env, encoding: "utf-8", maxBuffer: 10 * 1024 * 1024 });
+    const out = (p) => (p && typeof p.stdout === 'string') ? p.stdout.trim() : '';
+    // A file in conflict: the index stages (1 base, 2 ours, 3 theirs) and the
+    // working copy with its markers, split into hunks
+    const abs = safeJoin(repoPath, filePath);
+    if (out(sh(["ls-files", "-u", "--", filePath]))) {
+      const stage = (n) => {
+        const r = sh(["show", `:${n}:${filePath}`]);
+        return r.status === 0 ? r.stdout : null;
+      };
+      const merged = fs.existsSync(abs) ? fs.readFileSync(abs, "utf-8") : null;
+      const { operation } = await operationInProgress(simpleGit(cwd), repoPath);
+      return res.json({
+        ok: true,
+        conflict: true,
+        operation,
+        labels: conflictLabels(operation),
+        base: stage(1),
+        ours: stage(2),
+        theirs: stage(3),
+        merged,
+        hunks: merged === null ? [] : parseConflictMarkers(merged)
+      });
+    }
+    try { await simpleGit(cwd).fetch(); } catch {}
+    let upstream = out(sh(["rev-parse", "--abbrev-ref", "--symbolic-full-name", "@{u}"]));
+    if (!upstream) upstream = out(sh(["rev-parse", "--abbrev-ref", "origin/HEAD"]));
+    if (!upstream) return res.status(400).json({ error: "No upstream configured for three-way comparison" });
+    const base = out(sh(["merge-base", "HEAD", upstream]));
+    if (!base) return res.status(400).json({ error: "Failed to compute merge-base" });
+
+    // Read file contents at base, ours (HEAD), and theirs (upstream)
+    const readAt = (ref, p) => {
+      try {
+        const r = sh(["show", `${ref}:${p}`]);
+        if (r.status !== 0) return null;
+        return out(r);
+      } catch { return null; }
+    };
+    const data = {
+      ok: true,
+      upstream,
+      baseRef: base,
+      oursRef: "HEAD",
+      theirsRef: upstream,
+      base: readAt(base, filePath),
+      ours: readAt("HEAD", filePath),
+      theirs: readAt(upstream, filePath)
+    };
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- CLI Patch (Unified Diff via local Claude CLI) ----
+app.post("/api/cli/patch", withRepo, async (req, res) => {
+  try {
+    const { instruction } = req.body;
+    const { repoPath } = req;
+    const PATCH_CMD_TPL = process.env.CLAUDE_PATCH_CMD || "";
+    if (!PATCH_CMD_TPL) {
+      return res.status(400).json({ error: "CLI patch disabled. Set CLAUDE_PATCH_CMD (e.g., \"claude < {{instruction_file}}\")." });
+    }
+    if (!repoPath || !fs.existsSync(repoPath)) {
+      return res.status(400).json({ error: "Invalid repoPath" });
+    }
+    const git = simpleGit(repoPath);
+    const branch = (await git.branchLocal()).current || "HEAD";
+    const wid = uuidv4().slice(0,8);
+    const tmpDir = path.join(TMP_ROOT, `worktree-${wid}`);
+    // add worktree at HEAD
+    await git.raw(["worktree", "add", tmpDir, "HEAD"]);
+    try {
+      const instrFile = path.join(tmpDir, "_claude_instruction.txt");
+      fs.writeFileSync(instrFile, instruction || "", "utf-8");
+      // Build command from template
+      const cmd = PATCH_CMD_TPL
+        .replaceAll("{{instruction_file}}", instrFile)
+        .replaceAll("{{repo_root}}", tmpDir);
+      // Execute in tmpDir
+      const exec = spawnSync("bash", ["-lc", cmd], { cwd: tmpDir, env: process.env, encoding: "utf-8", maxBuffer: 10*1024*1024 });
+      const stdout = exec.stdout || "";
+      const stderr = exec.stderr || "";
+      // Warn if the CLI exited with a non-zero status (ignore 0 and null/signal cases)
+      if (exec.status !== 0 && exec.status !== null) {
+        console.warn("CLI patch non-zero exit:", exec.status, stderr.substring(0, 500));
+      }
+      // Capture diff
+      const tmpGit = simpleGit(tmpDir);
+      const diff = await tmpGit.raw(["diff"]);
+      res.json({ ok: true, patch: diff, cli: { status: exec.status, stdout: stdout.slice(0,20000), stderr: stderr.slice(0,20000) } });
+    } finally {
+      try { await git.raw(["worktree", "remove", "--force", tmpDir]); } catch (e) { console.warn("worktree cleanup failed:", e.message); }
+    }
+  } catch (err) {
+    console.error("cli/patch error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- AI Patch endpoint removed - use Claude CLI directly via terminal ----
+
+app.post("/api/git/apply-commit-push", withRepo, async (req, res) => {
+  try {
+    const { patch, message } = req.body;
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    // The patch goes in on stdin; without any, git apply would wait for it
+    try {
+      await gitWithInput(repoPath, ["apply", "-p0", "-"], String(patch || ""));
+    } catch (e) {
+      await gitWithInput(repoPath, ["apply", "-p1", "-"], String(patch || ""));
+    }
+    await git.add("--all");
+    const msg = await withIssueRef(git, repoPath, message || `claude-${new Date().toISOString()}`);
+    const commit = await git.commit(msg);
+    await pushBranch(git, { setUpstream: !(await git.status()).tracking });
+    res.json({ ok: true, commit });
+  } catch (err) {
+    if (DEBUG) console.error("apply-commit-push error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message, kind: err.kind });
+  }
+});
+
+// ---- Commit log (history) ----
+// Paged with an opaque cursor "<tip>.<skip>": the first page pins the tip it
+// started from, so commits arriving in between do not shift later pages. With
+// all=1 the pinned tips are kept here and the cursor names them by a short key.
+const LOG_PAGE_MAX = 200;
+const LOG_TIP_SETS_MAX = 200;
+// key -> the tips an all=1 listing started from, oldest first
+const logTipSets = new Map();
+const COMMIT_DIFF_MAX = Number(process.env.COMMIT_DIFF_MAX || 2_000_000);
+const LOG_FORMAT = "%H%x00%P%x00%an%x00%ae%x00%aI%x00%D%x00%s%x00%b%x1e";
+
+async function commitWebUrl(git) {
+  let remote = "";
+  try {
+    const remotes = await git.getRemotes(true);
+    remote = remotes.find(r => r.name === "origin")?.refs.fetch || "";
+  } catch {}
+  const backend = remote ? backendForUrl(remote) : null;
+  return (hash) => (backend ? backend.commitUrl(remote, hash) : "");
+}
+
+function parseLogRecords(out, webUrl) {
+  return out.split("\x1e").map(r => r.replace(/^\n/, "")).filter(Boolean).map(r => {
+    const [hash, parents, author_name, author_email, date, refs, message, body] = r.split("\0");
+    return {
+      hash,
+      parents: parents ? parents.split(" ") : [],
+      author_name,
+      author_email,
+      date,
+      refs: refs ? refs.split(", ").filter(x => x !== "HEAD") : [],
+      message,
+      body: (body || "").trim(),
+      web_url: webUrl(hash)
+    };
+  });
+}
+
+function rememberLogTips(tips) {
+  const key = crypto.createHash("sha1").update(tips.join(",")).digest("hex").slice(0, 16);
+  logTipSets.delete(key);
+  logTipSets.set(key, tips);
+  if (logTipSets.size > LOG_TIP_SETS_MAX) logTipSets.delete(logTipSets.keys().next().value);
+  return key;
+}
+
+// A branch from the branch list: local if there is one, else origin/<name>
+async function resolveBranchRef(git, branch) {
+  if (!branch) return "HEAD";
+  if (String(branch).startsWith("-")) throw Object.assign(new Error("Invalid branch"), { status: 400 });
+  const ref = await branchRef(git, branch);
+  if (ref) return ref;
+  if (await git.raw(["rev-parse", "-q", "--verify", `refs/tags/${branch}^{commit}`]).catch(() => "")) return `refs/tags/${branch}`;
+  throw Object.assign(new Error(`Unknown branch ${branch}`), { status: 404 });
+}
+
+// ?limit&cursor&author&grep&path&branch (or all=1 for every branch)&graph=1
+// (topological order, for drawing lanes from `parents`)
+app.get("/api/git/log", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const { author, grep, path: file, branch, cursor } = req.query;
+    const all = req.query.all === "1";
+    const limit = Math.min(Math.max(Number(req.query.limit) || 30, 1), LOG_PAGE_MAX);
+    if (file) safeJoin(repoPath, String(file));
+    let tips;
+    let skip = 0;
+    if (cursor) {
+      const m = /^(?:([0-9a-f]{40})|([0-9a-f]{16}))\.(\d+)$/.exec(String(cursor));
+      if (!m) return res.status(400).json({ error: "Invalid cursor" });
+      tips = m[1] ? [m[1]] : logTipSets.get(m[2]);
+      if (!tips) return res.status(410).json({ error: "This history listing has expired; reload it" });
+      skip = Number(m[3]);
+    } else if (all) {
+      const out = await git.raw(["for-each-ref", "--format=%(objectname)", "refs/heads", "refs/remotes", "refs/tags"]);
+      tips = [...new Set(out.split("\n").filter(Boolean))];
+      const head = await git.raw(["rev-parse", "-q", "--verify", "HEAD"]).catch(() => "");
+      if (head.trim()) tips.unshift(head.trim());
+      tips = [...new Set(tips)];
+    } else {
+      const ref = await resolveBranchRef(git, branch);
+      const tip = (await git.raw(["rev-parse", "-q", "--verify", `${ref}^{commit}`]).catch(() => "")).trim();
+      // An empty repo has no history yet
+      if (!tip) return res.json({ ok: true, commits: [], nextCursor: null });
+      tips = [tip];
+    }
+    const args = ["log", `--format=${LOG_FORMAT}`, `--skip=${skip}`, `-n`, String(limit + 1)];
+    if (req.query.graph === "1" || all) args.push("--topo-order");
+    if (author || grep) args.push("--regexp-ignore-case", "--fixed-strings");
+    if (author) args.push(`--author=${author}`);
+    if (grep) args.push(`--grep=${grep}`);
+    args.push(...tips, "--");
+    if (file) args.push(String(file));
+    const commits = parseLogRecords(await git.raw(args), await commitWebUrl(git));
+    const more = commits.length > limit;
+    res.set("Cache-Control", "no-store");
+    const pinned = tips.length === 1 ? tips[0] : rememberLogTips(tips);
+    res.json({ ok: true, commits: commits.slice(0, limit), nextCursor: more ? `${pinned}.${skip + limit}` : null });
+  } catch (err) {
+    if (DEBUG) console.error("log error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// One commit: metadata, changed files and the diff (against the first parent
+// for a merge)
+app.get("/api/git/commits/:hash", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    if (!/^[0-9a-f]{4,40}$/i.test(req.params.hash)) return res.status(400).json({ error: "Invalid commit hash" });
+    const hash = (await git.raw(["rev-parse", "-q", "--verify", `${req.params.hash}^{commit}`]).catch(() => "")).trim();
+    if (!hash) return res.status(404).json({ error: "Commit not found" });
+    const [commit] = parseLogRecords(await git.raw(["log", "-1", `--format=${LOG_FORMAT}`, hash]), await commitWebUrl(git));
+    const range = commit.parents.length ? [commit.parents[0], hash] : ["--root", hash];
+    const numstat = await git.raw(["diff-tree", "-r", "-M", "--no-commit-id", "--numstat", "-z", ...range]);
+    const nameStatus = await git.raw(["diff-tree", "-r", "-M", "--no-commit-id", "--name-status", "-z", ...range]);
+    // -z: "A\0path\0", "R100\0old\0new\0"
+    const files = [];
+    const ns = nameStatus.split("\0");
+    for (let i = 0; i < ns.length - 1;) {
+      const st = ns[i++];
+      if (!st) continue;
+      const renamed = /^[RC]/.test(st);
+      const oldPath = renamed ? ns[i++] : undefined;
+      const p = ns[i++];
+      files.push({
+        path: p,
+        ...(oldPath ? { oldPath } : {}),
+        status: st[0] === "A" ? "added" : st[0] === "D" ? "deleted" : st[0] === "R" ? "renamed" : "modified"
+      });
+    }
+    // "<add>\t<del>\t<path>\0" or, for a rename, "<add>\t<del>\t\0old\0new\0"
+    const nums = numstat.split("\0");
+    for (let i = 0, f = 0; i < nums.length - 1; f++) {
+      const [add, del, p] = nums[i++].split("\t");
+      if (!p) i += 2;
+      if (files[f]) Object.assign(files[f], { additions: add === "-" ? null : Number(add), deletions: del === "-" ? null : Number(del) });
+    }
+    let diff = await git.raw(["diff-tree", "-p", "-M", "--no-commit-id", "--no-ext-diff", ...range]);
+    const truncated = diff.length > COMMIT_DIFF_MAX;
+    if (truncated) {
+      // Cut between files where possible so the rest still renders
+      const cut = diff.lastIndexOf("\ndiff --git ", COMMIT_DIFF_MAX);
+      diff = diff.slice(0, cut > 0 ? cut + 1 : COMMIT_DIFF_MAX);
+    }
+    res.json({ ok: true, commit, files, diff, truncated, onBranch: await isAncestor(repoPath, hash, "HEAD") });
+  } catch (err) {
+    if (DEBUG) console.error("commit detail error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- History actions (revert, cherry-pick, reset) ----
+// Each has a preview (GET .../preview?action=) showing the diff it would
+// produce. Revert and cherry-pick that stop on conflicts answer 409 like
+// /api/git/sync and are finished with /api/git/operation/continue or abort.
+const RESET_MODES = ["soft", "mixed"];
+
+async function isAncestor(repoPath, a, b) {
+  return gitRun(repoPath, ["merge-base", "--is-ancestor", a, b]).then(() => true, () => false);
+}
+
+// A full commit id for :hash (400/404 otherwise), with its parents
+async function resolveCommit(git, hash) {
+  if (!/^[0-9a-f]{4,40}$/i.test(String(hash || ""))) throw Object.assign(new Error("Invalid commit hash"), { status: 400 });
+  const out = (await git.raw(["rev-list", "--parents", "-n", "1", `${hash}^{commit}`, "--"]).catch(() => "")).trim();
+  if (!out) throw Object.assign(new Error("Commit not found"), { status: 404 });
+  const [full, ...parents] = out.split(" ");
+  return { hash: full, parents };
+}
+
+// Commits a reset to `target` takes off the branch, and how many of them are
+// already on origin/<branch> (then pushing afterwards needs a force push)
+async function resetDrops(git, repoPath, target) {
+  const dropped = (await git.raw(["rev-list", `${target}..HEAD`])).split("\n").filter(Boolean);
+  let pushed = 0;
+  const branch = await currentBranch(git).catch(() => "");
+  const upstream = branch && (await git.raw(["rev-parse", "-q", "--verify", `refs/remotes/origin/${branch}`]).catch(() => "")).trim();
+  if (upstream && dropped.length) {
+    const local = (await git.raw(["rev-list", "--count", "HEAD", `^${target}`, `^${upstream}`])).trim();
+    pushed = dropped.length - Number(local);
+  }
+  return { dropped, pushed };
+}
+
+async function refuseDuringOperation(git, repoPath) {
+  const state = await operationInProgress(git, repoPath);
+  if (state.operation) throw Object.assign(new Error(`A ${state.operation} is already in progress`), { status: 409 });
+}
+
+app.get("/api/git/commits/:hash/preview", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const { hash, parents } = await resolveCommit(git, req.params.hash);
+    const action = String(req.query.action || "");
+    const warnings = [];
+    const onBranch = await isAncestor(repoPath, hash, "HEAD");
+    let diff;
+    let commits = [];
+    if (action === "revert") {
+      if (!parents.length) return res.status(400).json({ error: "The first commit cannot be reverted" });
+      if (!onBranch) warnings.push("This commit is not on the current branch.");
+      if (parents.length > 1) warnings.push("Merge commit: the changes it brought in from the merged branch are reverted.");
+      diff = await git.raw(["diff", "--no-ext-diff", "-M", hash, parents[0]]);
+    } else if (action === "cherry-pick") {
+      if (onBranch) warnings.push("This commit is already on the current branch.");
+      if (parents.length > 1) warnings.push("Merge commit: its changes compared to the first parent are applied.");
+      diff = await git.raw(["diff-tree", "-p", "-M", "--no-commit-id", "--no-ext-diff", ...(parents.length ? [parents[0], hash] : ["--root", hash])]);
+    } else if (action === "reset") {
+      if (!onBranch) warnings.push("This commit is not an ancestor of HEAD: the branch moves over to another line of history.");
+      const drops = await resetDrops(git, repoPath, hash);
+      if (drops.pushed) warnings.push(`${drops.pushed} of these commits ${drops.pushed === 1 ? "is" : "are"} already pushed; pushing afterwards needs a force push.`);
+      commits = parseLogRecords(drops.dropped.length ? await git.raw(["log", `--format=${LOG_FORMAT}`, `${hash}..HEAD`]) : "", () => "");
+      // What the dropped commits changed ends up uncommitted
+      diff = await git.raw(["diff", "--no-ext-diff", "-M", hash, "HEAD"]);
+    } else {
+      return res.status(400).json({ error: "action must be revert, cherry-pick or reset" });
+    }
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, action, hash, diff, warnings, commits });
+  } catch (err) {
+    if (DEBUG) console.error("history preview error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// revert / cherry-pick: one new commit on the current branch
+async function applyCommit(req, res, op) {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const { hash, parents } = await resolveCommit(git, req.body?.hash);
+    await currentBranch(git);
+    await refuseDuringOperation(git, repoPath);
+    if (op === "revert" && !parents.length) return res.status(400).json({ error: "The first commit cannot be reverted" });
+    await ensureCommitIdentity(git);
+    // Merges are taken relative to their first parent
+    const args = op === "revert" ? ["revert", "--no-edit"] : ["cherry-pick", "-x"];
+    if (parents.length > 1) args.push("-m", "1");
+    try {
+      await gitNoEditor(repoPath, [...args, hash]);
+    } catch (e) {
+      const state = await operationInProgress(git, repoPath);
+      if (state.operation && state.conflicts.length) {
+        return sendConflicts(res, state);
+      }
+      // An empty cherry-pick stops too; leave nothing half-done behind
+      if (state.operation) await gitNoEditor(repoPath, [state.operation, "--abort"]);
+      const msg = /would be overwritten/.test(e.message)
+        ? "Your uncommitted changes touch the same files; commit or stash them first"
+        : /empty/.test(e.message) ? `The changes of ${hash.slice(0, 7)} are already on this branch` : redact(e.message);
+      throw Object.assign(new Error(msg), { status: 409 });
+    }
+    const commit = (await git.revparse(["HEAD"])).trim();
+    res.json({ ok: true, commit, [op === "revert" ? "reverted" : "picked"]: hash });
+  } catch (err) {
+    if (DEBUG) console.error(`${op} error:`, formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+}
+
+app.post("/api/git/revert", withRepo, (req, res) => applyCommit(req, res, "revert"));
+app.post("/api/git/cherry-pick", withRepo, (req, res) => applyCommit(req, res, "cherry-pick"));
+
+// Moves the branch to a commit. soft keeps the undone commits' changes
+// staged, mixed keeps them unstaged; the working tree is never touched.
+app.post("/api/git/reset", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const mode = String(req.body?.mode || "mixed");
+    if (!RESET_MODES.includes(mode)) return res.status(400).json({ error: "mode must be soft or mixed" });
+    const { hash } = await resolveCommit(git, req.body?.hash);
+    await currentBranch(git);
+    await refuseDuringOperation(git, repoPath);
+    const { dropped, pushed } = await resetDrops(git, repoPath, hash);
+    await git.raw(["reset", `--${mode}`, "-q", hash]);
+    res.json({ ok: true, commit: hash, mode, dropped: dropped.length, needsForce: pushed > 0 });
+  } catch (err) {
+    if (DEBUG) console.error("reset error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- Commit messages (templates, generated by Claude) ----
+// Templates are kept per repo in the repo settings ("commitTemplates"); the UI
+// fills in {{branch}} and {{issue}} before using one.
+const DEFAULT_COMMIT_TEMPLATES = [
+  { name: "Conventional commit", text: "feat: \n\n" },
+  { name: "Closes the branch's issue", text: "fix: \n\nCloses #{{issue}}" }
+];
+const COMMIT_MSG_TIMEOUT_MS = Number(process.env.COMMIT_MSG_TIMEOUT_MS || 120000);
+const COMMIT_MSG_MAX_DIFF = Number(process.env.COMMIT_MSG_MAX_DIFF || 200000);
+
+function commitTemplates(repoPath) {
+  const own = getRepoSettings(repoPath).commitTemplates;
+  return Array.isArray(own) ? own : DEFAULT_COMMIT_TEMPLATES;
+}
+
+// `CLAUDE_CMD -p <prompt>` with `input` on stdin; resolves with what it prints
+function runClaudePrint(cwd, prompt, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(CLAUDE_CMD, ["-p", prompt], { cwd, env: claudeEnv(), stdio: ["pipe", "pipe", "pipe"] });
+    let out = "";
+    let errOut = "";
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(Object.assign(new Error(`Claude did not answer within ${Math.round(COMMIT_MSG_TIMEOUT_MS / 1000)}s`), { status: 504 }));
+    }, COMMIT_MSG_TIMEOUT_MS);
+    child.stdout.on("data", d => { out += d; });
+    child.stderr.on("data", d => { errOut += d; });
+    child.on("error", e => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error(`Could not run ${CLAUDE_CMD}: ${e.message}`), { status: 502 }));
+    });
+    child.on("close", code => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(out);
+      reject(Object.assign(new Error(errOut.trim() || out.trim() || `${CLAUDE_CMD} exited with code ${code}`), { status: 502 }));
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Subject = first line, body = the rest; tolerates a surrounding code fence
+function parseCommitMessage(text) {
+  const clean = String(text || "").trim().replace(/^```[\w-]*\n/, "").replace(/\n?```$/, "").trim();
+  const [subject = "", ...rest] = clean.split("\n");
+  return { subject: subject.trim(), body: rest.join("\n").trim() };
+}
+
+app.get("/api/git/commitTemplates", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const branch = (await simpleGit(repoPath).revparse(["--abbrev-ref", "HEAD"]).catch(() => "")).trim();
+    res.json({
+      ok: true,
+      templates: commitTemplates(repoPath),
+      branch: branch === "HEAD" ? "" : branch,
+      issue: branch ? getBranchIssue(repoPath, branch) : null
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.put("/api/git/commitTemplates", withRepo, (req, res) => {
+  try {
+    const { templates } = req.body || {};
+    if (!Array.isArray(templates)) return res.status(400).json({ error: "templates must be an array" });
+    const seen = new Set();
+    const clean = [];
+    for (const t of templates) {
+      const name = String(t?.name || "").trim().slice(0, 80);
+      if (!name || seen.has(name)) continue;
+      seen.add(name);
+      clean.push({ name, text: String(t?.text || "") });
+    }
+    updateRepoSettings(req.repoPath, { commitTemplates: clean });
+    res.json({ ok: true, templates: clean });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Proposes a message for what Push would commit: the staged changes, or all of
+// them when nothing is staged. `template` (already filled in) shapes the result.
+app.post("/api/git/commitMessage", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const template = String(req.body?.template || "").trim();
+    const git = simpleGit(repoPath);
+    const { staged, unstaged } = await workingTreeDiff(git, repoPath);
+    const scope = staged ? "staged" : "all";
+    const diff = staged || unstaged;
+    if (!diff) return res.status(400).json({ error: "There are no changes to describe" });
+    const truncated = diff.length > COMMIT_MSG_MAX_DIFF;
+    const recent = await git.log({ maxCount: 10 }).then(l => l.all.map(c => c.message), () => []);
+    const branch = (await git.revparse(["--abbrev-ref", "HEAD"]).catch(() => "")).trim();
+    const issue = branch ? getBranchIssue(repoPath, branch) : null;
+    const prompt = [
+      `Write a git commit message for the diff on stdin (${scope === "staged" ? "the staged changes" : "all uncommitted changes"}).`,
+      "Reply with the message only: no preamble, no markdown, no code fences.",
+      "First line: a subject in the imperative mood, at most 72 characters. Then a blank line and a short body saying what changed and why; leave the body out for trivial changes.",
+      issue ? `The branch works on issue #${issue.number}: ${issue.title}` : "",
+      template ? `Follow this template, keeping its prefixes and trailers:\n${template}` : "",
+      recent.length ? `Match the style of the recent subjects:\n${recent.map(m => `- ${m}`).join("\n")}` : ""
+    ].filter(Boolean).join("\n\n");
+    const input = truncated ? `${diff.slice(0, COMMIT_MSG_MAX_DIFF)}\n[diff truncated]\n` : diff;
+    const { subject, body } = parseCommitMessage(await runClaudePrint(repoPath, prompt, input));
+    if (!subject) return res.status(502).json({ error: "Claude returned an empty message" });
+    res.json({ ok: true, subject, body, message: body ? `${subject}\n\n${body}` : subject, scope, truncated });
+  } catch (err) {
+    if (DEBUG) console.error("commitMessage error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- Pull requests / merge requests ----
+// The PR opened for a branch is remembered per repo ("pull-requests" state,
+// repo key -> branch -> PR) so the UI can show it again later.
+function getPullRequests(repoPath) {
+  return readState("pull-requests", {})[repoSettingsKey(repoPath)] || {};
+}
+function savePullRequest(repoPath, branch, pr) {
+  const all = readState("pull-requests", {});
+  const key = repoSettingsKey(repoPath);
+  all[key] = { ...(all[key] || {}), [branch]: pr };
+  writeState("pull-requests", all);
+}
+
+async function originUrl(git) {
+  const origin = (await git.getRemotes(true)).find(r => r.name === "origin");
+  if (!origin) throw Object.assign(new Error("No origin remote configured"), { status: 400 });
+  return origin.refs.push || origin.refs.fetch;
+}
+
+// The remote's default branch, from origin/HEAD as set by clone
+async function remoteDefaultBranch(git) {
+  try {
+    return (await git.raw(["symbolic-ref", "--short", "refs/remotes/origin/HEAD"])).trim().replace(/^origin\//, "");
+  } catch {
+    return "";
+  }
+}
+
+// Dialog defaults plus the PR already opened for the current branch
+app.get("/api/git/pullRequest", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const git = simpleGit(repoPath);
+    const branch = (await git.revparse(["--abbrev-ref", "HEAD"])).trim();
+    const backend = backendForUrl(await originUrl(git));
+    res.set("Cache-Control", "no-store");
+    res.json({
+      ok: true,
+      branch: branch === "HEAD" ? "" : branch,
+      defaultBranch: await remoteDefaultBranch(git),
+      provider: backend?.name || "",
+      supported: Boolean(backend?.createPullRequest),
+      pullRequest: getPullRequests(repoPath)[branch] || null,
+      issue: getBranchIssue(repoPath, branch)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Push the current branch and open a PR/MR for it
+app.post("/api/git/pullRequest", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const { target, title, body = "", draft = false } = req.body || {};
+    const list = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map(s => String(s).trim()).filter(Boolean);
+    const reviewers = list(req.body?.reviewers);
+    const labels = list(req.body?.labels);
+    const git = simpleGit(repoPath);
+    const source = (await git.revparse(["--abbrev-ref", "HEAD"])).trim();
+    if (source === "HEAD") return res.status(400).json({ error: "Check out a branch first (HEAD is detached)" });
+    if (!target) return res.status(400).json({ error: "target is required" });
+    if (target === source) return res.status(400).json({ error: "Source and target branch are the same" });
+    if (!String(title || "").trim()) return res.status(400).json({ error: "title is required" });
+    const remote = await originUrl(git);
+    const backend = backendForUrl(remote);
+    if (!backend?.createPullRequest) {
+      return res.status(400).json({ error: "Opening pull requests is not supported for this repository's host" });
+    }
+    // Same push as /api/git/push, so a rejection comes back with its `kind`
+    await pushBranch(git, { setUpstream: !(await git.status()).tracking });
+    const created = await backend.createPullRequest(remote, { source, target, title: String(title).trim(), body: String(body), draft: Boolean(draft), reviewers, labels });
+    const { warnings, ...pr } = created;
+    const saved = { ...pr, provider: backend.name, source, target, createdAt: new Date().toISOString() };
+    savePullRequest(repoPath, source, saved);
+    res.json({ ok: true, pullRequest: saved, warnings });
+  } catch (err) {
+    if (DEBUG) console.error("pullRequest error:", formatErr(err));
+    res.status(err.status || 500).json({ error: redact(err.message), kind: err.kind });
+  }
+});
+
+// The origin remote and its backend, if that backend implements `method`
+async function pullRequestBackend(git, method) {
+  const remote = await originUrl(git);
+  const backend = backendForUrl(remote);
+  if (!backend?.[method]) {
+    throw Object.assign(new Error("Not supported for this repository's host"), { status: 400 });
+  }
+  return { remote, backend };
+}
+
+function prNumber(raw) {
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n <= 0) throw Object.assign(new Error("Invalid pull request number"), { status: 400 });
+  return n;
+}
+
+app.get("/api/git/pullRequests", withRepo, async (req, res) => {
+  try {
+    const git = simpleGit(req.repoPath);
+    const remote = await originUrl(git);
+    const backend = backendForUrl(remote);
+    res.set("Cache-Control", "no-store");
+    if (!backend?.listPullRequests) return res.json({ ok: true, supported: false, pullRequests: [] });
+    res.json({ ok: true, supported: true, provider: backend.name, pullRequests: await backend.listPullRequests(remote) });
+  } catch (err) {
+    if (DEBUG) console.error("pullRequests error:", formatErr(err));
+    res.status(err.status || 502).json({ error: redact(formatErr(err)) });
+  }
+});
+
+app.get("/api/git/pullRequests/:number", withRepo, async (req, res) => {
+  try {
+    const number = prNumber(req.params.number);
+    const { remote, backend } = await pullRequestBackend(simpleGit(req.repoPath), "getPullRequest");
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, provider: backend.name, pullRequest: await backend.getPullRequest(remote, number, { details: true }) });
+  } catch (err) {
+    if (DEBUG) console.error("pullRequest detail error:", formatErr(err));
+    res.status(err.status || err.response?.status || 502).json({ error: redact(formatErr(err)) });
+  }
+});
+
+// Check out a PR's head locally. Branches of this repo are tracked under their
+// own name; PRs from forks are fetched from the provider's PR ref into pr-N /
+// mr-N. An existing local branch is only fast-forwarded, never reset.
+app.post("/api/git/pullRequests/:number/checkout", withRepo, async (req, res) => {
+  try {
+    const { repoPath } = req;
+    const number = prNumber(req.params.number);
+    const git = simpleGit(repoPath);
+    const { remote, backend } = await pullRequestBackend(git, "getPullRequest");
+    const pr = await backend.getPullRequest(remote, number);
+    const fetchUrl = injectTokenIntoUrl(remote);
+    let branch;
+    let start;
+    if (pr.fork || !pr.source) {
+      const { ref, branch: local } = backend.pullRequestRef(number);
+      branch = local;
+      // Outside refs/remotes so `fetch --prune` leaves it alone
+      start = `refs/prs/${local}`;
+      await git.fetch(fetchUrl, `+${ref}:${start}`);
+    } else {
+      branch = pr.source;
+      start = `refs/remotes/origin/${branch}`;
+      await git.fetch(fetchUrl, `+refs/heads/${branch}:${start}`);
+    }
+    const exists = (await git.raw(["branch", "--list", branch])).trim() !== "";
+    if (exists) {
+      await git.checkout(branch);
+      try {
+        await git.merge(["--ff-only", start]);
+      } catch {
+        return res.status(409).json({ error: `Checked out ${branch}, but it has local commits that are not in the PR; it was not updated`, branch });
+      }
+    } else {
+      await git.checkout(["-b", branch, start]);
+      if (!pr.fork) await git.raw(["branch", `--set-upstream-to=origin/${branch}`, branch]);
+    }
+    if (!pr.fork) savePullRequest(repoPath, branch, { number: pr.number, url: pr.url, title: pr.title, draft: pr.draft, provider: backend.name, source: pr.source, target: pr.target });
+    res.json({ ok: true, branch });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (DEBUG) console.error("pullRequest checkout error:", formatErr(err));
+    res.status(err.status || 500).json({ error: redact(formatErr(err)) });
   }
 });
 
-// ---- CLI Patch (Unified Diff via local Claude CLI) ----
-app.post("/api/cli/patch", async (req, res) => {
+// ---- Tags and releases ----
+// Tags are created annotated and pushed to origin unless asked not to. A
+// release is published through the provider backend for a tag on origin; its
+// notes default to the commits since the previous tag.
+const RELEASE_NOTES_MAX = 500;
+const TAG_FORMAT = ["%(refname:short)", "%(objecttype)", "%(*objectname)", "%(objectname)", "%(contents:subject)", "%(taggername)", "%(creatordate:iso-strict)"].join("%00");
+
+function checkTagName(name) {
+  const proc = spawnSync("git", ["check-ref-format", `refs/tags/${name || ""}`], { encoding: "utf-8" });
+  if (!name || String(name).startsWith("-") || proc.status !== 0) {
+    throw Object.assign(new Error(`Invalid tag name "${name || ""}"`), { status: 400 });
+  }
+  return String(name);
+}
+
+// Local tags, newest first; `commit` is what an annotated tag points at
+async function listTags(git) {
+  const out = await git.raw(["for-each-ref", "--sort=-creatordate", `--format=${TAG_FORMAT}`, "refs/tags"]);
+  return out.split("\n").filter(Boolean).map(line => {
+    const [name, type, peeled, object, subject, tagger, date] = line.split("\0");
+    const annotated = type === "tag";
+    return { name, commit: annotated ? peeled : object, annotated, message: annotated ? subject : "", tagger, date };
+  });
+}
+
+// Tag name -> commit on origin, or null when origin cannot be reached
+async function originTags(git) {
   try {
-    const { repoPath, instruction } = req.body;
-    const PATCH_CMD_TPL = process.env.CLAUDE_PATCH_CMD || "";
-    if (!PATCH_CMD_TPL) {
-      return res.status(400).json({ error: "CLI patch disabled. Set CLAUDE_PATCH_CMD (e.g., \"claude < {{instruction_file}}\")." });
-    }
-    if (!repoPath || !fs.existsSync(repoPath)) {
-      return res.status(400).json({ error: "Invalid repoPath" });
+    const out = await git.raw(["ls-remote", "--tags", injectTokenIntoUrl(await originUrl(git))]);
+    const tags = new Map();
+    for (const line of out.split("\n").filter(Boolean)) {
+      const [hash, ref] = line.split("\t");
+      const name = ref.replace(/^refs\/tags\//, "");
+      // Annotated tags come twice; the peeled line (name^{}) has the commit
+      if (name.endsWith("^{}")) tags.set(name.slice(0, -3), hash);
+      else if (!tags.has(name)) tags.set(name, hash);
     }
-    const git = simpleGit(repoPath);
-    const branch = (await git.branchLocal()).current || "HEAD";
-    const wid = uuidv4().slice(0,8);
-    const tmpDir = path.join(TMP_ROOT, `worktree-${wid}`);
-    // add worktree at HEAD
-    await git.raw(["worktree", "add", tmpDir, "HEAD"]);
-    try {
-      const instrFile = path.join(tmpDir, "_claude_instruction.txt");
-      fs.writeFileSync(instrFile, instruction || "", "utf-8");
-      // Build command from template
-      const cmd = PATCH_CMD_TPL
-        .replaceAll("{{instruction_file}}", instrFile)
-        .replaceAll("{{repo_root}}", tmpDir);
-      // Execute in tmpDir
-      const exec = spawnSync("bash", ["-lc", cmd], { cwd: tmpDir, env: process.env, encoding: "utf-8", maxBuffer: 10*1024*1024 });
-      const stdout = exec.stdout || "";
-      const stderr = exec.stderr || "";
-      // Warn if the CLI exited with a non-zero status (ignore 0 and null/signal cases)
-      if (exec.status !== 0 && exec.status !== null) {
-        console.warn("CLI patch non-zero exit:", exec.status, stderr.substring(0, 500));
-      }
-      // Capture diff
-      const tmpGit = simpleGit(tmpDir);
-      const diff = await tmpGit.raw(["diff"]);
-      res.json({ ok: true, patch: diff, cli: { status: exec.status, stdout: stdout.slice(0,20000), stderr: stderr.slice(0,20000) } });
-    } finally {
-      try { await git.raw(["worktree", "remove", "--force", tmpDir]); } catch (e) { console.warn("worktree cleanup failed:", e.message); }
+    return tags;
+  } catch (e) {
+    dlog("tags: ls-remote failed:", redact(e.message));
+    return null;
+  }
+}
+
+async function hasTag(git, name) {
+  return Boolean(await git.raw(["rev-parse", "-q", "--verify", `refs/tags/${name}`]).catch(() => ""));
+}
+
+// Markdown list of the commits between the previous tag reachable from `tag`
+// (or the first commit) and `tag`, merges left out
+async function releaseNotes(git, tag) {
+  const previous = (await git.raw(["describe", "--tags", "--abbrev=0", `refs/tags/${tag}^{commit}^`]).catch(() => "")).trim();
+  const range = previous ? [`refs/tags/${tag}`, `^refs/tags/${previous}`] : [`refs/tags/${tag}`];
+  const out = await git.raw(["log", "--no-merges", `--max-count=${RELEASE_NOTES_MAX + 1}`, "--format=%h%x00%s%x00%an", ...range, "--"]);
+  const commits = out.split("\n").filter(Boolean).map(l => {
+    const [hash, subject, author] = l.split("\0");
+    return { hash, subject, author };
+  });
+  const truncated = commits.length > RELEASE_NOTES_MAX;
+  if (truncated) commits.length = RELEASE_NOTES_MAX;
+  const lines = commits.map(c => `- ${c.subject} (${c.hash})`);
+  if (truncated) lines.push(`- … and older commits`);
+  const notes = commits.length ? `## ${previous ? `Changes since ${previous}` : "Changes"}\n\n${lines.join("\n")}\n` : "";
+  return { previous, commits, truncated, notes };
+}
+
+// Local tags and those only on origin; `remote` is null if origin was not reachable
+app.get("/api/git/tags", withRepo, async (req, res) => {
+  try {
+    const git = simpleGit(req.repoPath);
+    const local = await listTags(git);
+    const remote = await originTags(git);
+    const tags = local.map(t => ({ ...t, local: true, remote: remote ? remote.has(t.name) : null }));
+    for (const [name, commit] of remote || []) {
+      if (!local.some(t => t.name === name)) tags.push({ name, commit, annotated: null, message: "", tagger: "", date: "", local: false, remote: true });
     }
+    const backend = backendForUrl(await originUrl(git).catch(() => ""));
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, tags, provider: backend?.name || "", releases: Boolean(backend?.createRelease) });
   } catch (err) {
-    console.error("cli/patch error:", err.message);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// ---- AI Patch endpoint removed - use Claude CLI directly via terminal ----
-
-app.post("/api/git/apply-commit-push", async (req, res) => {
+// { name, message, target = "HEAD", push = true } -> annotated tag on target
+app.post("/api/git/tags", withRepo, async (req, res) => {
   try {
-    const { repoPath, patch, message } = req.body;
-    const git = simpleGit(repoPath);
+    const git = simpleGit(req.repoPath);
+    const name = checkTagName(req.body?.name);
+    const message = String(req.body?.message || "").trim();
+    const target = String(req.body?.target || "HEAD").trim();
+    const { push = true } = req.body || {};
+    if (!message) return res.status(400).json({ error: "An annotated tag needs a message" });
+    if (target.startsWith("-")) return res.status(400).json({ error: "Invalid target" });
+    const commit = (await git.raw(["rev-parse", "-q", "--verify", `${target}^{commit}`]).catch(() => "")).trim();
+    if (!commit) return res.status(404).json({ error: `Unknown commit ${target}` });
+    if (await hasTag(git, name)) return res.status(409).json({ error: `Tag ${name} already exists` });
+    await ensureCommitIdentity(git);
+    await git.raw(["tag", "-a", name, "-m", message, commit]);
+    const tag = { name, commit };
+    if (!push) return res.json({ ok: true, tag, pushed: false });
     try {
-      await git.raw(["apply", "-p0"], patch);
+      await pushToOrigin(git, [`refs/tags/${name}:refs/tags/${name}`]);
+      res.json({ ok: true, tag, pushed: true });
     } catch (e) {
-      await git.raw(["apply", "-p1"], patch);
+      res.json({ ok: true, tag, pushed: false, warning: `Created locally, but pushing it failed: ${e.message}` });
     }
-    await git.add("--all");
-    const msg = message || `claude-${new Date().toISOString()}`;
-    const commit = await git.commit(msg);
-    const remotes = await git.getRemotes(true);
-    let origin = remotes.find(r => r.name === "origin");
-    if (!origin) throw new Error("No origin remote configured");
-    const url = injectTokenIntoUrl(origin.refs.push || origin.refs.fetch);
-    await git.push(url);
-    res.json({ ok: true, commit });
   } catch (err) {
-    if (DEBUG) console.error("apply-commit-push error:", formatErr(err));
-    res.status(500).json({ error: err.message });
+    if (DEBUG) console.error("tag error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// ---- Commit log (history) ----
-app.get("/api/git/log", async (req, res) => {
+// ?local=1 (default) &remote=1; origin goes first so a refused delete keeps both
+app.delete("/api/git/tags/:name", withRepo, async (req, res) => {
   try {
-    const repoPath = req.query.repoPath;
-    const git = simpleGit(repoPath);
-    const log = await git.log({ n: 30 });
-    // attach remote web URLs if possible
-    let webBase = "";
-    try {
-      const remotes = await git.getRemotes(true);
-      const url = remotes.find(r => r.name === "origin")?.refs.fetch || "";
-      if (url.includes("github.com")) {
-        const m = url.match(/github\.com[/:]([^/]+)\/([^/.]+)(\.git)?/);
-        if (m) webBase = `https://github.com/${m[1]}/${m[2]}/commit/`;
-      } else if (url.includes("gitlab")) {
-        const m = url.match(/gitlab[^/]+[/:]([^/]+)\/(.+?)(\.git)?$/);
-        if (m) webBase = `${GL_BASE_URL}/${m[1]}/${m[2]}/-/commit/`;
-      }
-    } catch {}
-    const items = log.all.map(c => ({ hash: c.hash, message: c.message, date: c.date, author_name: c.author_name, web_url: webBase ? webBase + c.hash : "" }));
-    res.json({ ok: true, commits: items });
+    const git = simpleGit(req.repoPath);
+    const name = checkTagName(req.params.name);
+    const local = req.query.local !== "0";
+    const remote = req.query.remote === "1";
+    if (!local && !remote) return res.status(400).json({ error: "Nothing to delete: pick local and/or remote" });
+    const hasLocal = local && await hasTag(git, name);
+    // Some servers accept deleting a ref they do not have; ask first
+    const onOrigin = remote ? await originTags(git) : null;
+    if (remote && !onOrigin) return res.status(502).json({ error: "Could not list the tags on origin" });
+    const hasRemote = remote && onOrigin.has(name);
+    if (!hasLocal && !hasRemote) return res.status(404).json({ error: `No such tag: ${name}` });
+    if (hasRemote) await pushToOrigin(git, [`:refs/tags/${name}`]);
+    if (hasLocal) await git.raw(["tag", "-d", name]);
+    res.json({ ok: true, tag: name, local: hasLocal, remote: hasRemote });
   } catch (err) {
-    if (DEBUG) console.error("log error:", formatErr(err));
-    res.status(500).json({ error: err.message });
+    if (DEBUG) console.error("deleteTag error:", formatErr(err));
+    res.status(err.status || 500).json({ error: err.message, kind: err.kind });
   }
 });
 
-// ---- Serve frontend build (placed by backend build into dist/frontend) ----
-const frontendDir = path.join(__dirname, "frontend");
-if (fs.existsSync(frontendDir)) {
-  app.use("/", express.static(frontendDir));
-  app.get("*", (req, res) => res.sendFile(path.join(frontendDir, "index.html")));
-} else {
-  app.get("/", (req, res) => res.send("web-claude backend is running. Build the frontend to serve UI."));
+app.get("/api/git/tags/:name/notes", withRepo, async (req, res) => {
+  try {
+    const git = simpleGit(req.repoPath);
+    const name = checkTagName(req.params.name);
+    if (!await hasTag(git, name)) return res.status(404).json({ error: `No such tag: ${name}` });
+    res.json({ ok: true, tag: name, ...await releaseNotes(git, name) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// { tag, name = tag, body = notes since the previous tag, draft, prerelease }.
+// A tag that is only local is pushed first.
+app.post("/api/git/releases", withRepo, async (req, res) => {
+  try {
+    const git = simpleGit(req.repoPath);
+    const tag = checkTagName(req.body?.tag);
+    const { remote, backend } = await pullRequestBackend(git, "createRelease");
+    const onOrigin = await originTags(git);
+    if (!onOrigin) return res.status(502).json({ error: "Could not list the tags on origin" });
+    const isLocal = await hasTag(git, tag);
+    if (!onOrigin.has(tag)) {
+      if (!isLocal) return res.status(404).json({ error: `No such tag: ${tag}` });
+      await pushToOrigin(git, [`refs/tags/${tag}:refs/tags/${tag}`]);
+    }
+    const name = String(req.body?.name || "").trim() || tag;
+    let body = req.body?.body;
+    if (body === undefined || body === null) body = isLocal ? (await releaseNotes(git, tag)).notes : "";
+    const { warnings, ...release } = await backend.createRelease(remote, {
+      tag, name, body: String(body), draft: Boolean(req.body?.draft), prerelease: Boolean(req.body?.prerelease)
+    });
+    res.json({ ok: true, release: { ...release, tag, provider: backend.name }, pushed: !onOrigin.has(tag), warnings });
+  } catch (err) {
+    if (DEBUG) console.error("release error:", formatErr(err));
+    res.status(err.status || 500).json({ error: redact(err.message) });
+  }
+});
+
+// ---- Issues ----
+// Branches started from an issue ("branch-issues" state, repo key -> branch ->
+// issue) get "Refs #N" in their commits and "Closes #N" in their PR.
+function getBranchIssue(repoPath, branch) {
+  return readState("branch-issues", {})[repoSettingsKey(repoPath)]?.[branch] || null;
 }
+function saveBranchIssue(repoPath, branch, issue) {
+  const all = readState("branch-issues", {});
+  const key = repoSettingsKey(repoPath);
+  all[key] = { ...(all[key] || {}), [branch]: issue };
+  writeState("branch-issues", all);
+}
+
+// Commit message with a reference to the current branch's issue, unless it
+// already mentions it
+async function withIssueRef(git, repoPath, message) {
+  const branch = (await git.revparse(["--abbrev-ref", "HEAD"])).trim();
+  const issue = getBranchIssue(repoPath, branch);
+  if (!issue || new RegExp(`#${issue.number}\\b`).test(message)) return message;
+  return `${message}\n\nRefs #${issue.number}`;
+}
+
+app.get("/api/git/issues", withRepo, async (req, res) => {
+  try {
+    const git = simpleGit(req.repoPath);
+    const remote = await originUrl(git);
+    const backend = backendForUrl(remote);
+    res.set("Cache-Control", "no-store");
+    if (!backend?.listIssues) return res.json({ ok: true, supported: false, issues: [], labels: [] });
+    const search = String(req.query.q || "").trim();
+    const labels = String(req.query.labels || "").split(",").map(s => s.trim()).filter(Boolean);
+    const [issues, allLabels] = await Promise.all([
+      backend.listIssues(remote, { search, labels }),
+      backend.listLabels(remote).catch(() => [])
+    ]);
+    res.json({ ok: true, supported: true, provider: backend.name, defaultBranch: await remoteDefaultBranch(git), issues, labels: allLabels });
+  } catch (err) {
+    if (DEBUG) console.error("issues error:", formatErr(err));
+    res.status(err.status || 502).json({ error: redact(formatErr(err)) });
+  }
+});
+
+app.get("/api/git/issues/:number", withRepo, async (req, res) => {
+  try {
+    const number = prNumber(req.params.number);
+    const { remote, backend } = await pullRequestBackend(simpleGit(req.repoPath), "getIssue");
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, issue: await backend.getIssue(remote, number) });
+  } catch (err) {
+    if (DEBUG) console.error("issue error:", formatErr(err));
+    res.status(err.status || err.response?.status || 502).json({ error: redact(formatErr(err)) });
+  }
+});
 
 const server = http.createServer(app);
 // Extend HTTP timeouts to avoid premature closes around upgrades/proxies
@@ -574,7 +3614,22 @@ try {
 } catch {}
 
 // ---- WebSocket: /ws/terminal ----
-const wss = new WebSocketServer({ server, path: "/ws/terminal" });
+// The upgrade needs the same session cookie as the API. Browsers send cookies
+// on cross-site WebSocket requests too, so the Origin must be this host.
+function verifyTerminalClient(info, cb) {
+  if (AUTH_DISABLED) return cb(true);
+  const host = String(info.req.headers["x-forwarded-host"] || info.req.headers.host || "").split(",")[0].trim();
+  if (info.origin) {
+    let originHost = "";
+    try { originHost = new URL(info.origin).host; } catch {}
+    if (originHost !== host && originHost !== info.req.headers.host) return cb(false, 403, "Forbidden");
+  }
+  const user = authUser(info.req);
+  if (!user) return cb(false, 401, "Unauthorized");
+  info.req.user = user;
+  cb(true);
+}
+const wss = new WebSocketServer({ server, path: "/ws/terminal", verifyClient: verifyTerminalClient });
 
 // Heartbeat to keep WS connections alive through proxies and detect dead peers
 const WS_HEARTBEAT_INTERVAL_MS = Number(process.env.WS_HEARTBEAT_INTERVAL_MS || 30_000);
@@ -590,57 +3645,597 @@ const hbInterval = setInterval(() => {
 }, WS_HEARTBEAT_INTERVAL_MS);
 wss.on("close", () => { try { clearInterval(hbInterval); } catch {} });
 
+// ---- Terminal sessions (pty outlives the WebSocket) ----
+// Each pty is kept in memory under a session id together with a bounded
+// scrollback. A client that loses its socket reconnects with ?sessionId=&since=
+// and receives whatever output it missed; detached sessions are reaped after a TTL.
+const TERM_SCROLLBACK_BYTES = Number(process.env.TERM_SCROLLBACK_BYTES || 512 * 1024);
+const TERM_DETACHED_TTL_MS = Number(process.env.TERM_DETACHED_TTL_MS || 30 * 60_000);
+const termSessions = new Map();
+
+function sendJson(ws, obj) {
+  try { if (ws && ws.readyState === 1) ws.send(JSON.stringify(obj)); } catch {}
+}
+
+function appendScrollback(s, data) {
+  s.chunks.push(data);
+  s.size += data.length;
+  s.end += data.length;
+  // Drop whole chunks from the front until we are back under the limit
+  while (s.size > TERM_SCROLLBACK_BYTES && s.chunks.length > 1) {
+    const dropped = s.chunks.shift();
+    s.size -= dropped.length;
+  }
+}
+
+// Output produced after offset `since` (or everything we still have)
+function scrollbackSince(s, since) {
+  const start = s.end - s.size;
+  const from = Math.max(start, Number.isFinite(since) ? since : start);
+  const all = s.chunks.join("");
+  return { data: all.slice(from - start), truncated: Number.isFinite(since) && since < start };
+}
+
+// Terminal kinds: the Claude CLI, or a plain login shell next to it
+const TERM_KINDS = ["claude", "shell"];
+
+// ---- Terminal launch profiles ----
+// Named ways to start the Claude CLI (model, permission mode, --resume, extra
+// flags). Defined as a JSON object in TERM_PROFILES or in the file named by
+// TERM_PROFILES_FILE, e.g. {"resume": {"label": "Resume", "args": ["--resume"]}}.
+// Each profile may set `command` (default CLAUDE_CMD), `args` and `env`.
+function loadTermProfiles() {
+  const profiles = { claude: { name: "claude", label: "Claude", command: CLAUDE_CMD, args: [], env: {} } };
+  let raw = process.env.TERM_PROFILES || "";
+  if (!raw && process.env.TERM_PROFILES_FILE) {
+    try { raw = fs.readFileSync(process.env.TERM_PROFILES_FILE, "utf-8"); } catch (e) {
+      console.error("TERM_PROFILES_FILE could not be read:", e.message);
+    }
+  }
+  if (!raw.trim()) return profiles;
+  try {
+    const parsed = JSON.parse(raw);
+    for (const [name, p] of Object.entries(parsed || {})) {
+      if (!p || typeof p !== "object") continue;
+      profiles[name] = {
+        name,
+        label: String(p.label || name),
+        description: p.description ? String(p.description) : "",
+        command: String(p.command || CLAUDE_CMD),
+        args: Array.isArray(p.args) ? p.args.map(String) : [],
+        env: p.env && typeof p.env === "object" ? Object.fromEntries(Object.entries(p.env).map(([k, v]) => [k, String(v)])) : {}
+      };
+    }
+  } catch (e) {
+    console.error("TERM_PROFILES is not valid JSON:", e.message);
+  }
+  return profiles;
+}
+const TERM_PROFILES = loadTermProfiles();
+const TERM_DEFAULT_PROFILE = TERM_PROFILES[process.env.TERM_DEFAULT_PROFILE] ? process.env.TERM_DEFAULT_PROFILE : "claude";
+
+function defaultProfileFor(repoPath) {
+  const name = repoPath ? getRepoSettings(repoPath).terminalProfile : "";
+  return TERM_PROFILES[name] ? name : TERM_DEFAULT_PROFILE;
+}
+
+function defaultTermTitle(repoPath, kind, profile) {
+  const label = kind === "shell" ? "Shell" : (TERM_PROFILES[profile]?.label || "Claude");
+  const taken = [...termSessions.values()].filter(x => x.repoPath === repoPath && x.kind === kind && (kind === "shell" || x.profile === profile)).length;
+  return taken ? `${label} ${taken + 1}` : label;
+}
+
+function createTermSession(repoPath, { kind = "claude", title = "", profile = "", owner = "" } = {}) {
+  if (!TERM_KINDS.includes(kind)) throw new Error(`Unknown terminal kind: ${kind}`);
+  if (profile && !TERM_PROFILES[profile]) throw new Error(`Unknown terminal profile: ${profile}`);
+  const prof = kind === "claude" ? TERM_PROFILES[profile || defaultProfileFor(repoPath)] : null;
+  const cmd = prof ? [prof.command, ...prof.args].map(shellQuote).join(" ") : "";
+  // Validate repoPath and set cwd
+  let cwd = DATA_DIR;
+  if (repoPath) {
+    try { cwd = safeJoin(DATA_DIR, path.relative(DATA_DIR, repoPath)); } catch { /* fallback */ }
+  }
+  const shell = process.env.SHELL || "/bin/sh";
+  // Set up environment for Claude CLI (credentials in ~/.claude/.credentials.json)
+  const env = claudeEnv(prof ? prof.env : {});
+  const args = kind === "shell" ? ["-l"] : ["-lc", cmd];
+  const p = pty.spawn(shell, args, {
+    name: "xterm-color",
+    cols: 120,
+    rows: 30,
+    cwd,
+    env
+  });
+  const s = {
+    id: uuidv4(), owner, repoPath, kind, profile: prof?.name || "", title: String(title || "").trim() || defaultTermTitle(repoPath, kind, prof?.name), cwd, pty: p,
+    chunks: [], size: 0, end: 0, clients: new Map(), driver: null, shares: new Map(), resumeKeys: new Map(), cols: 120, rows: 30, exited: false, exitCode: null, reapTimer: null, recording: null, createdAt: new Date().toISOString()
+  };
+  if (TERM_RECORD && repoPath) startRecording(s, { cols: 120, rows: 30, shell });
+  p.onData(data => {
+    appendScrollback(s, data);
+    recordEvent(s, "o", data);
+    broadcast(s, { type: "data", data, end: s.end });
+  });
+  p.onExit(({ exitCode }) => {
+    s.exited = true;
+    s.exitCode = exitCode;
+    broadcast(s, { type: "exit", code: exitCode });
+    for (const ws of s.clients.keys()) { try { ws.close(); } catch {} }
+    destroyTermSession(s.id);
+  });
+  termSessions.set(s.id, s);
+  dlog("terminal session created", s.id, "cwd:", cwd, "cmd:", kind === "shell" ? `${shell} -l` : cmd);
+  return s;
+}
+
+function destroyTermSession(id) {
+  const s = termSessions.get(id);
+  if (!s) return;
+  termSessions.delete(id);
+  if (s.reapTimer) clearTimeout(s.reapTimer);
+  if (!s.exited) { try { s.pty.kill(); } catch {} }
+  stopRecording(s);
+  dlog("terminal session closed", id);
+}
+
+function detachTermSession(s, ws) {
+  const c = s.clients.get(ws);
+  if (!c) return;
+  s.clients.delete(ws);
+  // A reconnect from the same browser may already hold the driver seat
+  const sameClientStillHere = [...s.clients.values()].some(x => x.id === c.id);
+  if (s.driver === c.id && !sameClientStillHere) {
+    // Pass control on to someone who may drive, app users before share guests
+    const next = [...s.clients.values()].filter(x => x.canDrive).sort((a, b) => Number(Boolean(a.share)) - Number(Boolean(b.share)))[0];
+    s.driver = next ? next.id : null;
+  }
+  broadcastPresence(s);
+  if (s.exited || s.clients.size) return;
+  if (s.reapTimer) clearTimeout(s.reapTimer);
+  s.reapTimer = setTimeout(() => destroyTermSession(s.id), TERM_DETACHED_TTL_MS);
+  dlog("terminal session detached", s.id);
+}
+
+// ---- Shared terminal sessions ----
+// Several sockets may watch one pty. Exactly one client (the driver) may type
+// and resize; everyone else is a viewer. Share links carry a token granting
+// either view-only access or the right to be handed control ("drive").
+// Client ids are assigned here and shown to everyone in the presence list; a
+// reconnect proves it is the same client with the resume key it was given
+// (s.resumeKeys: key -> { id, share, user }), which is never broadcast.
+const SHARE_MODES = ["view", "drive"];
+
+// The id for a new socket: the one behind `resumeKey` if it was handed out to
+// the same kind of connection (same share link or same user), else a new one
+function termClientId(s, resumeKey, { share, user }) {
+  const known = resumeKey ? s.resumeKeys.get(resumeKey) : null;
+  if (known && known.share === share && known.user === user) return { id: known.id, resumeKey };
+  const key = crypto.randomBytes(24).toString("base64url");
+  const id = uuidv4();
+  s.resumeKeys.set(key, { id, share, user });
+  return { id, resumeKey: key };
+}
+
+// Who may manage a session (rename, kill, share) or paste into it: the app
+// user who started it, or whoever holds the driver seat right now. Anyone else
+// gets in only through a share link.
+function mayControlTerm(s, user) {
+  if (s.owner === user) return true;
+  return [...s.clients.values()].some(c => c.id === s.driver && c.canDrive && c.user === user);
+}
+
+function broadcast(s, obj) {
+  for (const ws of s.clients.keys()) sendJson(ws, obj);
+}
+
+function presenceList(s) {
+  // One entry per browser even while an old socket of it is still closing
+  const seen = new Map();
+  for (const c of s.clients.values()) seen.set(c.id, c);
+  return [...seen.values()].map(c => ({
+    id: c.id, name: c.name, canDrive: c.canDrive, guest: Boolean(c.share), requesting: Boolean(c.requesting),
+    role: s.driver === c.id ? "driver" : "viewer"
+  }));
+}
+
+function broadcastPresence(s) {
+  broadcast(s, { type: "presence", driver: s.driver, clients: presenceList(s) });
+}
+
+function handleControl(s, c, msg) {
+  const isDriver = s.driver === c.id;
+  if (msg.action === "request" && c.canDrive && !isDriver) {
+    // Nobody is driving: take the seat straight away
+    if (!s.driver) s.driver = c.id;
+    else c.requesting = true;
+  } else if (msg.action === "cancel") {
+    c.requesting = false;
+  } else if (msg.action === "handoff" && isDriver && c.canDrive) {
+    const target = [...s.clients.values()].find(x => x.id === msg.to && x.canDrive);
+    if (!target) return;
+    s.driver = target.id;
+    for (const x of s.clients.values()) if (x.id === target.id) x.requesting = false;
+  } else if (msg.action === "release" && isDriver) {
+    s.driver = null;
+  } else if (msg.action === "rename") {
+    const name = String(msg.name || "").trim().slice(0, 40);
+    if (name) for (const x of s.clients.values()) if (x.id === c.id) x.name = name;
+  } else {
+    return;
+  }
+  broadcastPresence(s);
+}
+
+function findSessionByShareToken(token) {
+  if (!token) return null;
+  for (const s of termSessions.values()) {
+    const share = s.shares.get(token);
+    if (share) return { s, share };
+  }
+  return null;
+}
+
+// ---- Terminal recordings (asciicast v2) ----
+// With TERM_RECORD enabled every session's output and resize events are written
+// to DATA_DIR/_recordings/<provider>/<owner>/<name>/<start>-<kind>-<id>.cast.
+// Input is never recorded: it may contain secrets typed at prompts.
+const TERM_RECORD = ["1", "true", "yes", "on"].includes(String(process.env.TERM_RECORD || "").toLowerCase());
+const RECORDINGS_DIR = path.join(DATA_DIR, "_recordings");
+
+function recordingsDirFor(repoPath) {
+  return safeJoin(RECORDINGS_DIR, path.relative(DATA_DIR, path.resolve(repoPath)));
+}
+
+function startRecording(s, { cols, rows, shell }) {
+  try {
+    const dir = recordingsDirFor(s.repoPath);
+    fs.mkdirSync(dir, { recursive: true });
+    const started = new Date();
+    const file = path.join(dir, `${started.toISOString().replace(/[:.]/g, "-")}-${s.kind}-${s.id.slice(0, 8)}.cast`);
+    const stream = fs.createWriteStream(file, { flags: "a" });
+    stream.on("error", e => { console.error("recording write failed:", e.message); s.recording = null; });
+    const header = {
+      version: 2, width: cols, height: rows, timestamp: Math.floor(started.getTime() / 1000),
+      title: s.title, env: { SHELL: shell, TERM: "xterm-color" },
+      "web-claude": { session: s.id, kind: s.kind, profile: s.profile }
+    };
+    stream.write(JSON.stringify(header) + "\n");
+    s.recording = { file, stream, t0: process.hrtime.bigint() };
+    dlog("recording", s.id, "→", file);
+  } catch (e) {
+    console.error("recording start failed:", e.message);
+  }
+}
+
+function recordEvent(s, code, data) {
+  const rec = s.recording;
+  if (!rec) return;
+  const elapsed = Number(process.hrtime.bigint() - rec.t0) / 1e9;
+  rec.stream.write(JSON.stringify([Number(elapsed.toFixed(6)), code, data]) + "\n");
+}
+
+function stopRecording(s) {
+  if (!s.recording) return;
+  try { s.recording.stream.end(); } catch {}
+  s.recording = null;
+}
+
+// Header plus duration (time of the last event) without reading the whole file
+function readRecordingInfo(file) {
+  const stat = fs.statSync(file);
+  const fd = fs.openSync(file, "r");
+  try {
+    const headBuf = Buffer.alloc(Math.min(stat.size, 4096));
+    fs.readSync(fd, headBuf, 0, headBuf.length, 0);
+    const header = JSON.parse(headBuf.toString("utf-8").split("\n")[0] || "{}");
+    let duration = 0;
+    const tailLen = Math.min(stat.size, 64 * 1024);
+    const tailBuf = Buffer.alloc(tailLen);
+    fs.readSync(fd, tailBuf, 0, tailLen, stat.size - tailLen);
+    const lines = tailBuf.toString("utf-8").split("\n").filter(Boolean);
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        const ev = JSON.parse(lines[i]);
+        if (Array.isArray(ev)) { duration = Number(ev[0]) || 0; break; }
+      } catch {}
+    }
+    return { header, duration, size: stat.size, mtime: stat.mtime.toISOString() };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function resolveRecording(repoPath, id) {
+  if (!/^[\w.-]+\.cast$/.test(String(id || ""))) throw Object.assign(new Error("Invalid recording id"), { status: 400 });
+  const file = path.join(recordingsDirFor(repoPath), id);
+  if (!fs.existsSync(file)) throw Object.assign(new Error("Recording not found"), { status: 404 });
+  return file;
+}
+
+app.get("/api/recordings", withRepo, (req, res) => {
+  try {
+    const { repoPath } = req;
+    const dir = recordingsDirFor(repoPath);
+    const active = new Set([...termSessions.values()].map(x => x.recording?.file).filter(Boolean));
+    const items = [];
+    if (fs.existsSync(dir)) {
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith(".cast")) continue;
+        try {
+          const info = readRecordingInfo(path.join(dir, name));
+          const meta = info.header["web-claude"] || {};
+          items.push({
+            id: name,
+            title: info.header.title || "",
+            kind: meta.kind || "",
+            profile: meta.profile || "",
+            startedAt: info.header.timestamp ? new Date(info.header.timestamp * 1000).toISOString() : info.mtime,
+            duration: info.duration,
+            size: info.size,
+            active: active.has(path.join(dir, name))
+          });
+        } catch (e) {
+          dlog("recording skipped:", name, e.message);
+        }
+      }
+    }
+    items.sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, enabled: TERM_RECORD, recordings: items });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/recordings/:id", withRepo, (req, res) => {
+  try {
+    const file = resolveRecording(req.repoPath, req.params.id);
+    res.set("Content-Type", "application/x-asciicast");
+    res.set("Cache-Control", "no-store");
+    if (req.query.download) res.attachment(req.params.id);
+    fs.createReadStream(file).pipe(res);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/recordings/:id", withRepo, (req, res) => {
+  try {
+    const file = resolveRecording(req.repoPath, req.params.id);
+    if ([...termSessions.values()].some(x => x.recording?.file === file)) {
+      return res.status(409).json({ error: "Recording is still in progress" });
+    }
+    fs.unlinkSync(file);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+function termSessionInfo(s) {
+  return {
+    id: s.id, kind: s.kind, profile: s.profile, title: s.title, createdAt: s.createdAt,
+    repo: s.repoPath ? repoIdFor(s.repoPath) : "",
+    attached: s.clients.size > 0, viewers: presenceList(s).length, shared: s.shares.size > 0
+  };
+}
+
+// ---- Terminal sessions API (tabs) ----
+const termUser = (req) => req.user?.username || "";
+
+// A session by :id that the caller may control; answers 404/403 itself
+function controlledTermSession(req, res) {
+  const s = termSessions.get(req.params.id);
+  if (!s) {
+    res.status(404).json({ error: "Terminal session not found" });
+    return null;
+  }
+  if (!mayControlTerm(s, termUser(req))) {
+    res.status(403).json({ error: "Only the owner or the current driver of this terminal can do that" });
+    return null;
+  }
+  return s;
+}
+
+// Only the caller's own sessions; others' are reached through share links
+app.get("/api/terminals", withRepo, (req, res) => {
+  const { repoPath } = req;
+  const items = [...termSessions.values()].filter(s => s.repoPath === repoPath && s.owner === termUser(req)).map(termSessionInfo);
+  res.set("Cache-Control", "no-store");
+  res.json({ ok: true, sessions: items });
+});
+
+app.post("/api/terminals", withRepo, (req, res) => {
+  try {
+    const { kind, title, profile } = req.body;
+    const { repoPath } = req;
+    if (kind && !TERM_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of: ${TERM_KINDS.join(", ")}` });
+    if (profile && !TERM_PROFILES[profile]) return res.status(400).json({ error: `Unknown terminal profile: ${profile}` });
+    const s = createTermSession(repoPath, { kind, title, profile, owner: termUser(req) });
+    // Nobody is attached yet; reap it like any other detached session
+    s.reapTimer = setTimeout(() => destroyTermSession(s.id), TERM_DETACHED_TTL_MS);
+    res.json({ ok: true, session: termSessionInfo(s) });
+  } catch (err) {
+    if (DEBUG) console.error("terminals create error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/terminal-profiles", withRepo, (req, res) => {
+  const { repoPath } = req;
+  const profiles = Object.values(TERM_PROFILES).map(p => ({ name: p.name, label: p.label, description: p.description || "", command: [p.command, ...p.args].join(" ") }));
+  res.json({ ok: true, profiles, default: defaultProfileFor(repoPath), serverDefault: TERM_DEFAULT_PROFILE });
+});
+
+app.post("/api/terminal-profiles/default", withRepo, (req, res) => {
+  try {
+    const { profile } = req.body;
+    const { repoPath } = req;
+    if (profile && !TERM_PROFILES[profile]) return res.status(400).json({ error: `Unknown terminal profile: ${profile}` });
+    // An empty profile clears the repo override and falls back to TERM_DEFAULT_PROFILE
+    updateRepoSettings(repoPath, { terminalProfile: profile || null });
+    res.json({ ok: true, default: defaultProfileFor(repoPath) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch("/api/terminals/:id", (req, res) => {
+  const s = controlledTermSession(req, res);
+  if (!s) return;
+  const title = String(req.body?.title || "").trim();
+  if (!title) return res.status(400).json({ error: "title is required" });
+  s.title = title.slice(0, 80);
+  res.json({ ok: true, session: termSessionInfo(s) });
+});
+
+// Type text into a session as if the driver pasted it (review comments,
+// issues, ... handed to Claude). Bracketed paste keeps multi-line text from
+// being submitted line by line; `submit` presses Enter afterwards. Like typed
+// input it is only taken from the owner or whoever holds the driver seat.
+app.post("/api/terminals/:id/input", (req, res) => {
+  const s = controlledTermSession(req, res);
+  if (!s) return;
+  const text = String(req.body?.text || "");
+  if (!text) return res.status(400).json({ error: "text is required" });
+  s.pty.write(`\x1b[200~${text.replace(/\r?\n/g, "\r")}\x1b[201~`);
+  if (req.body?.submit) s.pty.write("\r");
+  res.json({ ok: true });
+});
+
+app.delete("/api/terminals/:id", (req, res) => {
+  const s = controlledTermSession(req, res);
+  if (!s) return;
+  for (const ws of s.clients.keys()) { try { ws.close(4001, "closed"); } catch {} }
+  destroyTermSession(s.id);
+  res.json({ ok: true });
+});
+
+// Create a share link token for a session
+app.post("/api/terminals/:id/share", (req, res) => {
+  const s = controlledTermSession(req, res);
+  if (!s) return;
+  const mode = req.body?.mode || "view";
+  if (!SHARE_MODES.includes(mode)) return res.status(400).json({ error: `mode must be one of: ${SHARE_MODES.join(", ")}` });
+  const token = crypto.randomBytes(18).toString("base64url");
+  s.shares.set(token, { mode, createdAt: new Date().toISOString() });
+  broadcastPresence(s);
+  res.json({ ok: true, token, mode });
+});
+
+// Stop sharing: revoke every link and disconnect the guests that used one
+app.delete("/api/terminals/:id/share", (req, res) => {
+  const s = controlledTermSession(req, res);
+  if (!s) return;
+  s.shares.clear();
+  for (const [ws, c] of s.clients) {
+    if (c.share) { try { ws.close(4003, "sharing stopped"); } catch {} }
+  }
+  res.json({ ok: true });
+});
+
 wss.on("connection", (ws, req) => {
   try {
     const url = new URL(req.url, "http://localhost");
-    const repoPath = url.searchParams.get("repoPath") || "";
-    const cmd = CLAUDE_CMD; // configurable via CLAUDE_CMD env var
-    // Validate repoPath and set cwd
-    let cwd = DATA_DIR;
-    if (repoPath) {
-      try { cwd = safeJoin(DATA_DIR, path.relative(DATA_DIR, repoPath)); } catch { /* fallback */ }
-    }
-    const shell = process.env.SHELL || "/bin/sh";
-    // Set up environment for Claude CLI (credentials in ~/.claude/.credentials.json)
-    const claudeEnv = { ...process.env };
-    // If Claude credentials path is explicitly set, pass it along
-    if (CLAUDE_CREDENTIALS_PATH && CLAUDE_CREDENTIALS_PATH !== path.join(os.homedir(), ".claude", ".credentials.json")) {
-      claudeEnv.CLAUDE_CONFIG_DIR = path.dirname(CLAUDE_CREDENTIALS_PATH);
-    }
-    const p = pty.spawn(shell, ["-lc", cmd], {
-      name: "xterm-color",
-      cols: 120,
-      rows: 30,
-      cwd,
-      env: claudeEnv
-    });
+    const sessionId = url.searchParams.get("sessionId") || "";
+    const shareToken = url.searchParams.get("share") || "";
+    const kind = url.searchParams.get("kind") || "claude";
+    const profile = url.searchParams.get("profile") || "";
+    const sinceRaw = url.searchParams.get("since");
+    const since = sinceRaw === null || sinceRaw === "" ? NaN : Number(sinceRaw);
+    const user = req.user?.username || "";
+    const name = (url.searchParams.get("name") || "").trim().slice(0, 40) || user || "anonymous";
+    // Lets sign-out and user removal close this socket
+    ws.authSid = req.user?.sid;
+    ws.authUser = req.user?.username;
+    let s;
+    let share = null;
+    let resumed;
+    if (shareToken) {
+      // Share links only ever attach; they never spawn anything
+      const found = findSessionByShareToken(shareToken);
+      if (!found) {
+        sendJson(ws, { type: "error", message: "This share link is invalid or the session has ended" });
+        return ws.close(4004, "invalid share");
+      }
+      ({ s, share } = found);
+      resumed = true;
+    } else {
+      let repoPath;
+      try {
+        ({ repoPath } = resolveRepo({ repoId: url.searchParams.get("repoId"), repoPath: url.searchParams.get("repoPath") }));
+      } catch (err) {
+        sendJson(ws, { type: "error", message: err.message });
+        return ws.close(4403, "repo not allowed");
+      }
+      // Re-attach to a live session for the same repo, otherwise spawn a new one
+      s = sessionId ? termSessions.get(sessionId) : null;
+      if (s && s.repoPath !== repoPath) s = null;
+      // Someone else's session is only reachable through one of its share links
+      if (s && s.owner !== user) {
+        sendJson(ws, { type: "error", message: "This terminal belongs to someone else; ask them for a share link" });
+        return ws.close(4403, "not the owner");
+      }
+      resumed = Boolean(s);
+      if (!s) s = createTermSession(repoPath, { kind: TERM_KINDS.includes(kind) ? kind : "claude", profile: TERM_PROFILES[profile] ? profile : "", owner: user });
+    }
+    if (s.reapTimer) { clearTimeout(s.reapTimer); s.reapTimer = null; }
+    // A reconnect with its resume key replaces its own stale socket; nobody
+    // else can claim that id
+    const { id: clientId, resumeKey } = termClientId(s, url.searchParams.get("resume") || "", { share: share ? shareToken : "", user });
+    const prev = [...s.clients.entries()].filter(([, x]) => x.id === clientId);
+    for (const [oldWs] of prev) { try { oldWs.close(4000, "replaced"); } catch {} }
+    const c = { id: clientId, name, user, share: share ? shareToken : "", canDrive: !share || share.mode === "drive", requesting: false };
+    s.clients.set(ws, c);
+    // First one in drives; app users (not share guests) also pick up an empty seat
+    if (!s.driver && c.canDrive) s.driver = c.id;
     // Mark alive for heartbeat; browsers auto-respond to ping with pong
     ws.isAlive = true;
     ws.on("pong", heartbeat);
-    p.onData(data => ws.readyState === 1 && ws.send(data));
-    p.onExit(() => { try { ws.close(); } catch {} });
+    const replay = scrollbackSince(s, resumed ? since : NaN);
+    const info = termSessionInfo(s);
+    // The session id would let a guest attach without the link
+    if (share) delete info.id;
+    sendJson(ws, { type: "session", ...info, resumed, truncated: replay.truncated, you: c.id, resume: resumeKey, guest: Boolean(share), cols: s.cols, rows: s.rows });
+    if (replay.data) sendJson(ws, { type: "data", data: replay.data, end: s.end });
+    broadcastPresence(s);
     ws.on("message", msg => {
       try {
         const str = msg.toString();
+        if (str.startsWith('{"type":"control"')) {
+          try { handleControl(s, c, JSON.parse(str)); } catch {}
+          return;
+        }
+        // Only the driver types and sizes the pty; viewers just watch
+        if (!c.canDrive || s.driver !== c.id) return;
         // Check if it's a resize command
         if (str.startsWith('{"type":"resize"')) {
           try {
             const data = JSON.parse(str);
             if (data.type === 'resize' && data.cols && data.rows) {
-              p.resize(Math.max(1, data.cols), Math.max(1, data.rows));
+              const cols = Math.max(1, data.cols);
+              const rows = Math.max(1, data.rows);
+              s.pty.resize(cols, rows);
+              s.cols = cols;
+              s.rows = rows;
+              recordEvent(s, "r", `${cols}x${rows}`);
+              // Viewers mirror the driver's size so the output lines up
+              broadcast(s, { type: "size", cols, rows });
               return;
             }
           } catch {}
         }
-        p.write(str);
+        s.pty.write(str);
       } catch {}
     });
-    ws.on("close", () => { try { p.kill(); } catch {} });
+    ws.on("close", () => detachTermSession(s, ws));
   } catch (e) { try { if (DEBUG) console.error("ws/terminal error:", e?.message || e); ws.close(); } catch {} }
 });
 
 server.listen(PORT, () => {
   console.log(`web-claude listening on :${PORT}`);
+  // Warm the repo list so the first page load does not wait for the APIs
+  if (PROVIDER_BACKENDS.some(b => b.enabled())) refreshProviders().catch(e => console.error("providers: initial fetch failed:", formatErr(e)));
 });
 
 
@@ -664,9 +4259,9 @@ app.get("/readyz", (req, res) => {
 
 
 // ---- Git tree (shallow) ----
-app.get("/api/git/tree", async (req, res) => {
+app.get("/api/git/tree", withRepo, async (req, res) => {
   try {
-    const repoPath = req.query.repoPath;
+    const { repoPath } = req;
     const depth = Number(req.query.depth || 3);
     const maxFiles = Number(req.query.max || 1000);
     function ls(dir, d=0) {
@@ -696,9 +4291,9 @@ app.get("/api/git/tree", async (req, res) => {
 
 
 // ---- Git file (content) ----
-app.get("/api/git/file", async (req, res) => {
+app.get("/api/git/file", withRepo, async (req, res) => {
   try {
-    const repoPath = req.query.repoPath;
+    const { repoPath } = req;
     const p = req.query.path;
     const abs = safeJoin(repoPath, p);
     const stat = fs.statSync(abs);
@@ -714,21 +4309,26 @@ app.get("/api/git/file", async (req, res) => {
 // ---- CI last run status (best-effort) ----
 app.get("/api/ci/last", async (req, res) => {
   try {
-    const { provider, owner, name, gitlabId } = req.query;
-    if (provider === "github" && GH_TOKEN) {
-      const headers = { Authorization: `Bearer ${GH_TOKEN}`, Accept: "application/vnd.github+json" };
-      const runs = (await axios.get(`https://api.github.com/repos/${owner}/${name}/actions/runs?per_page=1`, { headers })).data;
-      const run = runs.workflow_runs?.[0];
-      return res.json({ ok:true, provider, status: run?.conclusion || run?.status || "unknown", url: run?.html_url || "" });
-    }
-    if (provider === "gitlab" && GL_TOKEN && gitlabId) {
-      const headers = { "Private-Token": GL_TOKEN };
-      const url = `${GL_BASE_URL}/api/v4/projects/${encodeURIComponent(gitlabId)}/pipelines?per_page=1`;
-      const p = (await axios.get(url, { headers })).data?.[0];
-      return res.json({ ok:true, provider, status: p?.status || "unknown", url: p?.web_url || "" });
+    const { provider, owner, name } = req.query;
+    // `gitlabId` is the older name of `id`
+    const id = req.query.id || req.query.gitlabId;
+    const backend = providerBackend(provider);
+    if (backend?.enabled() && ((owner && name) || id)) {
+      const ci = await backend.ciStatus({ owner, name, id });
+      return res.json({ ok:true, provider, ...ci });
     }
     res.json({ ok:true, status: "unknown" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
+
+// ---- Serve frontend build (placed by backend build into dist/frontend) ----
+// Registered last so the catch-all does not shadow API routes declared above
+const frontendDir = path.join(__dirname, "frontend");
+if (fs.existsSync(frontendDir)) {
+  app.use("/", express.static(frontendDir));
+  app.get("*", (req, res) => res.sendFile(path.join(frontendDir, "index.html")));
+} else {
+  app.get("/", (req, res) => res.send("web-claude backend is running. Build the frontend to serve UI."));
+}
@@ -0,0 +1,199 @@
+// Starts the server on a scratch DATA_DIR with two users, "owner" and "guest",
+// and checks that a view-only share guest cannot reach the owner's pty.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { WebSocket } from "ws";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "src", "server.js");
+let dataDir;
+let server;
+let base;
+// username -> session cookie
+const cookies = {};
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    }).on("error", reject);
+  });
+}
+
+async function login(username) {
+  const r = await fetch(`${base}/api/auth/login`, {
+    method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify({ username, password: `pw-${username}` })
+  });
+  assert.equal(r.status, 200);
+  cookies[username] = r.headers.get("set-cookie").split(";")[0];
+}
+
+function api(user, method, url, body) {
+  return fetch(`${base}${url}`, {
+    method, headers: { "content-type": "application/json", cookie: cookies[user] }, body: body && JSON.stringify(body)
+  });
+}
+
+// A socket of `user` plus everything it received so far
+function connect(user, query) {
+  const ws = new WebSocket(`${base.replace("http", "ws")}/ws/terminal?${new URLSearchParams(query)}`, { headers: { cookie: cookies[user] } });
+  const client = { ws, messages: [], output: "", closed: null };
+  ws.on("message", raw => {
+    const msg = JSON.parse(String(raw));
+    client.messages.push(msg);
+    if (msg.type === "data") client.output += msg.data;
+  });
+  ws.on("close", code => { client.closed = code; });
+  return client;
+}
+
+async function waitFor(fn, what, ms = 5000) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    const v = fn();
+    if (v) return v;
+    await new Promise(r => setTimeout(r, 50));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+const sessionOf = (c) => waitFor(() => c.messages.find(m => m.type === "session"), "the session message");
+const lastPresence = (c) => c.messages.filter(m => m.type === "presence").pop();
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "web-claude-test-"));
+  const repo = path.join(dataDir, "local", "me", "m");
+  fs.mkdirSync(repo, { recursive: true });
+  spawnSync("git", ["init", "-q", repo]);
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, DATA_DIR: dataDir, PORT: String(port), AUTH_DISABLED: "", AUTH_USERS: "owner:pw-owner,guest:pw-guest", SHELL: "/bin/sh", CHECKPOINT_INTERVAL_MS: "0", DEBUG: "" },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  let out = "";
+  server.stdout.on("data", d => { out += d; });
+  await waitFor(() => out.includes("listening"), "the server to start", 15000);
+  await login("owner");
+  await login("guest");
+});
+
+after(() => {
+  server?.kill();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// The owner's terminal, shared view-only, with the guest attached through the link
+async function sharedView() {
+  const owner = connect("owner", { repoId: "local/me/m", kind: "shell", name: "owner" });
+  const ownerSession = await sessionOf(owner);
+  assert.ok(ownerSession.id);
+  assert.ok(ownerSession.resume);
+  const r = await api("owner", "POST", `/api/terminals/${ownerSession.id}/share`, { mode: "view" });
+  const { token } = await r.json();
+  const guest = connect("guest", { share: token, resume: "guessed", name: "guest" });
+  const guestSession = await sessionOf(guest);
+  return { owner, ownerSession, guest, guestSession };
+}
+
+// Waits until a command the owner typed has run, so anything the guest sent
+// before it would have shown up too
+async function ownerTypes(owner, tag) {
+  owner.ws.send(`echo ${tag}_$((6*7))\r`);
+  await waitFor(() => owner.output.includes(`${tag}_42`), "the owner's command output");
+  await new Promise(r => setTimeout(r, 300));
+}
+
+test("a view-only guest cannot take over the driver or type into the pty", async () => {
+  const { owner, ownerSession, guest, guestSession } = await sharedView();
+  assert.notEqual(guestSession.you, ownerSession.you);
+  assert.equal(guestSession.guest, true);
+  assert.equal(guestSession.id, undefined, "the guest was told the session id");
+
+  guest.ws.send(JSON.stringify({ type: "control", action: "request" }));
+  guest.ws.send(JSON.stringify({ type: "control", action: "handoff", to: guestSession.you }));
+  guest.ws.send(JSON.stringify({ type: "resize", cols: 33, rows: 11 }));
+  guest.ws.send("echo GUEST_$((6*7))\r");
+  await ownerTypes(owner, "OWNER");
+
+  assert.equal(owner.closed, null, "the owner's socket was closed");
+  assert.ok(!owner.output.includes("GUEST_"), "the guest's input reached the pty");
+  assert.ok(!owner.messages.some(m => m.type === "size" && m.cols === 33), "the guest resized the pty");
+  const presence = lastPresence(owner);
+  assert.equal(presence.driver, ownerSession.you);
+  assert.ok(presence.clients.every(c => !("resume" in c)));
+
+  guest.ws.close();
+  owner.ws.close();
+});
+
+test("a view-only guest cannot attach by session id or manage the session", async () => {
+  const { owner, ownerSession, guest } = await sharedView();
+  // Leave the driver seat empty, as it would be after the owner stepped away
+  owner.ws.send(JSON.stringify({ type: "control", action: "release" }));
+  await waitFor(() => lastPresence(owner)?.driver === null, "the seat to be released");
+
+  const list = await (await api("guest", "GET", "/api/terminals?repoId=local/me/m")).json();
+  assert.deepEqual(list.sessions, []);
+
+  const direct = connect("guest", { repoId: "local/me/m", sessionId: ownerSession.id });
+  direct.ws.on("open", () => direct.ws.send("echo DIRECT_$((6*7))\r"));
+  await waitFor(() => direct.closed === 4403, "the direct attach to be refused");
+  assert.equal(lastPresence(owner).driver, null);
+
+  for (const [method, url, body] of [
+    ["POST", `/api/terminals/${ownerSession.id}/share`, { mode: "drive" }],
+    ["DELETE", `/api/terminals/${ownerSession.id}/share`],
+    ["PATCH", `/api/terminals/${ownerSession.id}`, { title: "mine" }],
+    ["DELETE", `/api/terminals/${ownerSession.id}`]
+  ]) {
+    assert.equal((await api("guest", method, url, body)).status, 403, `${method} ${url}`);
+  }
+
+  owner.ws.send(JSON.stringify({ type: "control", action: "request" }));
+  await waitFor(() => lastPresence(owner)?.driver === ownerSession.you, "the owner to drive again");
+  await ownerTypes(owner, "STILL");
+  assert.ok(!owner.output.includes("DIRECT_"), "the guest's input reached the pty");
+  assert.equal(guest.closed, null, "the guest's link was revoked");
+
+  guest.ws.close();
+  owner.ws.close();
+});
+
+test("only the owner or the driver can paste into a session", async () => {
+  const { owner, ownerSession, guest } = await sharedView();
+  const input = (user, text) => api(user, "POST", `/api/terminals/${ownerSession.id}/input`, { text, submit: true });
+
+  assert.equal((await input("guest", "echo PASTED_")).status, 403);
+  // Still refused with the seat empty
+  owner.ws.send(JSON.stringify({ type: "control", action: "release" }));
+  await waitFor(() => lastPresence(owner)?.driver === null, "the seat to be released");
+  assert.equal((await input("guest", "echo PASTED_")).status, 403);
+
+  // The pty echoes what is pasted; /bin/sh does not know bracketed paste, so
+  // the text is not run, only shown
+  assert.equal((await input("owner", "echo OWNER_PASTE")).status, 200);
+  await waitFor(() => owner.output.includes("OWNER_PASTE"), "the owner's paste to be echoed");
+  await new Promise(r => setTimeout(r, 300));
+  assert.ok(!owner.output.includes("PASTED_"), "the guest's paste reached the pty");
+
+  guest.ws.close();
+  owner.ws.close();
+});
+
+test("a reconnect with its resume key keeps its id and the driver seat", async () => {
+  const first = connect("owner", { repoId: "local/me/m", kind: "shell" });
+  const s1 = await sessionOf(first);
+  const again = connect("owner", { repoId: "local/me/m", sessionId: s1.id, resume: s1.resume });
+  const s2 = await sessionOf(again);
+  assert.equal(s2.you, s1.you);
+  await waitFor(() => first.closed === 4000, "the stale socket to be replaced");
+  assert.equal(lastPresence(again).driver, s1.you);
+  again.ws.close();
+});
@@ -2,9 +2,12 @@ import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './ui/App.jsx'
 import { ToastProvider } from './ui/ToastContext.jsx'
+import AuthGate from './ui/Auth.jsx'
 
 createRoot(document.getElementById('root')).render(
   <ToastProvider>
-    <App />
+    <AuthGate>
+      <App />
+    </AuthGate>
   </ToastProvider>
 )
@@ -1,8 +1,20 @@
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import axios from "axios";
+import TerminalTabs from "./TerminalTabs.jsx";
 import ClaudeTerminal from "./Terminal.jsx";
 import FileTree from "./FileTree.jsx";
 import DiffPretty from "./DiffPretty.jsx";
+import Recordings from "./Recordings.jsx";
+import { OpenPullRequestModal, PullRequestsPanel } from "./PullRequest.jsx";
+import { IssuesPanel } from "./Issues.jsx";
+import { CommitModal } from "./Commit.jsx";
+import { ConflictEditor, MergeBranchModal, PushFailedModal } from "./Merge.jsx";
+import { StashPanel } from "./Stash.jsx";
+import { CheckpointsPanel } from "./Checkpoints.jsx";
+import { HistoryPanel } from "./History.jsx";
+import { TagsPanel } from "./Tags.jsx";
+import { AheadBehind, DeleteBranchModal, RenameBranchModal } from "./Branches.jsx";
+import { AccountMenu } from "./Auth.jsx";
 import { ToastProvider, useToast } from "./ToastContext.jsx";
 
 // Helper to create cancellable axios requests
@@ -46,17 +58,21 @@ function parseChangedFiles(patch) {
   } catch { return []; }
 }
 
+// One tab per provider group; keys starting with "_" are metadata (errors)
 function getProviderItems(providers) {
   const items = [];
-  if (providers.github) {
-    for (const key of Object.keys(providers.github)) items.push({ provider: "github", key });
-  }
-  if (providers.gitlab) {
-    for (const key of Object.keys(providers.gitlab)) items.push({ provider: "gitlab", key });
+  for (const provider of Object.keys(providers || {})) {
+    if (provider.startsWith("_")) continue;
+    for (const key of Object.keys(providers[provider] || {})) items.push({ provider, key });
   }
   return items;
 }
 
+// Display name of a provider instance ("GitLab (corp)"), as sent by the server
+function providerLabel(providers, provider) {
+  return providers?._labels?.[provider] || provider;
+}
+
 function GroupTabs({ providers, current, setCurrent }) {
   const items = getProviderItems(providers);
   // Don't render tabs if there's only one group
@@ -67,16 +83,17 @@ function GroupTabs({ providers, current, setCurrent }) {
         const id = `${it.provider}:${it.key}`;
         const active = current === id;
         const count = (providers[it.provider]?.[it.key] || []).length;
+        const label = providerLabel(providers, it.provider);
         return (
           <div
             key={idx}
             className={"tab " + (active ? "active" : "")}
             onClick={() => setCurrent(id)}
             aria-current={active ? 'page' : undefined}
-            title={`${it.provider} / ${it.key}`}
+            title={`${label} / ${it.key}`}
           >
             {active && <span className="current-dot" />}
-            <span style={{fontWeight: active ? 600 : 500}}>{it.provider} / {it.key}</span>
+            <span style={{fontWeight: active ? 600 : 500}}>{label} / {it.key}</span>
             <span className="tag" style={{marginLeft: 6}}>{count}</span>
           </div>
         );
@@ -85,7 +102,7 @@ function GroupTabs({ providers, current, setCurrent }) {
   );
 }
 
-function RepoList({ repos, onSelect, currentId }) {
+function RepoList({ repos, onSelect, currentId, onRefresh, refreshing }) {
   const [q, setQ] = useState("");
   const sorted = [...repos].sort((a,b)=>{
     const an = (a.name || '').toLowerCase();
@@ -103,16 +120,22 @@ function RepoList({ repos, onSelect, currentId }) {
     : sorted;
   return (
     <div className="pane">
-      <input
-        placeholder="Search repos..."
-        value={q}
-        onChange={(e) => setQ(e.target.value)}
-        style={{ marginBottom: 8 }}
-      />
+      <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+        <input
+          placeholder="Search repos..."
+          value={q}
+          onChange={(e) => setQ(e.target.value)}
+        />
+        {onRefresh && (
+          <button className="secondary icon" onClick={onRefresh} disabled={refreshing} title="Reload the repo list from the providers">
+            {refreshing ? '…' : '↻'}
+          </button>
+        )}
+      </div>
       {filtered.map((r, i) => (
         <div key={i} className="repo" onClick={() => onSelect(r)} style={{cursor:'pointer'}}>
           <div>
-            <div><strong>{r.name}</strong></div>
+            <div><strong>{r.name}</strong>{r.archived && <span className="tag" style={{ marginLeft: 6 }}>archived</span>}</div>
             <div className="muted">{r.full_name || r.path_with_namespace}</div>
           </div>
           <div style={{display:'flex',gap:6,alignItems:'center'}}>
@@ -131,13 +154,21 @@ function RepoActions({ repo, meta, setMeta }) {
   const toast = useToast();
   const [log, setLog] = useState([]);
   const [patch, setPatch] = useState("");
+  const [stagedPatch, setStagedPatch] = useState("");
+  const [unstagedPatch, setUnstagedPatch] = useState("");
   const [showPretty, setShowPretty] = useState(true);
   const [prettyMode, setPrettyMode] = useState('unified');
   const [selectedDiffFile, setSelectedDiffFile] = useState("");
   const diffPaneRef = useRef(null);
   const [isDiffFullscreen, setIsDiffFullscreen] = useState(false);
   const [manualDiffFullscreen, setManualDiffFullscreen] = useState(false);
-  const [pullInfo, setPullInfo] = useState({ at: null, upToDate: null, behind: 0 });
+  const [pullInfo, setPullInfo] = useState({ at: null, upToDate: null, behind: 0, ahead: 0, upstream: "", operation: "", conflicts: 0, step: null });
+  // Set when an amend rewrote a commit that was already pushed
+  const [needsForce, setNeedsForce] = useState(false);
+  const [pushFailure, setPushFailure] = useState(null);
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [showMergeModal, setShowMergeModal] = useState(false);
+  const [operating, setOperating] = useState('');
   const [pulling, setPulling] = useState(false);
   const [pushing, setPushing] = useState(false);
   const [rolling, setRolling] = useState(false);
@@ -149,14 +180,26 @@ function RepoActions({ repo, meta, setMeta }) {
   const lastVibeAtRef = useRef(0);
 
   // Branch management state
-  const [branches, setBranches] = useState({ current: '', all: [] });
+  const [branches, setBranches] = useState({ current: '', all: [], defaultBranch: '', details: [] });
+  const [branchEdit, setBranchEdit] = useState(null); // { action: 'delete' | 'rename', branch }
   const [showBranchDropdown, setShowBranchDropdown] = useState(false);
   const [showNewBranchModal, setShowNewBranchModal] = useState(false);
   const [newBranchName, setNewBranchName] = useState('');
-  const [newBranchSource, setNewBranchSource] = useState('main');
+  const [newBranchSource, setNewBranchSource] = useState('');
+  const [newBranchPush, setNewBranchPush] = useState(true);
   const [checkingOut, setCheckingOut] = useState(false);
   const [creatingBranch, setCreatingBranch] = useState(false);
   const branchDropdownRef = useRef(null);
+  const [showCommitModal, setShowCommitModal] = useState(false);
+  // PR/MR opened from the current branch (remembered by the server)
+  const [showPrModal, setShowPrModal] = useState(false);
+  const [branchPr, setBranchPr] = useState(null);
+  const terminalsRef = useRef(null);
+  // Paste text (review comments, an issue) into the Claude terminal
+  const sendToTerminal = async (text) => {
+    if (!terminalsRef.current) throw new Error('No terminal');
+    await terminalsRef.current.send(text);
+  };
 
   // Abort controllers for cancelling pending requests
   const abortControllersRef = useRef({});
@@ -177,7 +220,7 @@ function RepoActions({ repo, meta, setMeta }) {
 
   const refreshLog = async (signal) => {
     const r = await axios.get("/api/git/log", {
-      params: { repoPath: meta.repoPath },
+      params: { repoId: meta.repoId },
       signal
     });
     setLog(r.data.commits || []);
@@ -188,27 +231,28 @@ function RepoActions({ repo, meta, setMeta }) {
     statusPendingRef.current = true;
     try {
       const r = await axios.get("/api/git/status", {
-        params: { repoPath: meta.repoPath },
+        params: { repoId: meta.repoId },
         signal
       });
-      const behind = Number(r.data.status?.behind || 0);
-      setPullInfo(p => ({ ...p, upToDate: behind === 0, behind }));
+      const behind = Number(r.data.behind || 0);
+      const ahead = Number(r.data.ahead || 0);
+      setPullInfo(p => ({ ...p, upToDate: behind === 0, behind, ahead, upstream: r.data.upstream || "", operation: r.data.operation || "", conflicts: Number(r.data.conflicts || 0), step: r.data.step || null }));
     } finally {
       statusPendingRef.current = false;
     }
   };
 
   const refreshBranches = async (signal) => {
-    if (!meta.repoPath) return;
+    if (!meta.repoId) return;
     try {
       const r = await axios.get("/api/git/branches", {
-        params: { repoPath: meta.repoPath },
+        params: { repoId: meta.repoId },
         signal
       });
-      setBranches({ current: r.data.current || '', all: r.data.all || [] });
-      // Update source branch default to current if not set or not in list
+      setBranches({ current: r.data.current || '', all: r.data.all || [], defaultBranch: r.data.defaultBranch || '', details: r.data.branches || [] });
+      // New branches start from the default branch unless another is picked
       if (!newBranchSource || !r.data.all?.includes(newBranchSource)) {
-        setNewBranchSource(r.data.current || 'main');
+        setNewBranchSource(r.data.defaultBranch || r.data.current || '');
       }
     } catch (e) {
       if (e.name !== 'CanceledError' && e.name !== 'AbortError') {
@@ -224,7 +268,7 @@ function RepoActions({ repo, meta, setMeta }) {
     }
     try {
       setCheckingOut(true);
-      await axios.post("/api/git/checkout", { repoPath: meta.repoPath, branch });
+      await axios.post("/api/git/checkout", { repoId: meta.repoId, branch });
       await refreshBranches();
       await refreshDiff();
       await refreshLog();
@@ -245,16 +289,18 @@ function RepoActions({ repo, meta, setMeta }) {
     }
     try {
       setCreatingBranch(true);
-      await axios.post("/api/git/createBranch", {
-        repoPath: meta.repoPath,
+      const r = await axios.post("/api/git/createBranch", {
+        repoId: meta.repoId,
         branchName: newBranchName.trim(),
-        sourceBranch: newBranchSource || 'main'
+        sourceBranch: newBranchSource || undefined,
+        setUpstream: newBranchPush
       });
       await refreshBranches();
       await refreshDiff();
+      await refreshStatus().catch(() => {});
       setShowNewBranchModal(false);
       setNewBranchName('');
-      toast && toast(`Created and switched to ${newBranchName.trim()}`);
+      toast && toast(r.data.warning || `Created and switched to ${newBranchName.trim()}${r.data.upstream ? `, tracking ${r.data.upstream}` : ''}`);
     } catch (e) {
       const msg = e?.response?.data?.error || e?.message || "Failed to create branch";
       toast && toast(`Create branch failed: ${msg}`);
@@ -263,6 +309,15 @@ function RepoActions({ repo, meta, setMeta }) {
     }
   };
 
+  useEffect(() => {
+    if (!meta.repoId || !branches.current) return;
+    let cancelled = false;
+    axios.get("/api/git/pullRequest", { params: { repoId: meta.repoId } })
+      .then(r => { if (!cancelled) setBranchPr(r.data.pullRequest || null); })
+      .catch(() => { if (!cancelled) setBranchPr(null); });
+    return () => { cancelled = true; };
+  }, [meta.repoId, branches.current]);
+
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -278,7 +333,7 @@ function RepoActions({ repo, meta, setMeta }) {
 
   // Initial data load when repo changes - with abort controller
   useEffect(() => {
-    if (!meta.repoPath) return;
+    if (!meta.repoId) return;
     const controller = createAbortController();
     abortControllersRef.current.init = controller;
 
@@ -294,19 +349,19 @@ function RepoActions({ repo, meta, setMeta }) {
       controller.abort();
       delete abortControllersRef.current.init;
     };
-  }, [meta.repoPath]);
+  }, [meta.repoId]);
 
   // Terminal is always visible
 
   const doPull = async () => {
     try {
       setPulling(true);
-      const r = await axios.post("/api/git/pull", { repoPath: meta.repoPath });
+      const r = await axios.post("/api/git/pull", { repoId: meta.repoId });
       const up = Boolean(r.data?.status?.upToDate);
       const beforeBehind = Number(r.data?.status?.before?.behind || 0);
       const afterBehind = Number(r.data?.status?.after?.behind || 0);
       const behind = afterBehind;
-      setPullInfo({ at: new Date().toISOString(), upToDate: up, behind });
+      setPullInfo(p => ({ ...p, at: new Date().toISOString(), upToDate: up, behind }));
       await refreshLog();
       await refreshDiff();
       try { await refreshStatus(); } catch {}
@@ -325,24 +380,37 @@ function RepoActions({ repo, meta, setMeta }) {
   };
 
   const refreshDiff = async (signal) => {
-    if (!meta.repoPath) return;
+    if (!meta.repoId) return;
     if (diffPendingRef.current) return; // Skip if already fetching
     diffPendingRef.current = true;
     try {
       const r = await axios.get("/api/git/diff", {
-        params: { repoPath: meta.repoPath },
+        params: { repoId: meta.repoId },
         signal
       });
       const newDiff = r.data.diff || "";
       // Only update if diff actually changed (prevents unnecessary re-renders and re-parsing)
       setPatch(prev => prev === newDiff ? prev : newDiff);
+      setStagedPatch(r.data.staged || "");
+      setUnstagedPatch(r.data.unstaged || "");
     } finally {
       diffPendingRef.current = false;
     }
   };
 
   // Parse changed files from unified diff - use useMemo for caching
-  const parsedChangedFiles = useMemo(() => parseChangedFiles(patch), [patch]);
+  const stagedFiles = useMemo(() => parseChangedFiles(stagedPatch), [stagedPatch]);
+  const unstagedFiles = useMemo(() => parseChangedFiles(unstagedPatch), [unstagedPatch]);
+  // One entry per path; a partly staged file is in both diffs
+  const parsedChangedFiles = useMemo(() => {
+    const byPath = new Map();
+    for (const f of unstagedFiles) byPath.set(f.path, { ...f, staged: false, unstaged: true });
+    for (const f of stagedFiles) {
+      const cur = byPath.get(f.path);
+      byPath.set(f.path, cur ? { ...cur, staged: true } : { ...f, staged: true, unstaged: false });
+    }
+    return [...byPath.values()];
+  }, [stagedFiles, unstagedFiles]);
 
   // Update changed files only when parsed result changes
   useEffect(() => {
@@ -352,7 +420,7 @@ function RepoActions({ repo, meta, setMeta }) {
 
   // Auto refresh diff every 5 seconds with proper cleanup
   useEffect(() => {
-    if (!meta.repoPath) return;
+    if (!meta.repoId) return;
     const controller = createAbortController();
     abortControllersRef.current.diff = controller;
 
@@ -369,7 +437,7 @@ function RepoActions({ repo, meta, setMeta }) {
       controller.abort();
       delete abortControllersRef.current.diff;
     };
-  }, [meta.repoPath]);
+  }, [meta.repoId]);
 
   // Mobile haptic: vibrate when changes appear/increase
   useEffect(() => {
@@ -397,7 +465,7 @@ function RepoActions({ repo, meta, setMeta }) {
 
   // Periodically refresh upstream status with proper cleanup
   useEffect(() => {
-    if (!meta.repoPath) return;
+    if (!meta.repoId) return;
     const controller = createAbortController();
     abortControllersRef.current.status = controller;
 
@@ -414,50 +482,130 @@ function RepoActions({ repo, meta, setMeta }) {
       controller.abort();
       delete abortControllersRef.current.status;
     };
-  }, [meta.repoPath]);
+  }, [meta.repoId]);
 
-  const doApplyCommitPush = async () => {
+  const doPush = async ({ force = false } = {}) => {
     try {
       setPushing(true);
-      const message = "claude-" + new Date().toISOString();
-      const res = await axios.post("/api/git/commitPush", { repoPath: meta.repoPath, message });
-      const fullHash = res.data?.commit?.commit || '';
+      const r = await axios.post("/api/git/push", { repoId: meta.repoId, force, setUpstream: !pullInfo.upstream });
+      setPullInfo(p => ({ ...p, ahead: r.data.ahead, behind: r.data.behind, upToDate: r.data.behind === 0, upstream: p.upstream || r.data.upstream }));
+      setNeedsForce(false);
       await refreshLog();
-      await refreshDiff();
-      // Copy full commit hash to clipboard
-      if (fullHash) {
-        try {
-          await navigator.clipboard.writeText(fullHash);
-        } catch {
-          try {
-            const ta = document.createElement('textarea');
-            ta.value = fullHash;
-            ta.style.position = 'fixed';
-            ta.style.opacity = '0';
-            document.body.appendChild(ta);
-            ta.select();
-            document.execCommand('copy');
-            document.body.removeChild(ta);
-          } catch {}
-        }
-      }
-      toast && toast(fullHash ? `Pushed ${fullHash.slice(0, 7)} (copied) ✅` : "Pushed ✅");
+      toast && toast(`${force ? 'Force-pushed' : 'Pushed'} ${r.data.branch} ✅`);
     } catch (e) {
       const msg = e?.response?.data?.error || e?.message || "Push failed";
-      try { toast && toast(`Push failed: ${msg}`); } catch {}
-      try { alert(`Push failed: ${msg}`); } catch {}
+      const kind = e?.response?.data?.kind;
+      if (kind) setPushFailure({ kind, error: msg });
+      else { try { toast && toast(`Push failed: ${msg}`); } catch {} }
+      throw e;
     } finally {
       setPushing(false);
     }
   };
 
+  // After a rejected push: rebase onto / merge origin/<branch>, then push again.
+  // Conflicts open the merge editor instead.
+  const doSync = async (strategy) => {
+    try {
+      const r = await axios.post("/api/git/sync", { repoId: meta.repoId, strategy });
+      setPushFailure(null);
+      toast && toast(`${strategy === 'rebase' ? 'Rebased onto' : 'Merged'} ${r.data.onto} ✅`);
+      await refreshLog();
+      await doPush().catch(() => {});
+    } catch (e) {
+      if (e?.response?.data?.conflicts?.length) {
+        setPushFailure(null);
+        setShowConflicts(true);
+      } else {
+        toast && toast(`${strategy === 'rebase' ? 'Rebase' : 'Merge'} failed: ${e?.response?.data?.error || e?.message || "unknown error"}`);
+      }
+    } finally {
+      await refreshDiff().catch(() => {});
+      await refreshStatus().catch(() => {});
+    }
+  };
+
+  // Skip or abort the rebase/merge/cherry-pick/revert that stopped, straight
+  // from the status bar; new conflicts open the editor
+  const doOperation = async (action) => {
+    const what = pullInfo.operation;
+    const prompt = action === 'abort'
+      ? `Abort the ${what}? The branch goes back to where it was before.`
+      : `Skip ${pullInfo.step ? `"${pullInfo.step.message}"` : 'the current commit'}? Its changes are left out of the ${what}.`;
+    if (!confirm(prompt)) return;
+    setOperating(action);
+    try {
+      const r = await axios.post(`/api/git/operation/${action}`, { repoId: meta.repoId });
+      if (!r.data.operation) toast && toast(`${what} ${action === 'abort' ? 'aborted' : 'finished ✅'}`);
+    } catch (e) {
+      if (e?.response?.data?.conflicts?.length) setShowConflicts(true);
+      else toast && toast(`${action === 'abort' ? 'Abort' : 'Skip'} failed: ${e?.response?.data?.error || e?.message || "unknown error"}`);
+    } finally {
+      setOperating('');
+      refreshLog().catch(() => {});
+      refreshDiff().catch(() => {});
+      refreshStatus().catch(() => {});
+    }
+  };
+
+  // Called by the commit dialog; errors go back to it
+  const doCommit = async (message, { amend = false, push = false } = {}) => {
+    const res = await axios.post(amend ? "/api/git/amend" : "/api/git/commit", { repoId: meta.repoId, message, onlyStaged: stagedFiles.length > 0 });
+    const fullHash = res.data?.commit || '';
+    if (res.data?.needsForce) setNeedsForce(true);
+    await refreshLog();
+    await refreshDiff();
+    try { await refreshStatus(); } catch {}
+    // Copy full commit hash to clipboard
+    if (fullHash) {
+      try {
+        await navigator.clipboard.writeText(fullHash);
+      } catch {
+        try {
+          const ta = document.createElement('textarea');
+          ta.value = fullHash;
+          ta.style.position = 'fixed';
+          ta.style.opacity = '0';
+          document.body.appendChild(ta);
+          ta.select();
+          document.execCommand('copy');
+          document.body.removeChild(ta);
+        } catch {}
+      }
+    }
+    toast && toast(`${amend ? 'Amended' : 'Committed'} ${fullHash.slice(0, 7)} (copied) ✅`);
+    // The commit stands even if the push fails; doPush reports that itself
+    if (push) await doPush({ force: Boolean(res.data?.needsForce) }).catch(() => {});
+  };
+
+  // A discard answers with an undo id that is valid until expiresAt
+  const offerUndo = (msg, undo) => {
+    if (!undo) return toast && toast(msg);
+    const repoId = meta.repoId;
+    toast && toast(msg, 'info', {
+      duration: Math.max(3000, new Date(undo.expiresAt) - Date.now()),
+      action: {
+        label: 'Undo',
+        onClick: async () => {
+          try {
+            await axios.post("/api/git/discard/undo", { repoId, id: undo.id });
+            toast && toast(`Restored ${undo.paths.length} file(s)`);
+          } catch (e) {
+            toast && toast(`Undo failed: ${e?.response?.data?.error || e?.message || "unknown error"}`);
+          }
+          await refreshDiff().catch(() => {});
+        }
+      }
+    });
+  };
+
   const doRollback = async () => {
-    if (!confirm("Discard all uncommitted changes? This cannot be undone.")) return;
+    if (!confirm("Discard all uncommitted changes? Staged changes are kept. You can undo this for a short while, or later from Checkpoints.")) return;
     try {
       setRolling(true);
-      await axios.post("/api/git/rollback", { repoPath: meta.repoPath });
+      const res = await axios.post("/api/git/rollback", { repoId: meta.repoId });
       await refreshDiff();
-      toast && toast("Changes discarded ✅");
+      offerUndo("Changes discarded ✅", res.data?.undo);
     } catch (e) {
       const msg = e?.response?.data?.error || e?.message || "Rollback failed";
       try { toast && toast(`Rollback failed: ${msg}`); } catch {}
@@ -467,6 +615,46 @@ function RepoActions({ repo, meta, setMeta }) {
     }
   };
 
+  const toggleStaged = async (file) => {
+    try {
+      const url = file.staged && !file.unstaged ? "/api/git/unstage" : "/api/git/stage";
+      await axios.post(url, { repoId: meta.repoId, paths: [file.path] });
+    } catch (e) {
+      toast && toast(`Staging failed: ${e?.response?.data?.error || e?.message || "unknown error"}`);
+    }
+    await refreshDiff().catch(() => {});
+  };
+
+  const discardFile = async (file) => {
+    if (!confirm(`Discard all changes to ${file.path}${file.status === 'added' ? ' (the file is deleted)' : ''}?`)) return;
+    try {
+      const res = await axios.post("/api/git/discard", { repoId: meta.repoId, paths: [file.path] });
+      offerUndo(`Discarded ${file.path.split('/').pop()}`, res.data?.undo);
+    } catch (e) {
+      toast && toast(`Discard failed: ${e?.response?.data?.error || e?.message || "unknown error"}`);
+    }
+    await refreshDiff().catch(() => {});
+  };
+
+  const discardHunk = useCallback(async ({ path, hunk }) => {
+    try {
+      const res = await axios.post("/api/git/discard", { repoId: meta.repoId, path, hunk });
+      offerUndo(`Discarded a hunk of ${path.split('/').pop()}`, res.data?.undo);
+    } catch (e) {
+      toast && toast(`Discard failed: ${e?.response?.data?.error || e?.message || "unknown error"}`);
+    }
+    await refreshDiff().catch(() => {});
+  }, [meta.repoId]);
+
+  const toggleHunk = useCallback(async ({ path, hunk, unstage }) => {
+    try {
+      await axios.post("/api/git/stageHunk", { repoId: meta.repoId, path, hunk, unstage });
+    } catch (e) {
+      toast && toast(`Staging failed: ${e?.response?.data?.error || e?.message || "unknown error"}`);
+    }
+    await refreshDiff().catch(() => {});
+  }, [meta.repoId]);
+
   // Keep selected file in sync with changed files list
   useEffect(() => {
     if (!selectedDiffFile) return;
@@ -499,10 +687,16 @@ function RepoActions({ repo, meta, setMeta }) {
     } catch { return diffText || ""; }
   };
 
-  const displayedPatch = useMemo(() => {
-    if (!selectedDiffFile) return patch || "";
-    return extractFileDiff(patch || "", selectedDiffFile) || "";
-  }, [patch, selectedDiffFile]);
+  const displayedStaged = useMemo(() => {
+    if (!selectedDiffFile) return stagedPatch;
+    return extractFileDiff(stagedPatch, selectedDiffFile) || "";
+  }, [stagedPatch, selectedDiffFile]);
+  const displayedUnstaged = useMemo(() => {
+    if (!selectedDiffFile) return unstagedPatch;
+    return extractFileDiff(unstagedPatch, selectedDiffFile) || "";
+  }, [unstagedPatch, selectedDiffFile]);
+  const displayedStagedFiles = useMemo(() => parseChangedFiles(displayedStaged).map(f => f.path), [displayedStaged]);
+  const displayedUnstagedFiles = useMemo(() => parseChangedFiles(displayedUnstaged).map(f => f.path), [displayedUnstaged]);
 
   // Fullscreen handling for diff pane
   useEffect(() => {
@@ -629,6 +823,11 @@ function RepoActions({ repo, meta, setMeta }) {
         <div className="card">
           <div className="card-header">
             <span className="card-title">Git Actions</span>
+            {branchPr && (
+              <a className="badge gray" href={branchPr.url} target="_blank" rel="noreferrer" title={`${branchPr.title} → ${branchPr.target}`}>
+                {branchPr.provider.startsWith('gitlab') ? '!' : '#'}{branchPr.number}{branchPr.draft ? ' draft' : ''}
+              </a>
+            )}
             {log && log.length > 0 && (
               <span className="commit-badge">
                 <a href={log[0].web_url || '#'} target="_blank" rel="noreferrer">
@@ -655,16 +854,25 @@ function RepoActions({ repo, meta, setMeta }) {
                 <div className="branch-dropdown">
                   <div className="branch-dropdown-header">Branches</div>
                   <div className="branch-list">
-                    {branches.all.map((b, idx) => (
-                      <div
-                        key={idx}
-                        className={`branch-item ${b === branches.current ? 'active' : ''}`}
-                        onClick={() => doCheckout(b)}
-                      >
-                        {b === branches.current && <span className="check-icon">✓</span>}
-                        <span className="branch-name">{b}</span>
-                      </div>
-                    ))}
+                    {branches.all.map((b, idx) => {
+                      const info = branches.details.find(d => d.name === b);
+                      const edit = (action) => (e) => { e.stopPropagation(); setShowBranchDropdown(false); setBranchEdit({ action, branch: info }); };
+                      return (
+                        <div
+                          key={idx}
+                          className={`branch-item ${b === branches.current ? 'active' : ''}`}
+                          onClick={() => doCheckout(b)}
+                        >
+                          {b === branches.current && <span className="check-icon">✓</span>}
+                          <span className="branch-name">{b}{b === branches.defaultBranch && <span className="muted"> (default)</span>}</span>
+                          <AheadBehind info={info} />
+                          {info?.local && <button className="btn btn-ghost" style={{ padding: '0 4px' }} onClick={edit('rename')} title="Rename">✎</button>}
+                          {info && b !== branches.current && b !== branches.defaultBranch && (
+                            <button className="btn btn-ghost" style={{ padding: '0 4px' }} onClick={edit('delete')} title="Delete">🗑</button>
+                          )}
+                        </div>
+                      );
+                    })}
                   </div>
                   <div className="branch-dropdown-footer">
                     <button
@@ -690,17 +898,42 @@ function RepoActions({ repo, meta, setMeta }) {
                 <><span className="icon">↓</span> Pull</>
               )}
             </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowCommitModal(true)}
+              disabled={!(patch||"").trim() && !log.length}
+              title={stagedFiles.length > 0 ? "Commit only the staged changes (or amend the last commit)" : "Commit all changes (or amend the last commit)"}
+            >
+              <span className="icon">✎</span> {stagedFiles.length > 0 ? 'Commit staged' : 'Commit all'}
+            </button>
             <button
               className={`btn ${pushing ? 'btn-loading' : 'btn-primary'}`}
-              onClick={doApplyCommitPush}
-              disabled={!(patch||"").trim() || pushing}
+              onClick={() => doPush().catch(() => {})}
+              disabled={pushing || !branches.current || Boolean(pullInfo.upstream && !pullInfo.ahead)}
+              title={pullInfo.upstream ? `Push to ${pullInfo.upstream}` : "Push and track origin"}
             >
               {pushing ? (
                 <><span className="spinner" /> Pushing...</>
               ) : (
-                <><span className="icon">↑</span> Push</>
+                <><span className="icon">↑</span> Push{pullInfo.ahead > 0 ? ` ${pullInfo.ahead}` : ''}</>
               )}
             </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowMergeModal(true)}
+              disabled={!branches.current || Boolean(pullInfo.operation) || branches.all.length < 2}
+              title="Merge another branch into this one, or rebase this one onto it"
+            >
+              <span className="icon">⑂</span> Merge
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowPrModal(true)}
+              disabled={!branches.current}
+              title="Push this branch and open a pull/merge request"
+            >
+              <span className="icon">⇄</span> PR
+            </button>
             <button
               className={`btn ${rolling ? 'btn-loading' : 'btn-danger'}`}
               onClick={doRollback}
@@ -723,18 +956,94 @@ function RepoActions({ repo, meta, setMeta }) {
               </button>
             )}
           </div>
-          {pullInfo.behind > 0 && (
+          {(pullInfo.operation || pullInfo.conflicts > 0) && (
             <div className="status-bar warning">
-              {pullInfo.behind} commit{pullInfo.behind > 1 ? 's' : ''} behind
+              {[
+                pullInfo.operation && `${pullInfo.operation} in progress`,
+                pullInfo.step && `step ${pullInfo.step.current}/${pullInfo.step.total}: ${pullInfo.step.message}`,
+                pullInfo.conflicts > 0 && `${pullInfo.conflicts} conflicted file${pullInfo.conflicts > 1 ? 's' : ''}`
+              ].filter(Boolean).join(' · ')}
+              <button className="btn btn-secondary" style={{ marginLeft: 8 }} onClick={() => setShowConflicts(true)}>
+                {pullInfo.conflicts > 0 ? 'Resolve…' : 'Continue…'}
+              </button>
+              {pullInfo.operation && pullInfo.operation !== 'merge' && (
+                <button className={`btn btn-secondary ${operating === 'skip' ? 'btn-loading' : ''}`} style={{ marginLeft: 8 }} disabled={Boolean(operating)} onClick={() => doOperation('skip')} title={`git ${pullInfo.operation} --skip`}>
+                  Skip
+                </button>
+              )}
+              {pullInfo.operation && (
+                <button className={`btn btn-danger ${operating === 'abort' ? 'btn-loading' : ''}`} style={{ marginLeft: 8 }} disabled={Boolean(operating)} onClick={() => doOperation('abort')} title={`git ${pullInfo.operation} --abort`}>
+                  Abort
+                </button>
+              )}
+            </div>
+          )}
+          {(pullInfo.behind > 0 || pullInfo.ahead > 0 || needsForce) && (
+            <div className="status-bar warning">
+              {[
+                pullInfo.behind > 0 && `${pullInfo.behind} commit${pullInfo.behind > 1 ? 's' : ''} behind`,
+                pullInfo.ahead > 0 && `${pullInfo.ahead} unpushed commit${pullInfo.ahead > 1 ? 's' : ''}`,
+                !pullInfo.upstream && 'no upstream yet'
+              ].filter(Boolean).join(' · ')}
+              {(needsForce || (pullInfo.ahead > 0 && pullInfo.behind > 0)) && (
+                <button
+                  className="btn btn-danger"
+                  style={{ marginLeft: 8 }}
+                  disabled={pushing}
+                  onClick={() => { if (confirm("Overwrite the remote branch? The push fails if someone else pushed to it since your last fetch.")) doPush({ force: true }).catch(() => {}); }}
+                  title="git push --force-with-lease"
+                >
+                  Force push
+                </button>
+              )}
             </div>
           )}
         </div>
 
-        <FileTree repoPath={meta.repoPath} onOpen={async (p)=>{ const r=await axios.get("/api/git/file",{params:{repoPath:meta.repoPath,path:p}}); }} />
+        <StashPanel
+          repoId={meta.repoId}
+          onChanged={() => { refreshDiff().catch(() => {}); refreshStatus().catch(() => {}); }}
+          onConflicts={() => { refreshStatus().catch(() => {}); setShowConflicts(true); }}
+        />
+
+        <CheckpointsPanel
+          repoId={meta.repoId}
+          onChanged={() => { refreshDiff().catch(() => {}); refreshStatus().catch(() => {}); }}
+        />
+
+        <HistoryPanel
+          repoId={meta.repoId}
+          branches={branches.all}
+          headHash={log[0]?.hash}
+          onChanged={(r) => {
+            if (r?.needsForce) setNeedsForce(true);
+            refreshLog().catch(() => {}); refreshDiff().catch(() => {}); refreshStatus().catch(() => {});
+          }}
+          onConflicts={() => { refreshStatus().catch(() => {}); setShowConflicts(true); }}
+          onPush={() => doPush().catch(() => {})}
+        />
+
+        <TagsPanel repoId={meta.repoId} headHash={log[0]?.hash} />
+
+        <PullRequestsPanel
+          repoId={meta.repoId}
+          onSendToTerminal={sendToTerminal}
+          onCheckedOut={() => { refreshBranches(); refreshDiff(); refreshLog(); }}
+        />
+
+        <IssuesPanel
+          repoId={meta.repoId}
+          onSendToTerminal={sendToTerminal}
+          onBranchCreated={() => { refreshBranches(); refreshDiff(); refreshLog(); }}
+        />
+
+        <Recordings repoId={meta.repoId} />
+
+        <FileTree repoId={meta.repoId} onOpen={async (p)=>{ const r=await axios.get("/api/git/file",{params:{repoId:meta.repoId,path:p}}); }} />
       </div>
 
       <div className="col cli-col">
-        <ClaudeTerminal repoPath={meta.repoPath} />
+        <TerminalTabs ref={terminalsRef} repoId={meta.repoId} />
       </div>
 
       {/* Diff Preview Card - outside main-col for mobile reordering */}
@@ -776,13 +1085,22 @@ function RepoActions({ repo, meta, setMeta }) {
               {(showAllChanged ? changedFiles : changedFiles.slice(0, 10)).map((f, idx) => {
                 const active = selectedDiffFile === f.path;
                 return (
-                  <button
-                    key={idx}
-                    className={`chip ${f.status} ${active ? 'active' : ''}`}
-                    onClick={() => setSelectedDiffFile(p => (p === f.path ? "" : f.path))}
-                  >
-                    {f.path.split('/').pop()}
-                  </button>
+                  <span key={idx} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                    <input
+                      type="checkbox"
+                      checked={f.staged}
+                      ref={(el) => { if (el) el.indeterminate = f.staged && f.unstaged; }}
+                      onChange={() => toggleStaged(f)}
+                      title={f.staged && !f.unstaged ? 'Unstage' : 'Stage'}
+                    />
+                    <button
+                      className={`chip ${f.status} ${active ? 'active' : ''}`}
+                      onClick={() => setSelectedDiffFile(p => (p === f.path ? "" : f.path))}
+                    >
+                      {f.path.split('/').pop()}
+                    </button>
+                    <button className="btn btn-ghost" style={{ padding: '0 4px' }} onClick={() => discardFile(f)} title="Discard changes to this file">↶</button>
+                  </span>
                 );
               })}
               {(!showAllChanged && changedFiles.length > 10) && (
@@ -792,16 +1110,117 @@ function RepoActions({ repo, meta, setMeta }) {
               )}
             </div>
           )}
-          <div className="diff-content">
-            {showPretty ? (
-              <DiffPretty diff={displayedPatch} mode={prettyMode} />
-            ) : (
-              <code className="diff-raw">{displayedPatch}</code>
-            )}
-          </div>
+          {[
+            { title: 'Staged', diff: displayedStaged, files: displayedStagedFiles, staged: true },
+            { title: 'Unstaged', diff: displayedUnstaged, files: displayedUnstagedFiles, staged: false }
+          ].filter(section => section.diff.trim()).map(section => (
+            <div key={section.title} className="diff-content">
+              <div className="muted" style={{ marginBottom: 4 }}>{section.title}</div>
+              {showPretty ? (
+                <DiffPretty
+                  diff={section.diff}
+                  mode={prettyMode}
+                  files={section.files}
+                  staged={section.staged}
+                  onToggleHunk={toggleHunk}
+                  onDiscardHunk={section.staged ? undefined : discardHunk}
+                />
+              ) : (
+                <code className="diff-raw">{section.diff}</code>
+              )}
+            </div>
+          ))}
         </div>
       )}
 
+      {showCommitModal && (
+        <CommitModal
+          repoId={meta.repoId}
+          onlyStaged={stagedFiles.length > 0}
+          hasChanges={Boolean((patch || "").trim())}
+          lastMessage={log[0]?.message || ''}
+          onClose={() => setShowCommitModal(false)}
+          onCommit={doCommit}
+        />
+      )}
+
+      {pushFailure && (
+        <PushFailedModal
+          failure={pushFailure}
+          onSync={doSync}
+          onNewBranch={() => setShowNewBranchModal(true)}
+          onClose={() => setPushFailure(null)}
+        />
+      )}
+
+      {showConflicts && (
+        <ConflictEditor
+          repoId={meta.repoId}
+          onClose={() => { setShowConflicts(false); refreshStatus().catch(() => {}); }}
+          onDone={() => { setShowConflicts(false); refreshLog(); refreshDiff(); refreshStatus().catch(() => {}); }}
+        />
+      )}
+
+      {showMergeModal && (
+        <MergeBranchModal
+          repoId={meta.repoId}
+          current={branches.current}
+          branches={branches.all}
+          defaultBranch={branches.defaultBranch}
+          onClose={() => setShowMergeModal(false)}
+          onConflicts={() => { setShowMergeModal(false); refreshStatus().catch(() => {}); setShowConflicts(true); }}
+          onDone={(r) => {
+            setShowMergeModal(false);
+            if (r.needsForce) setNeedsForce(true);
+            const synced = r.updated ? ` (fast-forwarded to origin/${r.source} first, ${r.updated} new commit${r.updated === 1 ? '' : 's'})` : '';
+            toast && toast(r.upToDate
+              ? `${branches.current} already contains ${r.source}${synced}`
+              : `${r.op === 'merge' ? 'Merged' : 'Rebased onto'} ${r.source}${synced} ✅${r.needsForce ? ' Push with force to update origin.' : ''}`);
+            if (r.warning) toast && toast(r.warning, 'info', { duration: 8000 });
+            refreshLog().catch(() => {}); refreshDiff().catch(() => {}); refreshStatus().catch(() => {}); refreshBranches().catch(() => {});
+          }}
+        />
+      )}
+
+      {showPrModal && (
+        <OpenPullRequestModal
+          repoId={meta.repoId}
+          branches={branches.all}
+          defaultTitle={(log[0]?.message || '').split('\n')[0]}
+          onClose={() => setShowPrModal(false)}
+          onCreated={(pr) => { setBranchPr(pr); refreshLog().catch(() => {}); }}
+          onPushFailed={(failure) => { setShowPrModal(false); setPushFailure(failure); }}
+        />
+      )}
+
+      {branchEdit?.action === 'delete' && (
+        <DeleteBranchModal
+          repoId={meta.repoId}
+          branch={branchEdit.branch}
+          defaultBranch={branches.defaultBranch}
+          onClose={() => setBranchEdit(null)}
+          onDone={(r) => {
+            setBranchEdit(null);
+            toast && toast(`Deleted ${[r.local && r.branch, r.remote && `origin/${r.branch}`].filter(Boolean).join(' and ')}`);
+            refreshBranches();
+          }}
+        />
+      )}
+
+      {branchEdit?.action === 'rename' && (
+        <RenameBranchModal
+          repoId={meta.repoId}
+          branch={branchEdit.branch}
+          onClose={() => setBranchEdit(null)}
+          onDone={(r) => {
+            setBranchEdit(null);
+            toast && toast(r.warning || `Renamed ${branchEdit.branch.name} to ${r.branch}${r.remote ? ' here and on origin' : ''}`);
+            refreshBranches();
+            refreshStatus().catch(() => {});
+          }}
+        />
+      )}
+
       {/* New Branch Modal */}
       {showNewBranchModal && (
         <div className="modal-overlay" onClick={() => setShowNewBranchModal(false)}>
@@ -829,10 +1248,15 @@ function RepoActions({ repo, meta, setMeta }) {
                   onChange={(e) => setNewBranchSource(e.target.value)}
                 >
                   {branches.all.map((b, idx) => (
-                    <option key={idx} value={b}>{b}</option>
+                    <option key={idx} value={b}>{b}{b === branches.defaultBranch ? ' (default)' : ''}</option>
                   ))}
                 </select>
               </div>
+              <div className="form-group">
+                <label>
+                  <input type="checkbox" checked={newBranchPush} onChange={(e) => setNewBranchPush(e.target.checked)} /> Push to origin and track it
+                </label>
+              </div>
             </div>
             <div className="modal-footer">
               <button className="btn btn-secondary" onClick={() => setShowNewBranchModal(false)}>Cancel</button>
@@ -852,12 +1276,15 @@ function RepoActions({ repo, meta, setMeta }) {
 }
 
 export default function App() {
-  const [phase, setPhase] = useState("repos"); // repos only
-  const [providers, setProviders] = useState({ github: {}, gitlab: {} });
+  const [phase, setPhase] = useState("repos"); // repos | share
+  // Share link token when following a shared terminal link (#share?token=...)
+  const [shareToken, setShareToken] = useState("");
+  const [shared, setShared] = useState(null);
+  const [providers, setProviders] = useState({});
   const [activePane, setActivePane] = useState("actions"); // actions | terminal | diff | files
   const [current, setCurrent] = useState("");
   const [currentRepo, setCurrentRepo] = useState(null);
-  const [meta, setMeta] = useState({ repoPath: "" });
+  const [meta, setMeta] = useState({ repoId: "" });
   const [themeMode, setThemeMode] = useState(() => localStorage.getItem('themeMode') || 'auto'); // auto | dark | light
   const [loadingRepos, setLoadingRepos] = useState(false);
   const routeRef = useRef({});
@@ -867,7 +1294,7 @@ export default function App() {
   const handleGoHome = () => {
     setPhase('repos');
     setCurrentRepo(null);
-    setMeta({ repoPath: "" });
+    setMeta({ repoId: "" });
     updateHashFromState('repos', current, null);
   };
 
@@ -895,6 +1322,9 @@ export default function App() {
   }
   function updateHashFromState(p = phase, cur = current, repo = currentRepo) {
     const params = {};
+    if (p === 'share') {
+      params.token = shareToken;
+    }
     if (p === 'repos') {
       const [prov, key] = (cur||'').split(':');
       if (prov) params.provider = prov;
@@ -910,13 +1340,19 @@ export default function App() {
   function applyRoute(route) {
     routeRef.current = route;
     const { page, params } = route;
+    if (page === 'share' && params?.token) {
+      setShareToken(params.token);
+      setPhase('share');
+      return;
+    }
+    setShareToken('');
     setPhase('repos');
     if (page === 'repos') {
       const prov = params?.provider;
       const key = params?.key;
       if (prov && key) setCurrent(`${prov}:${key}`);
       const rid = params?.repo || '';
-      if (!rid) { setCurrentRepo(null); setMeta({ repoPath: '' }); setPendingRepoId(''); }
+      if (!rid) { setCurrentRepo(null); setMeta({ repoId: '' }); setPendingRepoId(''); }
       else setPendingRepoId(rid);
     }
   }
@@ -957,10 +1393,8 @@ export default function App() {
       }
       if (prov && key) setCurrent(`${prov}:${key}`);
       else {
-        const gh = Object.keys(r.data.github || {})[0];
-        const gl = Object.keys(r.data.gitlab || {})[0];
-        const first = gh ? `github:${gh}` : (gl ? `gitlab:${gl}` : "");
-        if (first) setCurrent(first);
+        const first = getProviderItems(r.data)[0];
+        if (first) setCurrent(`${first.provider}:${first.key}`);
       }
       // If route includes a repo, open it after providers load
       if (willOpenFromUrl) {
@@ -979,6 +1413,20 @@ export default function App() {
     }
   };
 
+  // Bypass the server's cached listing
+  const [refreshingRepos, setRefreshingRepos] = useState(false);
+  const refreshRepos = async () => {
+    setRefreshingRepos(true);
+    try {
+      const r = await axios.get("/api/providers", { params: { refresh: 1 } });
+      setProviders(r.data);
+    } catch (e) {
+      try { alert(e?.response?.data?.details || e?.message || 'Failed to reload repos'); } catch {}
+    } finally {
+      setRefreshingRepos(false);
+    }
+  };
+
   // If route changes after providers already loaded, try to open/close accordingly
   useEffect(() => {
     const route = routeRef.current || {};
@@ -989,7 +1437,7 @@ export default function App() {
     if (!prov || !key) return;
     const group = providers[prov]?.[key] || [];
     if (!rid) {
-      setCurrentRepo(null); setMeta({ repoPath: '' }); return;
+      setCurrentRepo(null); setMeta({ repoId: '' }); return;
     }
     const match = group.find(item => (item.full_name || item.path_with_namespace || item.name) === rid);
     if (match && (!currentRepo || (currentRepo.full_name||currentRepo.path_with_namespace||currentRepo.name)!==rid)) {
@@ -1004,7 +1452,7 @@ export default function App() {
     if (openingFromUrlRef.current) return;
     if (currentRepo) {
       setCurrentRepo(null);
-      setMeta({ repoPath: '' });
+      setMeta({ repoId: '' });
       updateHashFromState('repos', current, null);
     }
   }, [current]);
@@ -1023,17 +1471,20 @@ export default function App() {
     const [providerAuto, keyAuto] = (current || '').split(":");
     const provider = providerOverride || providerAuto;
     const key = keyOverride || keyAuto;
-    const owner = (repo.full_name || repo.path_with_namespace || "").split("/")[0];
+    // Projects in GitLab subgroups keep their whole namespace ("group--sub"),
+    // so same-named projects in different subgroups get separate clones
+    const nsParts = (repo.full_name || repo.path_with_namespace || "").split("/");
+    const owner = nsParts.slice(0, -1).join("--") || nsParts[0];
     const name = repo.name;
     const clone_url = repo.clone_url || repo.http_url_to_repo;
     try {
-      const r = await axios.post("/api/git/clone", { provider, owner, name, clone_url });
-      setMeta({ repoPath: r.data.repoPath, provider, owner, name, clone_url });
+      const r = await axios.post("/api/git/clone", { provider, owner, name, clone_url, default_branch: repo.default_branch || undefined });
+      setMeta({ repoId: r.data.repoId, provider, owner, name, clone_url });
     } catch (e) {
       const msg = e?.response?.data?.error || e?.message || 'Failed to open repo';
       try { alert(msg); } catch {}
       setCurrentRepo(null);
-      setMeta({ repoPath: '' });
+      setMeta({ repoId: '' });
     }
   };
 
@@ -1044,12 +1495,14 @@ export default function App() {
 
   // Update browser tab title with current repo name
   useEffect(() => {
-    if (currentRepo?.name) {
+    if (phase === 'share') {
+      document.title = `${shared?.title || 'Shared terminal'} - web-claude`;
+    } else if (currentRepo?.name) {
       document.title = `${currentRepo.name} - web-claude`;
     } else {
       document.title = 'web-claude';
     }
-  }, [currentRepo]);
+  }, [currentRepo, phase, shared]);
 
   return (
     <div>
@@ -1064,7 +1517,7 @@ export default function App() {
               const count = (providers[it.provider]?.[it.key] || []).length;
               return (
                 <span className="muted" style={{fontSize:'0.9em'}}>
-                  / {it.provider} / {it.key} <span className="tag">{count}</span>
+                  / {providerLabel(providers, it.provider)} / {it.key} <span className="tag">{count}</span>
                 </span>
               );
             }
@@ -1074,9 +1527,21 @@ export default function App() {
 
         <div style={{marginLeft:'auto', display:'flex', gap:8, alignItems:'center'}}>
           <button className="secondary icon" onClick={cycleTheme} title={`Theme: ${themeMode}`}>{themeIcon}</button>
+          <AccountMenu />
         </div>
       </header>
       <div className="container">
+        {phase === 'share' ? (
+          <>
+            <div className="pane" style={{marginBottom:12}}>
+              <div className="muted">
+                Shared terminal{shared?.repo ? ` / ${shared.repo}` : ''}{shared?.title ? ` / ${shared.title}` : ''}
+              </div>
+            </div>
+            <ClaudeTerminal key={shareToken} shareToken={shareToken} onSession={setShared} />
+          </>
+        ) : (
+        <>
         <GroupTabs providers={providers} current={current} setCurrent={setCurrent} />
         {!currentRepo ? (
           loadingRepos ? (
@@ -1087,6 +1552,8 @@ export default function App() {
               repos={reposForCurrent}
               onSelect={openRepo}
               currentId={current}
+              onRefresh={refreshRepos}
+              refreshing={refreshingRepos}
             />
           )
         ) : (
@@ -1106,6 +1573,8 @@ export default function App() {
             />
           </>
         )}
+        </>
+        )}
       </div>
       {null}
     </div>
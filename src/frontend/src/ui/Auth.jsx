@@ -0,0 +1,229 @@
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { useToast } from './ToastContext.jsx';
+
+const AuthCtx = React.createContext({ enabled: false, user: null, logout: () => {} });
+export const useAuth = () => useContext(AuthCtx);
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+function Login({ oidc, onLoggedIn }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const r = await axios.post('/api/auth/login', { username, password });
+      onLoggedIn(r.data.user);
+    } catch (err) {
+      setError(errMsg(err, 'Sign-in failed'));
+      setBusy(false);
+    }
+  };
+
+  // Come back to the same page (repo, share link, ...) after the IdP round trip
+  const oidcHref = `/api/auth/oidc/login?returnTo=${encodeURIComponent(location.hash || '')}`;
+
+  return (
+    <div>
+      <header>
+        <strong>web-claude</strong>
+      </header>
+      <div className="container" style={{ maxWidth: 380 }}>
+        <form className="card" onSubmit={submit}>
+          <div className="card-header">
+            <span className="card-title">Sign in</span>
+          </div>
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          <div className="form-group">
+            <label>Username</label>
+            <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus />
+          </div>
+          <div className="form-group">
+            <label>Password</label>
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" />
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+            <button type="submit" className="btn" disabled={busy || !username || !password}>{busy ? 'Signing in…' : 'Sign in'}</button>
+            {oidc?.enabled && (
+              <a className="btn btn-secondary" href={oidcHref} style={{ textAlign: 'center' }}>{oidc.label}</a>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function UsersModal({ me, onClose }) {
+  const toast = useToast();
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState({ username: '', password: '', role: 'user' });
+
+  const refresh = async () => {
+    try {
+      const r = await axios.get('/api/auth/users');
+      setUsers(r.data.users || []);
+    } catch (e) {
+      toast && toast(errMsg(e, 'Failed to load users'));
+    }
+  };
+  useEffect(() => { refresh(); }, []);
+
+  const save = async () => {
+    try {
+      await axios.post('/api/auth/users', form);
+      toast && toast(`Saved ${form.username}`);
+      setForm({ username: '', password: '', role: 'user' });
+      refresh();
+    } catch (e) {
+      toast && toast(errMsg(e, 'Save failed'));
+    }
+  };
+
+  const remove = async (u) => {
+    if (!confirm(`Delete user "${u.username}"? They are signed out immediately.`)) return;
+    try {
+      await axios.delete(`/api/auth/users/${encodeURIComponent(u.username)}`);
+      refresh();
+    } catch (e) {
+      toast && toast(errMsg(e, 'Delete failed'));
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Users</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {users.map(u => (
+            <div key={u.username} className="repo" onClick={() => setForm({ username: u.username, password: '', role: u.role })}>
+              <div>
+                <strong>{u.username}</strong>
+                <span className={`badge ${u.role === 'admin' ? 'green' : 'gray'}`} style={{ marginLeft: 8 }}>{u.role}</span>
+              </div>
+              {u.username !== me && (
+                <button className="btn btn-danger" onClick={(e) => { e.stopPropagation(); remove(u); }} title="Delete">🗑</button>
+              )}
+            </div>
+          ))}
+          <div className="form-group" style={{ marginTop: 16 }}>
+            <label>Username</label>
+            <input type="text" value={form.username} onChange={(e) => setForm(f => ({ ...f, username: e.target.value }))} placeholder="new or existing user" />
+          </div>
+          <div className="form-group">
+            <label>Password</label>
+            <input type="password" value={form.password} onChange={(e) => setForm(f => ({ ...f, password: e.target.value }))} placeholder="leave empty to keep the current one" autoComplete="new-password" />
+          </div>
+          <div className="form-group">
+            <label>Role</label>
+            <select value={form.role} onChange={(e) => setForm(f => ({ ...f, role: e.target.value }))}>
+              <option value="user">user</option>
+              <option value="admin">admin</option>
+            </select>
+          </div>
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Close</button>
+          <button className="btn" onClick={save} disabled={!form.username}>Save user</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function AccountMenu() {
+  const toast = useToast();
+  const { enabled, user, logout } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [showUsers, setShowUsers] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  if (!enabled || !user) return null;
+
+  const changePassword = async () => {
+    setOpen(false);
+    const current = prompt('Current password');
+    if (current === null) return;
+    const password = prompt('New password (at least 8 characters)');
+    if (!password) return;
+    try {
+      await axios.post('/api/auth/password', { current, password });
+      toast && toast('Password changed; other sessions were signed out');
+    } catch (e) {
+      toast && toast(errMsg(e, 'Password change failed'));
+    }
+  };
+
+  return (
+    <div ref={menuRef} style={{ position: 'relative' }}>
+      <button className="secondary" onClick={() => setOpen(o => !o)} title={`Signed in via ${user.via}`}>👤 {user.username}</button>
+      {open && (
+        <div className="branch-dropdown" style={{ left: 'auto', right: 0, minWidth: 200 }}>
+          <div className="branch-dropdown-header">Account</div>
+          {user.via === 'local' && (
+            <div className="branch-item" onClick={changePassword}><span className="branch-name">Change password</span></div>
+          )}
+          {user.role === 'admin' && (
+            <div className="branch-item" onClick={() => { setOpen(false); setShowUsers(true); }}><span className="branch-name">Users</span></div>
+          )}
+          <div className="branch-item" onClick={logout}><span className="branch-name">Sign out</span></div>
+        </div>
+      )}
+      {showUsers && <UsersModal me={user.username} onClose={() => setShowUsers(false)} />}
+    </div>
+  );
+}
+
+// Renders the app only for a signed-in user (or when the server has auth
+// disabled), and drops back to the sign-in form whenever the API answers 401.
+export default function AuthGate({ children }) {
+  const [state, setState] = useState({ loading: true, enabled: false, user: null, oidc: null });
+
+  useEffect(() => {
+    axios.get('/api/auth/me')
+      .then(r => setState({ loading: false, enabled: r.data.enabled, user: r.data.user, oidc: r.data.oidc }))
+      .catch(() => setState(s => ({ ...s, loading: false })));
+    const id = axios.interceptors.response.use(undefined, (err) => {
+      if (err?.response?.status === 401 && !String(err.config?.url || '').startsWith('/api/auth/')) {
+        setState(s => (s.enabled ? { ...s, user: null } : s));
+      }
+      return Promise.reject(err);
+    });
+    return () => axios.interceptors.response.eject(id);
+  }, []);
+
+  const logout = async () => {
+    try { await axios.post('/api/auth/logout'); } catch {}
+    setState(s => ({ ...s, user: null }));
+  };
+
+  if (state.loading) return null;
+  if (state.enabled && !state.user) {
+    return <Login oidc={state.oidc} onLoggedIn={(user) => setState(s => ({ ...s, user }))} />;
+  }
+  return (
+    <AuthCtx.Provider value={{ enabled: state.enabled, user: state.user, logout }}>
+      {children}
+    </AuthCtx.Provider>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+// "↑2 ↓5" against the default branch
+export function AheadBehind({ info }) {
+  if (!info || (!info.ahead && !info.behind)) return null;
+  return (
+    <span className="muted" style={{ fontSize: 12, whiteSpace: 'nowrap' }} title={`${info.ahead} ahead of, ${info.behind} behind the default branch`}>
+      {info.ahead > 0 && `↑${info.ahead}`}{info.ahead > 0 && info.behind > 0 && ' '}{info.behind > 0 && `↓${info.behind}`}
+    </span>
+  );
+}
+
+// Local and/or remote deletion. The server refuses unmerged branches unless
+// "delete anyway" is ticked after it said so.
+export function DeleteBranchModal({ repoId, branch, defaultBranch, onClose, onDone }) {
+  const [local, setLocal] = useState(branch.local);
+  const [remote, setRemote] = useState(false);
+  const [force, setForce] = useState(false);
+  const [unmerged, setUnmerged] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const r = await axios.post('/api/git/deleteBranch', { repoId, branch: branch.name, local, remote, force });
+      onDone(r.data);
+    } catch (e) {
+      setUnmerged(e?.response?.data?.unmerged || 0);
+      setError(errMsg(e, 'Deleting the branch failed'));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 480 }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Delete {branch.name}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          <p className="muted" style={{ marginTop: 0 }}>
+            {branch.ahead > 0
+              ? `${branch.ahead} commit${branch.ahead > 1 ? 's are' : ' is'} not in ${defaultBranch || 'the default branch'}.`
+              : `Everything on it is in ${defaultBranch || 'the default branch'}.`}
+          </p>
+          <div className="form-group">
+            <label><input type="checkbox" checked={local} disabled={!branch.local} onChange={(e) => setLocal(e.target.checked)} /> Local branch</label>
+            <label><input type="checkbox" checked={remote} disabled={!branch.remote} onChange={(e) => setRemote(e.target.checked)} /> origin/{branch.name}</label>
+            {unmerged > 0 && (
+              <label><input type="checkbox" checked={force} onChange={(e) => setForce(e.target.checked)} /> Delete anyway and lose {unmerged} commit{unmerged > 1 ? 's' : ''}</label>
+            )}
+          </div>
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button className={`btn btn-danger ${busy ? 'btn-loading' : ''}`} onClick={submit} disabled={busy || !(local || remote) || (unmerged > 0 && !force)}>
+            {busy ? <><span className="spinner" /> Deleting...</> : 'Delete'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function RenameBranchModal({ repoId, branch, onClose, onDone }) {
+  const [name, setName] = useState(branch.name);
+  const [remote, setRemote] = useState(branch.remote);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const r = await axios.post('/api/git/renameBranch', { repoId, from: branch.name, to: name.trim(), remote });
+      onDone(r.data);
+    } catch (e) {
+      // The local rename may have gone through even if origin refused
+      if (e?.response?.data?.branch) return onDone({ branch: e.response.data.branch, remote: false, warning: errMsg(e, '') });
+      setError(errMsg(e, 'Renaming the branch failed'));
+      setBusy(false);
+    }
+  };
+
+  const unchanged = !name.trim() || name.trim() === branch.name;
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 480 }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Rename {branch.name}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          <div className="form-group">
+            <label>New name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              autoFocus
+              onKeyDown={(e) => { if (e.key === 'Enter' && !busy && !unchanged) submit(); }}
+            />
+          </div>
+          {branch.remote && (
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={remote} onChange={(e) => setRemote(e.target.checked)} /> Also rename origin/{branch.name}
+                <span className="muted"> (open pull requests from it are closed by most providers)</span>
+              </label>
+            </div>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button className={`btn btn-primary ${busy ? 'btn-loading' : ''}`} onClick={submit} disabled={busy || unchanged}>
+            {busy ? <><span className="spinner" /> Renaming...</> : 'Rename'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
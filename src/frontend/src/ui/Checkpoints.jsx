@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import DiffPretty from './DiffPretty.jsx';
+import { useToast } from './ToastContext.jsx';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+const REASONS = {
+  diff: 'files changed',
+  interval: 'periodic',
+  manual: 'manual',
+  'before restore': 'before a restore',
+  'before discard': 'before a discard'
+};
+
+// Timeline of the automatic working-tree snapshots: compare any of them with
+// the files as they are now and put all or some files back
+export function CheckpointsPanel({ repoId, onChanged }) {
+  const toast = useToast();
+  const [open, setOpen] = useState(false);
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [intervalMs, setIntervalMs] = useState(0);
+  const [busy, setBusy] = useState('');
+  const [view, setView] = useState(null); // { id, files, diff }
+  const [selected, setSelected] = useState([]);
+
+  const refresh = async () => {
+    if (!repoId) return;
+    try {
+      const r = await axios.get('/api/git/checkpoints', { params: { repoId } });
+      setCheckpoints(r.data.checkpoints || []);
+      setIntervalMs(r.data.intervalMs);
+    } catch (e) {
+      toast && toast(errMsg(e, 'Failed to load checkpoints'));
+    }
+  };
+
+  useEffect(() => { setCheckpoints([]); setView(null); }, [repoId]);
+  useEffect(() => { if (open) refresh(); }, [open, repoId]);
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    try {
+      await fn();
+    } catch (e) {
+      toast && toast(errMsg(e, 'Checkpoint operation failed'));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const take = () => run('take', async () => {
+    const r = await axios.post('/api/git/checkpoints', { repoId });
+    toast && toast(r.data.checkpoint ? 'Checkpoint taken' : 'Nothing changed since the last checkpoint');
+    await refresh();
+  });
+
+  const show = (c) => run(`view:${c.id}`, async () => {
+    if (view?.id === c.id) return setView(null);
+    const r = await axios.get(`/api/git/checkpoints/${c.id}`, { params: { repoId } });
+    setView({ id: c.id, files: r.data.files, diff: r.data.diff });
+    setSelected([]);
+  });
+
+  const restore = (c, paths) => run(`restore:${c.id}`, async () => {
+    const what = paths ? `${paths.length} file(s)` : 'all files';
+    if (!confirm(`Restore ${what} to the checkpoint of ${new Date(c.date).toLocaleString()}? The current state is checkpointed first.`)) return;
+    const r = await axios.post(`/api/git/checkpoints/${c.id}/restore`, { repoId, paths });
+    const count = r.data.restored.length + r.data.removed.length;
+    toast && toast(`Restored ${count} file(s)${r.data.backup ? '; the previous state is the newest checkpoint' : ''}`);
+    setView(null);
+    await refresh();
+    onChanged && onChanged();
+  });
+
+  const toggle = (p) => setSelected(s => (s.includes(p) ? s.filter(x => x !== p) : [...s, p]));
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ marginBottom: open ? 12 : 0, cursor: 'pointer' }} onClick={() => setOpen(o => !o)}>
+        <span className="card-title">
+          Checkpoints
+          {open && checkpoints.length > 0 && <span className="count-badge">{checkpoints.length}</span>}
+        </span>
+        <span className="dropdown-arrow">{open ? '▲' : '▼'}</span>
+      </div>
+      {open && (
+        <>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+            <span className="muted" style={{ flex: 1 }}>
+              {intervalMs > 0
+                ? `Taken when files change and every ${Math.round(intervalMs / 60000) || 1} min while the repo is open.`
+                : 'Automatic checkpoints are off.'}
+            </span>
+            <button className={`btn btn-secondary ${busy === 'take' ? 'btn-loading' : ''}`} onClick={take} disabled={Boolean(busy)} title="Snapshot the working tree now">
+              {busy === 'take' ? <span className="spinner" /> : 'Checkpoint now'}
+            </button>
+            <button className="btn btn-ghost" onClick={refresh} disabled={Boolean(busy)} title="Reload">⟳</button>
+          </div>
+          {checkpoints.length === 0 && <div className="muted">No checkpoints yet.</div>}
+          {checkpoints.map(c => (
+            <div key={c.id}>
+              <div className="repo">
+                <div style={{ minWidth: 0 }}>
+                  <div><strong>{new Date(c.date).toLocaleString()}</strong> <span className="muted">{REASONS[c.reason] || c.reason}</span></div>
+                  <div className="muted">on {c.head ? c.head.slice(0, 7) : 'no commit'} · {c.hash.slice(0, 7)}</div>
+                </div>
+                <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                  <button className={`btn btn-ghost ${view?.id === c.id ? 'active' : ''}`} onClick={() => show(c)} disabled={Boolean(busy)} title="What changed since this checkpoint">⇆</button>
+                  <button className="btn btn-secondary" onClick={() => restore(c)} disabled={Boolean(busy)} title="Put every file back the way it was">Restore all</button>
+                </div>
+              </div>
+              {view?.id === c.id && (
+                <div className="diff-content" style={{ marginBottom: 8 }}>
+                  {view.files.length === 0 ? (
+                    <div className="muted">The files are the same as in this checkpoint.</div>
+                  ) : (
+                    <>
+                      <div className="muted" style={{ marginBottom: 4 }}>Changes since this checkpoint. Pick files to put back:</div>
+                      <div className="file-chips">
+                        {view.files.map(f => (
+                          <label key={f.path} className={`chip ${f.status}`} title={f.status === 'added' ? 'Did not exist then; restoring deletes it' : f.status}>
+                            <input type="checkbox" checked={selected.includes(f.path)} onChange={() => toggle(f.path)} /> {f.path}
+                          </label>
+                        ))}
+                      </div>
+                      <div style={{ display: 'flex', justifyContent: 'flex-end', margin: '8px 0' }}>
+                        <button className="btn btn-primary" onClick={() => restore(c, selected)} disabled={Boolean(busy) || selected.length === 0}>
+                          Restore selected ({selected.length})
+                        </button>
+                      </div>
+                      <DiffPretty diff={view.diff} />
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useToast } from './ToastContext.jsx';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+// {{branch}} / {{issue}}; lines about an issue are dropped when the branch has none
+function fillTemplate(text, { branch, issue }) {
+  return String(text || '')
+    .split('\n')
+    .filter(line => issue || !line.includes('{{issue}}'))
+    .join('\n')
+    .replaceAll('{{branch}}', branch || '')
+    .replaceAll('{{issue}}', issue ? String(issue.number) : '');
+}
+
+// Message editor for commits and amends: per-repo templates and a
+// Claude-generated proposal
+export function CommitModal({ repoId, onlyStaged, hasChanges = true, lastMessage = '', onClose, onCommit }) {
+  const toast = useToast();
+  const [message, setMessage] = useState('');
+  const [amend, setAmend] = useState(!hasChanges && Boolean(lastMessage));
+  const [templates, setTemplates] = useState([]);
+  const [ctx, setCtx] = useState({ branch: '', issue: null });
+  const [picked, setPicked] = useState('');
+  const [generating, setGenerating] = useState(false);
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => { if (amend && !message.trim()) setMessage(lastMessage); }, [amend]);
+
+  useEffect(() => {
+    axios.get('/api/git/commitTemplates', { params: { repoId } })
+      .then(r => {
+        setTemplates(r.data.templates || []);
+        setCtx({ branch: r.data.branch, issue: r.data.issue });
+      })
+      .catch(e => setError(errMsg(e, 'Failed to load commit templates')));
+  }, [repoId]);
+
+  const template = templates.find(t => t.name === picked);
+
+  const pickTemplate = (name) => {
+    setPicked(name);
+    const t = templates.find(x => x.name === name);
+    if (!t) return;
+    if (message.trim() && !confirm('Replace the message with this template?')) return;
+    setMessage(fillTemplate(t.text, ctx));
+  };
+
+  const saveTemplates = async (next) => {
+    try {
+      const r = await axios.put('/api/git/commitTemplates', { repoId, templates: next });
+      setTemplates(r.data.templates);
+      return true;
+    } catch (e) {
+      toast && toast(`Saving templates failed: ${errMsg(e, 'unknown error')}`);
+      return false;
+    }
+  };
+
+  const saveAsTemplate = async () => {
+    const name = (prompt('Template name (use {{branch}} and {{issue}} as placeholders)', picked) || '').trim();
+    if (!name) return;
+    if (await saveTemplates([...templates.filter(t => t.name !== name), { name, text: message }])) {
+      setPicked(name);
+      toast && toast(`Saved template "${name}"`);
+    }
+  };
+
+  const deleteTemplate = async () => {
+    if (!template || !confirm(`Delete template "${template.name}" for this repo?`)) return;
+    if (await saveTemplates(templates.filter(t => t.name !== template.name))) setPicked('');
+  };
+
+  const generate = async () => {
+    setGenerating(true);
+    setError('');
+    try {
+      const r = await axios.post('/api/git/commitMessage', { repoId, template: template ? fillTemplate(template.text, ctx) : '' });
+      setMessage(r.data.message);
+      setNote(`${r.data.scope === 'staged' ? 'From the staged diff' : 'From all uncommitted changes'}${r.data.truncated ? ' (diff truncated)' : ''}`);
+    } catch (e) {
+      setError(errMsg(e, 'Generating a message failed'));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const submit = async (push) => {
+    setBusy(push ? 'push' : 'commit');
+    setError('');
+    try {
+      await onCommit(message.trim(), { amend, push });
+      onClose();
+    } catch (e) {
+      setError(errMsg(e, 'Commit failed'));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{amend ? 'Amend the last commit' : onlyStaged ? 'Commit staged changes' : 'Commit all changes'}{ctx.branch ? ` on ${ctx.branch}` : ''}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          <div className="form-group">
+            <label>Template</label>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <select value={picked} onChange={(e) => pickTemplate(e.target.value)}>
+                <option value="">None</option>
+                {templates.map(t => <option key={t.name} value={t.name}>{t.name}</option>)}
+              </select>
+              <button className="btn btn-secondary" onClick={saveAsTemplate} disabled={!message.trim()} title="Save the message as a template for this repo">Save as…</button>
+              {template && <button className="btn btn-danger" onClick={deleteTemplate} title="Delete this template">🗑</button>}
+            </div>
+          </div>
+          <div className="form-group">
+            <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>Message</span>
+              <button
+                className={`btn btn-secondary ${generating ? 'btn-loading' : ''}`}
+                onClick={generate}
+                disabled={generating}
+                title="Ask Claude for a subject and body based on the diff"
+              >
+                {generating ? <><span className="spinner" /> Generating...</> : '✨ Generate'}
+              </button>
+            </label>
+            <textarea
+              rows={8}
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && (message.trim() || amend) && !busy) submit(false); }}
+              placeholder={'Subject line\n\nWhat changed and why'}
+              autoFocus
+            />
+            {note && <div className="muted">{note}</div>}
+            {ctx.issue && !new RegExp(`#${ctx.issue.number}\\b`).test(message) && (
+              <div className="muted">Refs #{ctx.issue.number} is added on commit.</div>
+            )}
+          </div>
+          {lastMessage && (
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={amend} onChange={(e) => setAmend(e.target.checked)} /> Amend the last commit
+                {amend && <span className="muted"> ({onlyStaged ? 'staged changes' : 'all changes'} are added to it; an empty message keeps its message; if it was already pushed, Amend & push force-pushes with a lease)</span>}
+              </label>
+            </div>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button
+            className={`btn btn-secondary ${busy === 'commit' ? 'btn-loading' : ''}`}
+            onClick={() => submit(false)}
+            disabled={Boolean(busy) || !(message.trim() || amend)}
+            title="Commit locally; push later"
+          >
+            {busy === 'commit' ? <><span className="spinner" /> Committing...</> : amend ? 'Amend' : 'Commit'}
+          </button>
+          <button
+            className={`btn btn-primary ${busy === 'push' ? 'btn-loading' : ''}`}
+            onClick={() => submit(true)}
+            disabled={Boolean(busy) || !(message.trim() || amend)}
+          >
+            {busy === 'push' ? <><span className="spinner" /> Pushing...</> : amend ? 'Amend & push' : 'Commit & push'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
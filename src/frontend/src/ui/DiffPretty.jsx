@@ -1,9 +1,14 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import * as Diff2Html from 'diff2html';
 import 'diff2html/bundles/css/diff2html.min.css';
 
-export default function DiffPretty({ diff, mode = 'unified' }) {
+// With onToggleHunk, every "@@" row gets a checkbox that stages (or, for a
+// staged diff, unstages) that hunk; with onDiscardHunk, a button that throws
+// it away. files[i] is the path of the i-th file in the diff, in the order
+// diff2html renders them.
+export default function DiffPretty({ diff, mode = 'unified', files, staged = false, onToggleHunk, onDiscardHunk }) {
   const [html, setHtml] = useState('');
+  const rootRef = useRef(null);
   useEffect(() => {
     try {
       const htmlStr = Diff2Html.html(diff || '', {
@@ -18,6 +23,50 @@ export default function DiffPretty({ diff, mode = 'unified' }) {
       setHtml('<em>Pretty diff failed to load. Showing raw.</em>');
     }
   }, [diff, mode]);
+
+  useEffect(() => {
+    const root = rootRef.current;
+    if (!root || !(onToggleHunk || onDiscardHunk) || !files) return;
+    root.querySelectorAll('.d2h-file-wrapper').forEach((wrapper, i) => {
+      const path = files[i];
+      if (!path) return;
+      // Side-by-side repeats the hunk rows on the right; the left side is enough
+      const scope = wrapper.querySelector('.d2h-file-side-diff') || wrapper;
+      scope.querySelectorAll('.d2h-info').forEach(cell => {
+        cell.querySelectorAll('.hunk-toggle, .hunk-discard').forEach(old => old.remove());
+        const text = cell.textContent.trim();
+        if (!text.startsWith('@@')) return;
+        const target = cell.firstElementChild || cell;
+        if (onDiscardHunk) {
+          const discard = document.createElement('button');
+          discard.className = 'hunk-discard btn btn-ghost';
+          discard.textContent = '↶';
+          discard.title = 'Discard this hunk';
+          discard.style.marginRight = '6px';
+          discard.style.padding = '0 6px';
+          discard.addEventListener('click', () => {
+            discard.disabled = true;
+            onDiscardHunk({ path, hunk: text });
+          });
+          target.prepend(discard);
+        }
+        if (!onToggleHunk) return;
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.className = 'hunk-toggle';
+        box.checked = staged;
+        box.title = staged ? 'Unstage this hunk' : 'Stage this hunk';
+        box.style.marginRight = '6px';
+        box.style.verticalAlign = 'middle';
+        box.addEventListener('change', () => {
+          box.disabled = true;
+          onToggleHunk({ path, hunk: text, unstage: staged });
+        });
+        target.prepend(box);
+      });
+    });
+  }, [html, files, staged, onToggleHunk, onDiscardHunk]);
+
   if (!diff || !diff.trim()) return null;
-  return <div dangerouslySetInnerHTML={{ __html: html }} />;
+  return <div ref={rootRef} dangerouslySetInnerHTML={{ __html: html }} />;
 }
@@ -1,15 +1,15 @@
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
 
-export default function FileTree({ repoPath, onOpen }) {
+export default function FileTree({ repoId, onOpen }) {
   const [items, setItems] = useState([]);
 
   useEffect(() => {
-    if (!repoPath) return;
-    axios.get('/api/git/tree', { params: { repoPath, depth: 6, max: 2000 } })
+    if (!repoId) return;
+    axios.get('/api/git/tree', { params: { repoId, depth: 6, max: 2000 } })
       .then(r => setItems(r.data.files || []))
       .catch(()=> setItems([]));
-  }, [repoPath]);
+  }, [repoId]);
 
   const listed = items.slice(0, 500);
 
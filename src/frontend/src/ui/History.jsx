@@ -0,0 +1,337 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import DiffPretty from './DiffPretty.jsx';
+import { useToast } from './ToastContext.jsx';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+const ROW = 28;
+const LANE = 12;
+const LANE_COLORS = ['#58a6ff', '#3fb950', '#d29922', '#f778ba', '#a371f7', '#f85149', '#39c5cf'];
+const laneColor = (i) => LANE_COLORS[i % LANE_COLORS.length];
+const laneX = (i) => LANE / 2 + i * LANE;
+
+// Assign every commit (newest first, topological order) a lane, and remember
+// which lanes run through the row above (before) and below (after) its dot
+function layoutGraph(commits) {
+  let lanes = [];
+  return commits.map(c => {
+    let col = lanes.indexOf(c.hash);
+    if (col < 0) {
+      col = lanes.indexOf(null);
+      if (col < 0) col = lanes.length;
+    }
+    const before = lanes.slice();
+    const next = lanes.map(h => (h === c.hash ? null : h));
+    next[col] = c.parents[0] || null;
+    for (const p of c.parents.slice(1)) {
+      if (next.includes(p)) continue;
+      const free = next.indexOf(null);
+      next[free < 0 ? next.length : free] = p;
+    }
+    while (next.length && next[next.length - 1] === null) next.pop();
+    lanes = next;
+    return { col, before, after: next };
+  });
+}
+
+function GraphCell({ commit, row, width }) {
+  const mid = ROW / 2;
+  const lines = [];
+  row.before.forEach((h, j) => {
+    if (!h) return;
+    const to = h === commit.hash ? row.col : j;
+    lines.push(<line key={`t${j}`} x1={laneX(j)} y1={0} x2={laneX(to)} y2={mid} stroke={laneColor(j)} strokeWidth="2" />);
+  });
+  row.after.forEach((h, k) => {
+    if (!h) return;
+    if (row.before[k] === h && k !== row.col) {
+      lines.push(<line key={`s${k}`} x1={laneX(k)} y1={mid} x2={laneX(k)} y2={ROW} stroke={laneColor(k)} strokeWidth="2" />);
+    }
+    if (commit.parents.includes(h)) {
+      lines.push(<line key={`b${k}`} x1={laneX(row.col)} y1={mid} x2={laneX(k)} y2={ROW} stroke={laneColor(k)} strokeWidth="2" />);
+    }
+  });
+  return (
+    <svg width={width} height={ROW} style={{ flex: 'none' }}>
+      {lines}
+      <circle cx={laneX(row.col)} cy={mid} r={commit.parents.length > 1 ? 3 : 4} fill={laneColor(row.col)} stroke="var(--bg)" strokeWidth="1" />
+    </svg>
+  );
+}
+
+function RefBadges({ refs }) {
+  return refs.map(r => (
+    <span key={r} className={`badge ${r.startsWith('tag: ') ? 'gray' : ''}`} style={{ marginRight: 4 }}>
+      {r.replace(/^HEAD -> /, '⎇ ').replace(/^tag: /, '🏷 ')}
+    </span>
+  ));
+}
+
+const ACTIONS = {
+  revert: { title: 'Revert', text: 'A new commit on the current branch undoes these changes:' },
+  'cherry-pick': { title: 'Cherry-pick', text: 'A new commit on the current branch applies these changes:' },
+  reset: { title: 'Reset to', text: 'The branch moves back to this commit. The commits below come off it; their changes stay in your files:' }
+};
+
+// Metadata, changed files and the diff of one commit, plus revert,
+// cherry-pick and reset with a preview of what each would do
+export function CommitDetailModal({ repoId, hash, headHash, onClose, onSelect, onChanged, onConflicts, onPush }) {
+  const toast = useToast();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [mode, setMode] = useState('unified');
+  const [preview, setPreview] = useState(null); // { action, push, diff, warnings, commits }
+  const [resetMode, setResetMode] = useState('mixed');
+  const [busy, setBusy] = useState('');
+
+  const showPreview = async (action, push = false) => {
+    setBusy(action);
+    setError('');
+    try {
+      const r = await axios.get(`/api/git/commits/${hash}/preview`, { params: { repoId, action } });
+      setPreview({ ...r.data, push });
+    } catch (e) {
+      setError(errMsg(e, 'Failed to load the preview'));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const confirmAction = async () => {
+    const { action, push } = preview;
+    setBusy('confirm');
+    setError('');
+    try {
+      const r = await axios.post(`/api/git/${action}`, { repoId, hash, mode: action === 'reset' ? resetMode : undefined });
+      toast && toast(action === 'reset'
+        ? `Reset to ${hash.slice(0, 7)}; ${r.data.dropped} commit(s) undone ✅`
+        : `${action === 'revert' ? 'Reverted' : 'Cherry-picked'} ${hash.slice(0, 7)} as ${r.data.commit.slice(0, 7)} ✅`);
+      onChanged && onChanged(r.data);
+      onClose();
+      if (push) onPush && onPush();
+    } catch (e) {
+      if (e?.response?.data?.conflicts?.length) {
+        toast && toast(`${ACTIONS[action].title} stopped on conflicts`);
+        onChanged && onChanged({});
+        onClose();
+        onConflicts && onConflicts();
+        return;
+      }
+      setError(errMsg(e, `${ACTIONS[action].title} failed`));
+      setBusy('');
+    }
+  };
+
+  useEffect(() => {
+    setData(null);
+    setPreview(null);
+    setError('');
+    axios.get(`/api/git/commits/${hash}`, { params: { repoId } })
+      .then(r => setData(r.data))
+      .catch(e => setError(errMsg(e, 'Failed to load the commit')));
+  }, [repoId, hash]);
+
+  const c = data?.commit;
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 'min(1100px, 96vw)' }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{c ? c.message : hash.slice(0, 7)}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body" style={{ maxHeight: '75vh', overflow: 'auto' }}>
+          {error && <div className="status-bar warning" style={{ marginTop: 0 }}>{error}</div>}
+          {!c && !error && <span className="spinner" />}
+          {c && preview && (
+            <>
+              <p style={{ marginTop: 0 }}>{ACTIONS[preview.action].text}</p>
+              {preview.warnings.map(w => <div key={w} className="status-bar warning" style={{ marginTop: 0, marginBottom: 8 }}>{w}</div>)}
+              {preview.action === 'reset' && (
+                <>
+                  {preview.commits.map(pc => (
+                    <div key={pc.hash} className="muted"><code>{pc.hash.slice(0, 7)}</code> {pc.message}</div>
+                  ))}
+                  <div style={{ display: 'flex', gap: 12, margin: '8px 0' }}>
+                    <label><input type="radio" checked={resetMode === 'mixed'} onChange={() => setResetMode('mixed')} /> mixed: keep the changes unstaged</label>
+                    <label><input type="radio" checked={resetMode === 'soft'} onChange={() => setResetMode('soft')} /> soft: keep them staged</label>
+                  </div>
+                </>
+              )}
+              {preview.diff.trim() ? <DiffPretty diff={preview.diff} mode={mode} /> : <div className="muted">No file changes.</div>}
+            </>
+          )}
+          {c && !preview && (
+            <>
+              <div style={{ marginBottom: 8 }}>
+                <RefBadges refs={c.refs} />
+                <code>{c.hash}</code>
+                {c.web_url && <> · <a href={c.web_url} target="_blank" rel="noreferrer">open ↗</a></>}
+              </div>
+              <div className="muted" style={{ marginBottom: 8 }}>
+                {c.author_name} &lt;{c.author_email}&gt; · {new Date(c.date).toLocaleString()}
+                {c.parents.length > 0 && <> · parent{c.parents.length > 1 ? 's' : ''}{' '}
+                  {c.parents.map(p => (
+                    <a key={p} href="#" onClick={(e) => { e.preventDefault(); onSelect(p); }} style={{ marginRight: 4 }}>{p.slice(0, 7)}</a>
+                  ))}
+                </>}
+              </div>
+              {c.body && <pre style={{ whiteSpace: 'pre-wrap', marginTop: 0 }}>{c.body}</pre>}
+              {c.parents.length > 1 && <div className="muted" style={{ marginBottom: 8 }}>Merge commit: changes compared to the first parent.</div>}
+              <div className="file-chips">
+                {data.files.map(f => (
+                  <span key={f.path} className={`chip ${f.status === 'renamed' ? 'modified' : f.status}`} title={f.oldPath ? `renamed from ${f.oldPath}` : f.status}>
+                    {f.path}
+                    {f.additions !== null && f.additions !== undefined && <span className="muted"> +{f.additions} −{f.deletions}</span>}
+                  </span>
+                ))}
+                {data.files.length === 0 && <span className="muted">No file changes.</span>}
+              </div>
+              {data.truncated && <div className="status-bar warning">The diff is too large and was cut off.</div>}
+              <div className="view-toggles" style={{ margin: '8px 0' }}>
+                <button className={`toggle-btn ${mode === 'unified' ? 'active' : ''}`} onClick={() => setMode('unified')}>Unified</button>
+                <button className={`toggle-btn ${mode === 'side-by-side' ? 'active' : ''}`} onClick={() => setMode('side-by-side')}>Side-by-Side</button>
+              </div>
+              <DiffPretty diff={data.diff} mode={mode} />
+            </>
+          )}
+        </div>
+        {c && (
+          <div className="modal-footer">
+            {preview ? (
+              <>
+                <button className="btn btn-secondary" onClick={() => setPreview(null)} disabled={Boolean(busy)}>Back</button>
+                <button className={`btn ${preview.action === 'reset' ? 'btn-danger' : 'btn-primary'} ${busy === 'confirm' ? 'btn-loading' : ''}`} onClick={confirmAction} disabled={Boolean(busy)}>
+                  {busy === 'confirm' ? <span className="spinner" /> : `${ACTIONS[preview.action].title} ${hash.slice(0, 7)}${preview.push ? ' & push' : ''}`}
+                </button>
+              </>
+            ) : data.onBranch ? (
+              <>
+                {c.hash !== headHash && (
+                  <button className="btn btn-secondary" onClick={() => showPreview('reset')} disabled={Boolean(busy)} title="Move the branch back to this commit (soft or mixed)">
+                    Reset to here…
+                  </button>
+                )}
+                {c.parents.length > 0 && (
+                  <>
+                    <button className="btn btn-secondary" onClick={() => showPreview('revert')} disabled={Boolean(busy)} title="Add a commit that undoes this one">Revert…</button>
+                    <button className="btn btn-primary" onClick={() => showPreview('revert', true)} disabled={Boolean(busy)}>Revert & push…</button>
+                  </>
+                )}
+              </>
+            ) : (
+              <button className="btn btn-primary" onClick={() => showPreview('cherry-pick')} disabled={Boolean(busy)} title="Apply this commit on top of the current branch">Cherry-pick…</button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const NO_FILTERS = { grep: '', author: '', path: '', branch: '' };
+
+// Paged commit history with filters and an optional branch/merge graph
+export function HistoryPanel({ repoId, branches = [], headHash, onChanged, onConflicts, onPush }) {
+  const toast = useToast();
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(NO_FILTERS);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [graph, setGraph] = useState(false);
+  const [commits, setCommits] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState('');
+
+  const load = async (after) => {
+    setLoading(true);
+    try {
+      const params = { repoId, limit: 50, graph: graph ? 1 : undefined, cursor: after || undefined };
+      if (filters.branch === '*') params.all = 1;
+      else if (filters.branch) params.branch = filters.branch;
+      for (const k of ['grep', 'author', 'path']) if (filters[k].trim()) params[k] = filters[k].trim();
+      const r = await axios.get('/api/git/log', { params });
+      setCommits(cs => (after ? [...cs, ...r.data.commits] : r.data.commits));
+      setCursor(r.data.nextCursor);
+    } catch (e) {
+      toast && toast(errMsg(e, 'Failed to load history'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { setCommits([]); setCursor(null); setForm(NO_FILTERS); setFilters(NO_FILTERS); }, [repoId]);
+  useEffect(() => { if (open) load(); }, [open, repoId, filters, graph, headHash]);
+
+  // Lanes only make sense for an unfiltered history
+  const filtered = Boolean(filters.grep.trim() || filters.author.trim() || filters.path.trim());
+  const rows = useMemo(() => (graph && !filtered ? layoutGraph(commits) : null), [graph, filtered, commits]);
+  const width = rows ? LANE * Math.max(1, ...rows.map(r => Math.max(r.before.length, r.after.length, r.col + 1))) : 0;
+
+  const set = (k) => (e) => setForm(f => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ marginBottom: open ? 12 : 0, cursor: 'pointer' }} onClick={() => setOpen(o => !o)}>
+        <span className="card-title">History</span>
+        <span className="dropdown-arrow">{open ? '▲' : '▼'}</span>
+      </div>
+      {open && (
+        <>
+          <form style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 8 }} onSubmit={(e) => { e.preventDefault(); setFilters(form); }}>
+            <input style={{ flex: '1 1 140px' }} placeholder="Message text" value={form.grep} onChange={set('grep')} />
+            <input style={{ flex: '1 1 100px' }} placeholder="Author" value={form.author} onChange={set('author')} />
+            <input style={{ flex: '1 1 120px' }} placeholder="Path" value={form.path} onChange={set('path')} />
+            <select style={{ flex: '1 1 100px' }} value={form.branch} onChange={(e) => { set('branch')(e); setFilters(f => ({ ...f, branch: e.target.value })); }}>
+              <option value="">Current branch</option>
+              <option value="*">All branches</option>
+              {branches.map(b => <option key={b} value={b}>{b}</option>)}
+            </select>
+            <button type="submit" className="btn btn-secondary">Filter</button>
+            <label className="muted" style={{ whiteSpace: 'nowrap', alignSelf: 'center' }} title={filtered ? 'Not available while filtering by text, author or path' : 'Draw branches and merges'}>
+              <input type="checkbox" checked={graph} onChange={(e) => setGraph(e.target.checked)} /> graph
+            </label>
+          </form>
+          {commits.length === 0 && !loading && <div className="muted">No commits.</div>}
+          <div>
+            {commits.map((c, i) => (
+              <div
+                key={c.hash}
+                onClick={() => setSelected(c.hash)}
+                style={{ display: 'flex', alignItems: 'center', gap: 8, height: ROW, cursor: 'pointer', minWidth: 0 }}
+                title={`${c.hash}\n${c.author_name} · ${new Date(c.date).toLocaleString()}`}
+              >
+                {rows && <GraphCell commit={c} row={rows[i]} width={width} />}
+                <code className="muted" style={{ flex: 'none' }}>{c.hash.slice(0, 7)}</code>
+                <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  <RefBadges refs={c.refs} />
+                  {c.message}
+                </span>
+                <span className="muted" style={{ flex: 'none', fontSize: 12 }}>{c.author_name} · {new Date(c.date).toLocaleDateString()}</span>
+              </div>
+            ))}
+          </div>
+          {(cursor || loading) && (
+            <button className={`btn btn-secondary ${loading ? 'btn-loading' : ''}`} style={{ marginTop: 8 }} onClick={() => load(cursor)} disabled={loading}>
+              {loading ? <span className="spinner" /> : 'Load more'}
+            </button>
+          )}
+        </>
+      )}
+      {selected && (
+        <CommitDetailModal
+          repoId={repoId}
+          hash={selected}
+          headHash={headHash}
+          onSelect={setSelected}
+          onClose={() => setSelected('')}
+          onChanged={onChanged}
+          onConflicts={onConflicts}
+          onPush={onPush}
+        />
+      )}
+    </div>
+  );
+}
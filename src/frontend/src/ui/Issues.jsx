@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useToast } from './ToastContext.jsx';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+// "42-fix-login-redirect" from issue #42 "Fix login redirect"
+function branchNameFor(issue) {
+  const slug = String(issue.title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return slug ? `${issue.number}-${slug}` : `issue-${issue.number}`;
+}
+
+function issuePrompt(issue) {
+  const body = (issue.body || '').trim();
+  return [`Work on issue #${issue.number}: ${issue.title}`, body, issue.url].filter(Boolean).join('\n\n');
+}
+
+// Open issues of the repo; "Start work" branches off the default branch and
+// hands the issue to Claude
+export function IssuesPanel({ repoId, onSendToTerminal, onBranchCreated }) {
+  const toast = useToast();
+  const [open, setOpen] = useState(false);
+  const [data, setData] = useState({ supported: true, issues: [], labels: [], defaultBranch: '' });
+  const [q, setQ] = useState('');
+  const [labels, setLabels] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [starting, setStarting] = useState(0);
+
+  const refresh = async (search = q, picked = labels) => {
+    if (!repoId) return;
+    setLoading(true);
+    setError('');
+    try {
+      const r = await axios.get('/api/git/issues', { params: { repoId, q: search, labels: picked.join(',') } });
+      setData(r.data);
+    } catch (e) {
+      setError(errMsg(e, 'Failed to load issues'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setQ('');
+    setLabels([]);
+    setData({ supported: true, issues: [], labels: [], defaultBranch: '' });
+  }, [repoId]);
+  useEffect(() => { if (open) refresh('', []); }, [open, repoId]);
+
+  const toggleLabel = (name) => {
+    const next = labels.includes(name) ? labels.filter(l => l !== name) : [...labels, name];
+    setLabels(next);
+    refresh(q, next);
+  };
+
+  const startWork = async (item) => {
+    const branchName = (prompt(`Branch for #${item.number}`, branchNameFor(item)) || '').trim();
+    if (!branchName) return;
+    setStarting(item.number);
+    try {
+      const issue = (await axios.get(`/api/git/issues/${item.number}`, { params: { repoId } })).data.issue;
+      await axios.post('/api/git/createBranch', {
+        repoId,
+        branchName,
+        sourceBranch: data.defaultBranch || 'main',
+        issue: { number: issue.number, title: issue.title, url: issue.url }
+      });
+      onBranchCreated && onBranchCreated(branchName);
+      try {
+        await onSendToTerminal(issuePrompt(issue));
+        toast && toast(`On ${branchName}; the issue is in the terminal, press Enter to start`);
+      } catch (e) {
+        toast && toast(`On ${branchName}, but the terminal did not take the issue: ${errMsg(e, 'unknown error')}`);
+      }
+    } catch (e) {
+      toast && toast(`Start work failed: ${errMsg(e, 'unknown error')}`);
+    } finally {
+      setStarting(0);
+    }
+  };
+
+  if (!data.supported) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ marginBottom: open ? 12 : 0, cursor: 'pointer' }} onClick={() => setOpen(o => !o)}>
+        <span className="card-title">
+          Issues
+          {open && data.issues.length > 0 && <span className="count-badge">{data.issues.length}</span>}
+        </span>
+        <span className="dropdown-arrow">{open ? '▲' : '▼'}</span>
+      </div>
+      {open && (
+        <>
+          <form style={{ display: 'flex', gap: 8, marginBottom: 8 }} onSubmit={(e) => { e.preventDefault(); refresh(); }}>
+            <input placeholder="Search issues..." value={q} onChange={(e) => setQ(e.target.value)} />
+            <button type="submit" className="secondary icon" disabled={loading} title="Search">{loading ? '…' : '↻'}</button>
+          </form>
+          {data.labels.length > 0 && (
+            <div className="file-chips" style={{ marginBottom: 8 }}>
+              {data.labels.map(l => (
+                <button
+                  key={l.name}
+                  className={`chip ${labels.includes(l.name) ? 'active' : ''}`}
+                  onClick={() => toggleLabel(l.name)}
+                >
+                  <span style={{ display: 'inline-block', width: 8, height: 8, borderRadius: 4, background: l.color, marginRight: 4 }} />
+                  {l.name}
+                </button>
+              ))}
+            </div>
+          )}
+          <div style={{ maxHeight: '50vh', overflow: 'auto' }}>
+            {error && <div className="status-bar warning" style={{ marginTop: 0 }}>{error}</div>}
+            {!error && !loading && data.issues.length === 0 && <div className="muted">No open issues match.</div>}
+            {data.issues.map(issue => (
+              <div key={issue.number} className="repo">
+                <div style={{ minWidth: 0 }}>
+                  <div>
+                    <a href={issue.url} target="_blank" rel="noreferrer"><strong>#{issue.number}</strong></a> {issue.title}
+                  </div>
+                  <div className="muted">
+                    {issue.author} · {new Date(issue.updatedAt).toLocaleString()}
+                    {issue.comments > 0 && ` · 💬 ${issue.comments}`}
+                    {issue.labels.map(l => <span key={l} className="badge gray" style={{ marginLeft: 6 }}>{l}</span>)}
+                  </div>
+                </div>
+                <button
+                  className={`btn btn-secondary ${starting === issue.number ? 'btn-loading' : ''}`}
+                  onClick={() => startWork(issue)}
+                  disabled={Boolean(starting)}
+                  title={`New branch from ${data.defaultBranch || 'main'}, issue pasted into Claude`}
+                >
+                  {starting === issue.number ? <span className="spinner" /> : '▶ Start work'}
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
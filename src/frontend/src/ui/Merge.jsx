@@ -0,0 +1,372 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useToast } from './ToastContext.jsx';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+const PUSH_FAILURES = {
+  rejected: {
+    title: 'Push rejected',
+    text: 'origin has commits this branch does not have yet. Bring them in first, then push again. Your commits stay where they are.'
+  },
+  protected: {
+    title: 'Protected branch',
+    text: 'The server does not accept direct pushes to this branch. Create a new branch for your commits and open a pull/merge request from it.'
+  },
+  auth: {
+    title: 'Not authorized',
+    text: 'The server refused the credentials. Check that the token configured for this host is valid and may push to the repository.'
+  },
+  hook: {
+    title: 'Rejected by a server hook',
+    text: 'A hook on the server declined the push. Its output below says why.'
+  },
+  unknown: {
+    title: 'Push failed',
+    text: 'The push did not go through.'
+  }
+};
+
+// Explains why a push failed and offers the way out (rebase/merge for a
+// rejected push, a new branch for a protected one)
+export function PushFailedModal({ failure, onSync, onNewBranch, onClose }) {
+  const [busy, setBusy] = useState('');
+  const info = PUSH_FAILURES[failure.kind] || PUSH_FAILURES.unknown;
+
+  const sync = async (strategy) => {
+    setBusy(strategy);
+    try {
+      await onSync(strategy);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 560 }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{info.title}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          <p style={{ marginTop: 0 }}>{info.text}</p>
+          <code className="diff-raw" style={{ maxHeight: '30vh' }}>{failure.error}</code>
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Close</button>
+          {failure.kind === 'protected' && (
+            <button className="btn btn-primary" onClick={() => { onClose(); onNewBranch(); }}>New branch…</button>
+          )}
+          {failure.kind === 'rejected' && (
+            <>
+              <button
+                className={`btn btn-secondary ${busy === 'merge' ? 'btn-loading' : ''}`}
+                onClick={() => sync('merge')}
+                disabled={Boolean(busy)}
+                title="git merge origin/<branch>, then push"
+              >
+                {busy === 'merge' ? <><span className="spinner" /> Merging...</> : 'Merge & push'}
+              </button>
+              <button
+                className={`btn btn-primary ${busy === 'rebase' ? 'btn-loading' : ''}`}
+                onClick={() => sync('rebase')}
+                disabled={Boolean(busy)}
+                title="git rebase origin/<branch>, then push"
+              >
+                {busy === 'rebase' ? <><span className="spinner" /> Rebasing...</> : 'Pull with rebase & push'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const MERGE_MODES = [
+  { mode: 'ff', label: 'Fast-forward when possible', title: 'git merge --ff: no merge commit unless the branches have diverged' },
+  { mode: 'ff-only', label: 'Fast-forward only', title: 'git merge --ff-only: refuse if a merge commit would be needed' },
+  { mode: 'no-ff', label: 'Always create a merge commit', title: 'git merge --no-ff' }
+];
+
+// Bring another branch into the current one. The server merges/rebases onto
+// the local branch (fast-forwarded to origin's first when it is only behind),
+// or origin/<branch> when there is no local one; conflicts hand over to the
+// ConflictEditor.
+export function MergeBranchModal({ repoId, current, branches, defaultBranch, onClose, onDone, onConflicts }) {
+  const choices = branches.filter(b => b !== current);
+  const [branch, setBranch] = useState(choices.includes(defaultBranch) ? defaultBranch : choices[0] || '');
+  const [op, setOp] = useState('merge');
+  const [mode, setMode] = useState('ff');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const r = await axios.post(`/api/git/${op}`, op === 'merge' ? { repoId, branch, mode } : { repoId, branch });
+      onDone({ ...r.data, op, branch });
+    } catch (e) {
+      if (e?.response?.data?.conflicts?.length) return onConflicts();
+      setError(errMsg(e, `${op === 'merge' ? 'Merge' : 'Rebase'} failed`));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 520 }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Merge or rebase {current}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          <div className="form-group">
+            <label>From branch</label>
+            <select value={branch} onChange={(e) => setBranch(e.target.value)}>
+              {choices.map(b => <option key={b} value={b}>{b}{b === defaultBranch ? ' (default)' : ''}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label><input type="radio" name="integrate-op" checked={op === 'merge'} onChange={() => setOp('merge')} /> Merge {branch || 'it'} into {current}</label>
+            <label><input type="radio" name="integrate-op" checked={op === 'rebase'} onChange={() => setOp('rebase')} /> Rebase {current} onto {branch || 'it'}</label>
+          </div>
+          {op === 'merge' ? (
+            <div className="form-group">
+              {MERGE_MODES.map(m => (
+                <label key={m.mode} title={m.title}>
+                  <input type="radio" name="merge-mode" checked={mode === m.mode} onChange={() => setMode(m.mode)} /> {m.label}
+                </label>
+              ))}
+            </div>
+          ) : (
+            <p className="muted">Rebasing rewrites the commits of {current}; if they are already on origin, the next push has to be forced.</p>
+          )}
+          <p className="muted" style={{ marginBottom: 0 }}>Uncommitted changes are stashed first and put back afterwards.</p>
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button className={`btn btn-primary ${busy ? 'btn-loading' : ''}`} onClick={submit} disabled={busy || !branch}>
+            {busy ? <><span className="spinner" /> {op === 'merge' ? 'Merging...' : 'Rebasing...'}</> : op === 'merge' ? 'Merge' : 'Rebase'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function hunkText(hunk, choice) {
+  if (choice.pick === 'ours') return hunk.ours;
+  if (choice.pick === 'theirs') return hunk.theirs;
+  if (choice.pick === 'both') return hunk.ours + hunk.theirs;
+  return choice.text;
+}
+
+const codeStyle = { maxHeight: '30vh', margin: 0, flex: 1, minWidth: 0 };
+
+// Three-way editor for a rebase/merge (or cherry-pick/revert) that stopped on
+// conflicts: pick ours, theirs, both or a manual edit per hunk, mark each file
+// resolved, then continue, skip the commit being applied, or abort the operation
+export function ConflictEditor({ repoId, onClose, onDone }) {
+  const toast = useToast();
+  const [op, setOp] = useState({ operation: '', conflicts: [], labels: { ours: 'ours', theirs: 'theirs' } });
+  const [file, setFile] = useState('');
+  const [data, setData] = useState(null);
+  const [choices, setChoices] = useState([]);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+
+  const applyState = (state) => {
+    setOp(o => ({ ...o, ...state }));
+    setFile(f => (state.conflicts.includes(f) ? f : state.conflicts[0] || ''));
+  };
+
+  useEffect(() => {
+    axios.get('/api/git/operation', { params: { repoId } })
+      .then(r => applyState(r.data))
+      .catch(e => setError(errMsg(e, 'Failed to load the conflicts')));
+  }, [repoId]);
+
+  useEffect(() => {
+    setData(null);
+    if (!file) return;
+    axios.get('/api/git/threeway', { params: { repoId, path: file } })
+      .then(r => {
+        setData(r.data);
+        setChoices((r.data.hunks || []).map(h => (h.text === undefined ? { pick: 'ours', text: h.ours } : null)));
+      })
+      .catch(e => setError(errMsg(e, `Failed to load ${file}`)));
+  }, [repoId, file]);
+
+  const setChoice = (i, patch) => setChoices(cs => cs.map((c, j) => (j === i ? { ...c, ...patch } : c)));
+
+  const run = async (what, fn) => {
+    setBusy(what);
+    setError('');
+    try {
+      await fn();
+    } catch (e) {
+      if (e?.response?.data?.conflicts) applyState(e.response.data);
+      setError(errMsg(e, `${what} failed`));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const resolve = (body) => run('resolve', async () => {
+    const r = await axios.post('/api/git/resolve', { repoId, path: file, ...body });
+    applyState(r.data);
+    toast && toast(`Resolved ${file}`);
+  });
+
+  const resolveHunks = () => resolve({
+    content: data.hunks.map((h, i) => (h.text !== undefined ? h.text : hunkText(h, choices[i]))).join('')
+  });
+
+  const doContinue = () => run('continue', async () => {
+    const r = await axios.post('/api/git/operation/continue', { repoId });
+    if (r.data.operation) {
+      // A rebase moves on to its next commit
+      applyState(r.data);
+      return;
+    }
+    toast && toast(`${op.operation} finished ✅`);
+    onDone();
+  });
+
+  // Drops the commit being replayed (not possible for a merge)
+  const doSkip = () => {
+    if (!confirm(`Skip ${op.step ? `"${op.step.message}"` : 'this commit'}? Its changes are left out of the ${op.operation}.`)) return;
+    run('skip', async () => {
+      const r = await axios.post('/api/git/operation/skip', { repoId });
+      if (r.data.operation) {
+        applyState(r.data);
+        return;
+      }
+      toast && toast(`${op.operation} finished ✅`);
+      onDone();
+    });
+  };
+
+  const doAbort = () => {
+    if (!confirm(`Abort the ${op.operation}? The branch goes back to where it was before.`)) return;
+    run('abort', async () => {
+      await axios.post('/api/git/operation/abort', { repoId });
+      toast && toast(`${op.operation} aborted`);
+      onDone();
+    });
+  };
+
+  const hunks = data?.hunks || [];
+  const conflictHunks = hunks.filter(h => h.text === undefined);
+  const { labels } = op;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 'min(1100px, 96vw)' }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{op.operation ? `Resolve ${op.operation} conflicts` : 'Resolve conflicts'}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body" style={{ maxHeight: '70vh', overflow: 'auto' }}>
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          {!op.operation && (
+            <p className="muted">
+              {op.conflicts.length ? 'These files conflicted when a stash was applied. Resolving a file stages it.' : 'No rebase or merge is in progress.'}
+            </p>
+          )}
+          {op.step && (
+            <p className="muted" style={{ marginTop: 0 }}>
+              Step {op.step.current}/{op.step.total}: <code>{(op.step.hash || '').slice(0, 7)}</code> {op.step.message}
+            </p>
+          )}
+          {op.operation && op.conflicts.length === 0 && (
+            <p className="muted">All conflicts are resolved. Continue to finish the {op.operation}.</p>
+          )}
+          {op.conflicts.length > 0 && (
+            <div className="file-chips">
+              {op.conflicts.map(p => (
+                <button key={p} className={`chip modified ${p === file ? 'active' : ''}`} onClick={() => setFile(p)}>{p}</button>
+              ))}
+            </div>
+          )}
+          {data && conflictHunks.length === 0 && (
+            // Deleted on one side, binary, or no markers left: whole-file choice
+            <div>
+              <p className="muted">
+                {data.ours === null ? `Deleted on the ${labels.ours} side.` : data.theirs === null ? `Deleted on the ${labels.theirs} side.` : 'This file has no conflict hunks to pick from.'}
+              </p>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {data.ours !== null && <button className="btn btn-secondary" disabled={Boolean(busy)} onClick={() => resolve({ content: data.ours })}>Keep {labels.ours}</button>}
+                {data.theirs !== null && <button className="btn btn-secondary" disabled={Boolean(busy)} onClick={() => resolve({ content: data.theirs })}>Keep {labels.theirs}</button>}
+                <button className="btn btn-danger" disabled={Boolean(busy)} onClick={() => resolve({ delete: true })}>Delete file</button>
+              </div>
+            </div>
+          )}
+          {data && conflictHunks.length > 0 && hunks.map((h, i) => (h.text !== undefined ? (
+            <code key={i} className="diff-raw muted" style={{ maxHeight: 120, marginBottom: 8 }}>{h.text}</code>
+          ) : (
+            <div key={i} className="card" style={{ marginBottom: 8 }}>
+              <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginBottom: 8, flexWrap: 'wrap' }}>
+                {['ours', 'theirs', 'both', 'manual'].map(pick => (
+                  <label key={pick}>
+                    <input
+                      type="radio"
+                      name={`hunk-${i}`}
+                      checked={choices[i]?.pick === pick}
+                      onChange={() => setChoice(i, { pick, text: pick === 'manual' ? hunkText(h, choices[i]) : choices[i].text })}
+                    />{' '}
+                    {pick === 'ours' ? labels.ours : pick === 'theirs' ? labels.theirs : pick}
+                  </label>
+                ))}
+              </div>
+              {choices[i]?.pick === 'manual' ? (
+                <textarea
+                  rows={Math.min(20, Math.max(4, choices[i].text.split('\n').length))}
+                  value={choices[i].text}
+                  onChange={(e) => setChoice(i, { text: e.target.value })}
+                  style={{ width: '100%', fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace', fontSize: 12 }}
+                />
+              ) : (
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <code className={`diff-raw ${choices[i]?.pick === 'theirs' ? 'muted' : ''}`} style={codeStyle} title={labels.ours}>{h.ours}</code>
+                  <code className={`diff-raw ${choices[i]?.pick === 'ours' ? 'muted' : ''}`} style={codeStyle} title={labels.theirs}>{h.theirs}</code>
+                </div>
+              )}
+            </div>
+          )))}
+        </div>
+        <div className="modal-footer">
+          {op.operation && (
+            <button className={`btn btn-danger ${busy === 'abort' ? 'btn-loading' : ''}`} onClick={doAbort} disabled={Boolean(busy)}>
+              Abort {op.operation}
+            </button>
+          )}
+          {op.operation && op.operation !== 'merge' && (
+            <button className={`btn btn-secondary ${busy === 'skip' ? 'btn-loading' : ''}`} onClick={doSkip} disabled={Boolean(busy)} title={`git ${op.operation} --skip`}>
+              Skip commit
+            </button>
+          )}
+          <span style={{ flex: 1 }} />
+          {data && conflictHunks.length > 0 && (
+            <button className={`btn btn-secondary ${busy === 'resolve' ? 'btn-loading' : ''}`} onClick={resolveHunks} disabled={Boolean(busy)}>
+              Mark {file.split('/').pop()} resolved
+            </button>
+          )}
+          <button
+            className={`btn btn-primary ${busy === 'continue' ? 'btn-loading' : ''}`}
+            onClick={doContinue}
+            disabled={Boolean(busy) || !op.operation || op.conflicts.length > 0}
+          >
+            {busy === 'continue' ? <><span className="spinner" /> Continuing...</> : 'Continue'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
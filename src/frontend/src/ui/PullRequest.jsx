@@ -0,0 +1,329 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useToast } from './ToastContext.jsx';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+// Pushes the current branch and opens a GitHub PR / GitLab MR for it
+export function OpenPullRequestModal({ repoId, branches, defaultTitle, onClose, onCreated, onPushFailed }) {
+  const toast = useToast();
+  const [info, setInfo] = useState(null);
+  const [form, setForm] = useState({ target: '', title: defaultTitle || '', body: '', draft: false, reviewers: '', labels: '' });
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get('/api/git/pullRequest', { params: { repoId } })
+      .then(r => {
+        setInfo(r.data);
+        const target = r.data.defaultBranch || (branches.includes('main') ? 'main' : branches[0]) || '';
+        // Work started from an issue closes it when the PR merges
+        const body = r.data.issue ? `Closes #${r.data.issue.number}` : '';
+        setForm(f => ({ ...f, target, title: f.title || r.data.issue?.title || r.data.branch, body: f.body || body }));
+      })
+      .catch(e => setError(errMsg(e, 'Failed to load branch info')));
+  }, [repoId]);
+
+  const set = (k) => (e) => setForm(f => ({ ...f, [k]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  const submit = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const r = await axios.post('/api/git/pullRequest', { repoId, ...form });
+      setResult(r.data);
+      onCreated && onCreated(r.data.pullRequest);
+      for (const w of r.data.warnings || []) toast && toast(w);
+    } catch (e) {
+      // The branch push was refused: same explanation and way out as for Push
+      const kind = e?.response?.data?.kind;
+      if (kind && onPushFailed) return onPushFailed({ kind, error: errMsg(e, '') });
+      setError(errMsg(e, 'Failed to open the pull request'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isGitLab = (info?.provider || '').startsWith('gitlab');
+  const noun = isGitLab ? 'merge request' : 'pull request';
+  const targets = branches.filter(b => b !== info?.branch);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Open {isGitLab ? 'MR' : 'PR'}{info?.branch ? ` from ${info.branch}` : ''}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          {result ? (
+            <div>
+              <p>Opened {noun} <strong>#{result.pullRequest.number}</strong>{result.pullRequest.draft ? ' (draft)' : ''}:</p>
+              <p><a href={result.pullRequest.url} target="_blank" rel="noreferrer">{result.pullRequest.url}</a></p>
+            </div>
+          ) : info && !info.supported ? (
+            <p className="muted">Opening a {noun} is only supported for repositories on GitHub or GitLab.</p>
+          ) : info?.pullRequest ? (
+            <p className="muted">
+              This branch already has <a href={info.pullRequest.url} target="_blank" rel="noreferrer">#{info.pullRequest.number}</a>.
+              Opening another one pushes the branch again and asks the provider for a new {noun}.
+            </p>
+          ) : null}
+          {!result && info?.supported && (
+            <>
+              <div className="form-group">
+                <label>Target branch</label>
+                <select value={form.target} onChange={set('target')}>
+                  {!targets.includes(form.target) && form.target && <option value={form.target}>{form.target}</option>}
+                  {targets.map(b => <option key={b} value={b}>{b}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Title</label>
+                <input type="text" value={form.title} onChange={set('title')} autoFocus />
+              </div>
+              <div className="form-group">
+                <label>Description</label>
+                <textarea rows={6} value={form.body} onChange={set('body')} placeholder="Markdown" />
+              </div>
+              <div className="form-group">
+                <label>Reviewers</label>
+                <input type="text" value={form.reviewers} onChange={set('reviewers')} placeholder={isGitLab ? 'user1, user2' : 'user1, org/team'} />
+              </div>
+              <div className="form-group">
+                <label>Labels</label>
+                <input type="text" value={form.labels} onChange={set('labels')} placeholder="bug, needs-review" />
+              </div>
+              <div className="form-group">
+                <label><input type="checkbox" checked={form.draft} onChange={set('draft')} /> Draft</label>
+              </div>
+            </>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>{result ? 'Close' : 'Cancel'}</button>
+          {!result && info?.supported && (
+            <button
+              className={`btn btn-primary ${busy ? 'btn-loading' : ''}`}
+              onClick={submit}
+              disabled={busy || !info.branch || !form.target || !form.title.trim()}
+            >
+              {busy ? <><span className="spinner" /> Pushing...</> : `Push & open ${isGitLab ? 'MR' : 'PR'}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const CHECK_BADGE = { success: 'green', failure: 'red', pending: 'yellow', none: 'gray', neutral: 'gray' };
+const CHECK_ICON = { success: '✓', failure: '✕', pending: '…', neutral: '–' };
+
+function ChecksBadge({ checks }) {
+  if (!checks || checks.state === 'none') return null;
+  const text = checks.state === 'success'
+    ? `✓ ${checks.passed}/${checks.total}`
+    : checks.state === 'failure' ? `✕ ${checks.failed} failed` : `… ${checks.pending} running`;
+  return <span className={`badge ${CHECK_BADGE[checks.state]}`}>{text}</span>;
+}
+
+// Turn the picked review threads into one prompt for Claude
+function reviewPrompt(pr, threads) {
+  const lines = [`Please address these review comments on #${pr.number} "${pr.title}" (${pr.source} → ${pr.target}):`, ''];
+  threads.forEach((t, i) => {
+    const where = t.path ? `${t.path}${t.line ? `:${t.line}` : ''}` : 'General';
+    const [first, ...replies] = t.comments;
+    lines.push(`${i + 1}. ${where} — ${first.author}: ${first.body.trim()}`);
+    for (const c of replies) lines.push(`   ↳ ${c.author}: ${c.body.trim()}`);
+  });
+  return lines.join('\n');
+}
+
+function PullRequestDetail({ repoId, number, noun, onSend, onCheckout, checkingOut }) {
+  const [pr, setPr] = useState(null);
+  const [error, setError] = useState('');
+  const [picked, setPicked] = useState({});
+  const [showResolved, setShowResolved] = useState(false);
+
+  useEffect(() => {
+    setPr(null);
+    setPicked({});
+    axios.get(`/api/git/pullRequests/${number}`, { params: { repoId } })
+      .then(r => {
+        setPr(r.data.pullRequest);
+        // Preselect what still needs work
+        const open = {};
+        for (const t of r.data.pullRequest.threads || []) if (t.resolved !== true && !t.outdated) open[t.id] = true;
+        setPicked(open);
+      })
+      .catch(e => setError(errMsg(e, `Failed to load the ${noun}`)));
+  }, [repoId, number]);
+
+  if (error) return <div className="status-bar warning">{error}</div>;
+  if (!pr) return <div className="muted">Loading…</div>;
+
+  const threads = pr.threads.filter(t => showResolved || t.resolved !== true);
+  const hiddenResolved = pr.threads.length - threads.length;
+  const selected = pr.threads.filter(t => picked[t.id]);
+
+  return (
+    <div style={{ padding: '8px 0 12px' }}>
+      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 8 }}>
+        <button className={`btn btn-secondary ${checkingOut ? 'btn-loading' : ''}`} onClick={() => onCheckout(pr)} disabled={checkingOut}>
+          {checkingOut ? <><span className="spinner" /> Checking out...</> : <>⎇ Check out{pr.fork ? ' (fork)' : ''}</>}
+        </button>
+        <button className="btn" onClick={() => onSend(reviewPrompt(pr, selected))} disabled={!selected.length}>
+          ✻ Send {selected.length} to terminal
+        </button>
+        <a className="btn btn-secondary" href={pr.url} target="_blank" rel="noreferrer">Open ↗</a>
+      </div>
+      {pr.reviews?.length > 0 && (
+        <div className="muted" style={{ marginBottom: 8 }}>
+          {pr.reviews.map(r => `${r.author}: ${r.state.replace('_', ' ')}`).join(' · ')}
+        </div>
+      )}
+      {pr.checks.items.length > 0 && (
+        <div style={{ marginBottom: 8 }}>
+          {pr.checks.items.map((c, i) => (
+            <div key={i} className="muted">
+              <span className={`badge ${CHECK_BADGE[c.status]}`} style={{ marginRight: 6 }}>{CHECK_ICON[c.status]}</span>
+              {c.url ? <a href={c.url} target="_blank" rel="noreferrer">{c.name}</a> : c.name}
+            </div>
+          ))}
+        </div>
+      )}
+      {threads.length === 0 && <div className="muted">No review comments{hiddenResolved ? ' left open' : ''}.</div>}
+      {threads.map(t => (
+        <label key={t.id} className="repo" style={{ alignItems: 'flex-start', gap: 8, cursor: 'pointer' }}>
+          <input type="checkbox" checked={Boolean(picked[t.id])} onChange={(e) => setPicked(p => ({ ...p, [t.id]: e.target.checked }))} style={{ width: 'auto', marginTop: 4 }} />
+          <div style={{ minWidth: 0, flex: 1 }}>
+            <div className="muted">
+              {t.path ? <code>{t.path}{t.line ? `:${t.line}` : ''}</code> : (t.review ? `Review (${t.review.toLowerCase().replace('_', ' ')})` : 'Conversation')}
+              {t.resolved === true && <span className="badge green" style={{ marginLeft: 6 }}>resolved</span>}
+              {t.outdated && <span className="badge gray" style={{ marginLeft: 6 }}>outdated</span>}
+            </div>
+            {t.comments.map(c => (
+              <div key={c.id} style={{ marginTop: 4, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                <strong>{c.author}</strong> {c.body}
+              </div>
+            ))}
+          </div>
+        </label>
+      ))}
+      {hiddenResolved > 0 && (
+        <button className="btn btn-ghost" onClick={() => setShowResolved(true)}>Show {hiddenResolved} resolved</button>
+      )}
+    </div>
+  );
+}
+
+// Open PRs/MRs of the repo with checks and review threads
+export function PullRequestsPanel({ repoId, onSendToTerminal, onCheckedOut }) {
+  const toast = useToast();
+  const [open, setOpen] = useState(false);
+  const [data, setData] = useState({ supported: true, provider: '', pullRequests: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [checkingOut, setCheckingOut] = useState(false);
+
+  const refresh = async () => {
+    if (!repoId) return;
+    setLoading(true);
+    setError('');
+    try {
+      const r = await axios.get('/api/git/pullRequests', { params: { repoId } });
+      setData(r.data);
+    } catch (e) {
+      setError(errMsg(e, 'Failed to load pull requests'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { setExpanded(null); setData({ supported: true, provider: '', pullRequests: [] }); }, [repoId]);
+  useEffect(() => { if (open) refresh(); }, [open, repoId]);
+
+  const isGitLab = data.provider.startsWith('gitlab');
+  const noun = isGitLab ? 'merge request' : 'pull request';
+
+  const checkout = async (pr) => {
+    setCheckingOut(true);
+    try {
+      const r = await axios.post(`/api/git/pullRequests/${pr.number}/checkout`, { repoId });
+      toast && toast(`Switched to ${r.data.branch}`);
+      onCheckedOut && onCheckedOut(r.data.branch);
+    } catch (e) {
+      toast && toast(`Checkout failed: ${errMsg(e, 'unknown error')}`);
+      if (e?.response?.data?.branch) onCheckedOut && onCheckedOut(e.response.data.branch);
+    } finally {
+      setCheckingOut(false);
+    }
+  };
+
+  const send = async (text) => {
+    try {
+      await onSendToTerminal(text);
+      toast && toast('Review comments pasted into the terminal; press Enter to send');
+    } catch (e) {
+      toast && toast(`Send failed: ${errMsg(e, 'unknown error')}`);
+    }
+  };
+
+  if (!data.supported) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ marginBottom: open ? 12 : 0, cursor: 'pointer' }} onClick={() => setOpen(o => !o)}>
+        <span className="card-title">
+          {isGitLab ? 'Merge Requests' : 'Pull Requests'}
+          {open && data.pullRequests.length > 0 && <span className="count-badge">{data.pullRequests.length}</span>}
+        </span>
+        <span style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          {open && (
+            <button className="secondary icon" onClick={(e) => { e.stopPropagation(); refresh(); }} disabled={loading} title="Reload">
+              {loading ? '…' : '↻'}
+            </button>
+          )}
+          <span className="dropdown-arrow">{open ? '▲' : '▼'}</span>
+        </span>
+      </div>
+      {open && (
+        <div style={{ maxHeight: '60vh', overflow: 'auto' }}>
+          {error && <div className="status-bar warning" style={{ marginTop: 0 }}>{error}</div>}
+          {!error && !loading && data.pullRequests.length === 0 && <div className="muted">No open {noun}s.</div>}
+          {data.pullRequests.map(pr => (
+            <div key={pr.number}>
+              <div className="repo" onClick={() => setExpanded(n => (n === pr.number ? null : pr.number))}>
+                <div style={{ minWidth: 0 }}>
+                  <div>
+                    <strong>{isGitLab ? '!' : '#'}{pr.number}</strong> {pr.title}
+                    {pr.draft && <span className="badge gray" style={{ marginLeft: 6 }}>draft</span>}
+                    {pr.fork && <span className="badge gray" style={{ marginLeft: 6 }}>fork</span>}
+                  </div>
+                  <div className="muted">{pr.author} · {pr.source} → {pr.target} · {new Date(pr.updatedAt).toLocaleString()}</div>
+                </div>
+                <ChecksBadge checks={pr.checks} />
+              </div>
+              {expanded === pr.number && (
+                <PullRequestDetail
+                  repoId={repoId}
+                  number={pr.number}
+                  noun={noun}
+                  onSend={send}
+                  onCheckout={checkout}
+                  checkingOut={checkingOut}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { Terminal } from 'xterm';
+import 'xterm/css/xterm.css';
+import { useToast } from './ToastContext.jsx';
+
+// Pauses longer than this are shortened during playback
+const IDLE_CAP_S = 2;
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+function formatDuration(sec) {
+  const s = Math.max(0, Math.round(Number(sec) || 0));
+  const m = Math.floor(s / 60);
+  const h = Math.floor(m / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return h ? `${h}:${pad(m % 60)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+function formatSize(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function recordingUrl(repoId, id, download) {
+  const params = new URLSearchParams({ repoId });
+  if (download) params.set('download', '1');
+  return `/api/recordings/${encodeURIComponent(id)}?${params}`;
+}
+
+// Parse an asciicast v2 file into its header and events with idle gaps capped
+function parseCast(text) {
+  const lines = String(text || '').split('\n').filter(Boolean);
+  const header = JSON.parse(lines[0] || '{}');
+  const events = [];
+  let prevRaw = 0;
+  let at = 0;
+  for (const line of lines.slice(1)) {
+    try {
+      const [t, code, data] = JSON.parse(line);
+      at += Math.min(IDLE_CAP_S, Math.max(0, Number(t) - prevRaw));
+      prevRaw = Number(t);
+      events.push({ at, code, data });
+    } catch {}
+  }
+  return { header, events, duration: events.length ? events[events.length - 1].at : 0 };
+}
+
+function RecordingPlayer({ repoId, recording, onClose }) {
+  const ref = useRef(null);
+  const termRef = useRef(null);
+  const castRef = useRef(null);
+  // Playback cursor: index of the next event and the current playback time
+  const cursorRef = useRef({ idx: 0, clock: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [clock, setClock] = useState(0);
+  const [duration, setDuration] = useState(0);
+
+  // Write events up to `until`, batching output between resizes
+  const advance = (until) => {
+    const term = termRef.current;
+    const cast = castRef.current;
+    if (!term || !cast) return;
+    const cur = cursorRef.current;
+    let out = '';
+    while (cur.idx < cast.events.length && cast.events[cur.idx].at <= until) {
+      const ev = cast.events[cur.idx++];
+      if (ev.code === 'o') {
+        out += ev.data;
+      } else if (ev.code === 'r') {
+        if (out) { term.write(out); out = ''; }
+        const m = /^(\d+)x(\d+)$/.exec(ev.data || '');
+        if (m) { try { term.resize(Number(m[1]), Number(m[2])); } catch {} }
+      }
+    }
+    if (out) term.write(out);
+    cur.clock = until;
+  };
+
+  const seek = (to) => {
+    const term = termRef.current;
+    const cast = castRef.current;
+    if (!term || !cast) return;
+    term.reset();
+    try { term.resize(cast.header.width || 80, cast.header.height || 24); } catch {}
+    cursorRef.current = { idx: 0, clock: 0 };
+    advance(to);
+    setClock(to);
+  };
+
+  useEffect(() => {
+    const term = new Terminal({ fontSize: 12, disableStdin: true, cursorBlink: false, scrollback: 5000 });
+    termRef.current = term;
+    term.open(ref.current);
+    let cancelled = false;
+    axios.get(recordingUrl(repoId, recording.id), { responseType: 'text', transformResponse: (d) => d })
+      .then(r => {
+        if (cancelled) return;
+        const cast = parseCast(r.data);
+        castRef.current = cast;
+        try { term.resize(cast.header.width || 80, cast.header.height || 24); } catch {}
+        setDuration(cast.duration);
+        setLoading(false);
+        setPlaying(true);
+      })
+      .catch(e => {
+        if (cancelled) return;
+        setError(e?.response?.data?.error || e?.message || 'Failed to load recording');
+        setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+      term.dispose();
+      termRef.current = null;
+    };
+  }, [repoId, recording.id]);
+
+  // Playback loop
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    let raf = 0;
+    const step = (now) => {
+      const cur = cursorRef.current;
+      const next = Math.min(duration, cur.clock + ((now - last) / 1000) * speed);
+      last = now;
+      advance(next);
+      setClock(next);
+      if (next >= duration) { setPlaying(false); return; }
+      raf = requestAnimationFrame(step);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, speed, duration]);
+
+  const togglePlay = () => {
+    if (!playing && clock >= duration) seek(0);
+    setPlaying(p => !p);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 'min(1100px, 96vw)' }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{recording.title || recording.id}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 8 }}>{error}</div>}
+          {loading && <div className="muted" style={{ marginBottom: 8 }}>Loading…</div>}
+          <div style={{ overflow: 'auto', maxHeight: '65vh', background: '#000', borderRadius: 'var(--radius-sm)' }}>
+            <div ref={ref} className="term" style={{ height: 'auto', width: 'max-content' }} />
+          </div>
+        </div>
+        <div className="modal-footer" style={{ alignItems: 'center', flexWrap: 'wrap' }}>
+          <button className="btn btn-secondary" onClick={togglePlay} disabled={loading || Boolean(error)}>
+            {playing ? '⏸ Pause' : '▶ Play'}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={duration || 0}
+            step={0.1}
+            value={clock}
+            onChange={(e) => seek(Number(e.target.value))}
+            disabled={loading || Boolean(error)}
+            style={{ flex: 1, minWidth: 160, padding: 0 }}
+          />
+          <span className="muted">{formatDuration(clock)} / {formatDuration(duration)}</span>
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} style={{ width: 'auto' }}>
+            {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+          </select>
+          <a className="btn btn-secondary" href={recordingUrl(repoId, recording.id, true)}>⬇ Download</a>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function Recordings({ repoId }) {
+  const toast = useToast();
+  const [items, setItems] = useState([]);
+  const [enabled, setEnabled] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [playing, setPlaying] = useState(null);
+
+  const refresh = async () => {
+    if (!repoId) return;
+    try {
+      const r = await axios.get('/api/recordings', { params: { repoId } });
+      setItems(r.data.recordings || []);
+      setEnabled(Boolean(r.data.enabled));
+    } catch {
+      setItems([]);
+    }
+  };
+
+  useEffect(() => { refresh(); }, [repoId]);
+  // The list changes as sessions start; refresh whenever it is expanded
+  useEffect(() => { if (open) refresh(); }, [open]);
+
+  const remove = async (rec) => {
+    if (!confirm(`Delete recording "${rec.title || rec.id}"?`)) return;
+    try {
+      await axios.delete(`/api/recordings/${encodeURIComponent(rec.id)}`, { params: { repoId } });
+      await refresh();
+    } catch (e) {
+      const msg = e?.response?.data?.error || e?.message || 'Delete failed';
+      toast && toast(`Delete failed: ${msg}`);
+    }
+  };
+
+  if (!enabled && items.length === 0) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ marginBottom: open ? 12 : 0, cursor: 'pointer' }} onClick={() => setOpen(o => !o)}>
+        <span className="card-title">
+          Recordings
+          {items.length > 0 && <span className="count-badge">{items.length}</span>}
+        </span>
+        <span className="dropdown-arrow">{open ? '▲' : '▼'}</span>
+      </div>
+      {open && (
+        <div style={{ maxHeight: '40vh', overflow: 'auto' }}>
+          {items.length === 0 && <div className="muted">No recordings yet. New terminal sessions are recorded automatically.</div>}
+          {items.map(rec => (
+            <div key={rec.id} className="repo" onClick={() => setPlaying(rec)}>
+              <div style={{ minWidth: 0 }}>
+                <div>
+                  <strong>{rec.title || rec.kind || 'Session'}</strong>
+                  {rec.active && <span className="badge green" style={{ marginLeft: 8 }}>recording</span>}
+                </div>
+                <div className="muted">
+                  {new Date(rec.startedAt).toLocaleString()} · {formatDuration(rec.duration)} · {formatSize(rec.size)}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: 6 }} onClick={(e) => e.stopPropagation()}>
+                <button className="btn btn-secondary" onClick={() => setPlaying(rec)} title="Play">▶</button>
+                <a className="btn btn-secondary" href={recordingUrl(repoId, rec.id, true)} title="Download .cast">⬇</a>
+                <button className="btn btn-danger" onClick={() => remove(rec)} disabled={rec.active} title="Delete">🗑</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {playing && <RecordingPlayer repoId={repoId} recording={playing} onClose={() => setPlaying(null)} />}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import DiffPretty from './DiffPretty.jsx';
+import { useToast } from './ToastContext.jsx';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+// Park the working tree (Claude's attempt) in a stash, try something else,
+// and compare or bring it back later
+export function StashPanel({ repoId, onChanged, onConflicts }) {
+  const toast = useToast();
+  const [open, setOpen] = useState(false);
+  const [stashes, setStashes] = useState([]);
+  const [message, setMessage] = useState('');
+  const [untracked, setUntracked] = useState(true);
+  const [busy, setBusy] = useState('');
+  const [view, setView] = useState(null); // { hash, against, diff }
+
+  const refresh = async () => {
+    if (!repoId) return;
+    try {
+      const r = await axios.get('/api/git/stashes', { params: { repoId } });
+      setStashes(r.data.stashes || []);
+    } catch (e) {
+      toast && toast(errMsg(e, 'Failed to load stashes'));
+    }
+  };
+
+  useEffect(() => { setStashes([]); setView(null); }, [repoId]);
+  useEffect(() => { if (open) refresh(); }, [open, repoId]);
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    try {
+      await fn();
+    } catch (e) {
+      if (e?.response?.data?.conflicts?.length) onConflicts && onConflicts();
+      toast && toast(errMsg(e, 'Stash operation failed'));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const push = () => run('push', async () => {
+    const r = await axios.post('/api/git/stashes', { repoId, message, includeUntracked: untracked });
+    setStashes(r.data.stashes);
+    setMessage('');
+    toast && toast(`Stashed as ${r.data.stash.ref}`);
+    onChanged && onChanged();
+  });
+
+  const act = (s, action) => run(`${action}:${s.hash}`, async () => {
+    if (action === 'drop' && !confirm(`Drop "${s.message}"? Its changes are lost.`)) return;
+    const r = action === 'drop'
+      ? await axios.delete(`/api/git/stashes/${s.index}`, { params: { repoId, hash: s.hash } })
+      : await axios.post(`/api/git/stashes/${s.index}/${action}`, { repoId, hash: s.hash });
+    setStashes(r.data.stashes);
+    if (view?.hash === s.hash && action !== 'apply') setView(null);
+    toast && toast(`${action === 'drop' ? 'Dropped' : action === 'pop' ? 'Popped' : 'Applied'} ${s.ref}`);
+    if (action !== 'drop') onChanged && onChanged();
+  });
+
+  const show = (s, against) => run(`view:${s.hash}`, async () => {
+    if (view?.hash === s.hash && view.against === against) return setView(null);
+    const r = await axios.get(`/api/git/stashes/${s.index}`, { params: { repoId, hash: s.hash, against } });
+    setView({ hash: s.hash, against, diff: r.data.diff });
+  });
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ marginBottom: open ? 12 : 0, cursor: 'pointer' }} onClick={() => setOpen(o => !o)}>
+        <span className="card-title">
+          Stashes
+          {open && stashes.length > 0 && <span className="count-badge">{stashes.length}</span>}
+        </span>
+        <span className="dropdown-arrow">{open ? '▲' : '▼'}</span>
+      </div>
+      {open && (
+        <>
+          <form style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8 }} onSubmit={(e) => { e.preventDefault(); push(); }}>
+            <input placeholder="Message (e.g. attempt A)" value={message} onChange={(e) => setMessage(e.target.value)} />
+            <label className="muted" style={{ whiteSpace: 'nowrap' }}>
+              <input type="checkbox" checked={untracked} onChange={(e) => setUntracked(e.target.checked)} /> untracked
+            </label>
+            <button type="submit" className={`btn btn-secondary ${busy === 'push' ? 'btn-loading' : ''}`} disabled={Boolean(busy)} title="Stash the working tree and start clean">
+              {busy === 'push' ? <span className="spinner" /> : 'Stash'}
+            </button>
+          </form>
+          {stashes.length === 0 && <div className="muted">No stashes.</div>}
+          {stashes.map(s => (
+            <div key={s.hash}>
+              <div className="repo">
+                <div style={{ minWidth: 0 }}>
+                  <div><strong>{s.ref}</strong> {s.message}</div>
+                  <div className="muted">{s.branch} · {new Date(s.date).toLocaleString()}</div>
+                </div>
+                <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                  <button className={`btn btn-ghost ${view?.hash === s.hash && view.against === '' ? 'active' : ''}`} onClick={() => show(s, '')} disabled={Boolean(busy)} title="Show the stashed changes">👁</button>
+                  <button className={`btn btn-ghost ${view?.hash === s.hash && view.against === 'worktree' ? 'active' : ''}`} onClick={() => show(s, 'worktree')} disabled={Boolean(busy)} title="Compare the working tree with this stash">⇆</button>
+                  <button className="btn btn-secondary" onClick={() => act(s, 'apply')} disabled={Boolean(busy)} title="Apply and keep the stash">Apply</button>
+                  <button className="btn btn-secondary" onClick={() => act(s, 'pop')} disabled={Boolean(busy)} title="Apply and drop the stash">Pop</button>
+                  <button className="btn btn-danger" onClick={() => act(s, 'drop')} disabled={Boolean(busy)} title="Delete the stash">🗑</button>
+                </div>
+              </div>
+              {view?.hash === s.hash && (
+                <div className="diff-content" style={{ marginBottom: 8 }}>
+                  <div className="muted" style={{ marginBottom: 4 }}>
+                    {view.against === 'worktree' ? `Working tree compared to ${s.ref} (tracked files)` : `Changes in ${s.ref}`}
+                  </div>
+                  {view.diff.trim() ? <DiffPretty diff={view.diff} /> : <div className="muted">No differences.</div>}
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
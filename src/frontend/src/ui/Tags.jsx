@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useToast } from './ToastContext.jsx';
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+// Release for a tag; the notes start as the commits since the previous tag
+function ReleaseModal({ repoId, tag, onClose, onDone }) {
+  const [name, setName] = useState(tag.name);
+  const [body, setBody] = useState('');
+  const [previous, setPrevious] = useState('');
+  const [draft, setDraft] = useState(false);
+  const [prerelease, setPrerelease] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!tag.local) return;
+    axios.get(`/api/git/tags/${encodeURIComponent(tag.name)}/notes`, { params: { repoId } })
+      .then(r => { setBody(r.data.notes); setPrevious(r.data.previous); })
+      .catch(e => setError(errMsg(e, 'Failed to collect the release notes')));
+  }, [repoId, tag.name]);
+
+  const submit = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const r = await axios.post('/api/git/releases', { repoId, tag: tag.name, name: name.trim(), body, draft, prerelease });
+      onDone(r.data);
+    } catch (e) {
+      setError(errMsg(e, 'Creating the release failed'));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 640 }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Release {tag.name}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          <div className="form-group">
+            <label>Title</label>
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder={tag.name} />
+          </div>
+          <div className="form-group">
+            <label>Notes <span className="muted">{previous ? `(commits since ${previous})` : tag.local ? '(all commits up to this tag)' : ''}</span></label>
+            <textarea rows={12} value={body} onChange={(e) => setBody(e.target.value)} style={{ width: '100%' }} />
+          </div>
+          <div className="form-group">
+            <label><input type="checkbox" checked={draft} onChange={(e) => setDraft(e.target.checked)} /> Draft</label>
+            <label><input type="checkbox" checked={prerelease} onChange={(e) => setPrerelease(e.target.checked)} /> Pre-release</label>
+          </div>
+          {!tag.remote && <p className="muted" style={{ marginBottom: 0 }}>The tag is pushed to origin first.</p>}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button className={`btn btn-primary ${busy ? 'btn-loading' : ''}`} onClick={submit} disabled={busy}>
+            {busy ? <><span className="spinner" /> Publishing...</> : 'Publish release'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DeleteTagModal({ repoId, tag, onClose, onDone }) {
+  const [local, setLocal] = useState(tag.local);
+  const [remote, setRemote] = useState(!tag.local);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const r = await axios.delete(`/api/git/tags/${encodeURIComponent(tag.name)}`, {
+        params: { repoId, local: local ? '1' : '0', remote: remote ? '1' : '0' }
+      });
+      onDone(r.data);
+    } catch (e) {
+      setError(errMsg(e, 'Deleting the tag failed'));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" style={{ maxWidth: 480 }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Delete {tag.name}</h3>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="status-bar warning" style={{ marginTop: 0, marginBottom: 12 }}>{error}</div>}
+          <div className="form-group">
+            <label><input type="checkbox" checked={local} disabled={!tag.local} onChange={(e) => setLocal(e.target.checked)} /> Local tag</label>
+            <label><input type="checkbox" checked={remote} disabled={tag.remote === false} onChange={(e) => setRemote(e.target.checked)} /> On origin</label>
+          </div>
+          {remote && <p className="muted" style={{ marginBottom: 0 }}>Anyone who already fetched the tag keeps their copy, and a release made from it loses its tag.</p>}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button className={`btn btn-danger ${busy ? 'btn-loading' : ''}`} onClick={submit} disabled={busy || !(local || remote)}>
+            {busy ? <><span className="spinner" /> Deleting...</> : 'Delete'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Tags of the repo (local and on origin): create annotated ones on a commit,
+// delete them here and/or on origin, and publish a release for one
+export function TagsPanel({ repoId, headHash }) {
+  const toast = useToast();
+  const [open, setOpen] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [releases, setReleases] = useState(false);
+  const [form, setForm] = useState({ name: '', target: '', message: '', push: true });
+  const [busy, setBusy] = useState('');
+  const [releaseFor, setReleaseFor] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+
+  const refresh = async () => {
+    if (!repoId) return;
+    try {
+      const r = await axios.get('/api/git/tags', { params: { repoId } });
+      setTags(r.data.tags || []);
+      setReleases(r.data.releases);
+    } catch (e) {
+      toast && toast(errMsg(e, 'Failed to load tags'));
+    }
+  };
+
+  useEffect(() => { setTags([]); setReleaseFor(null); setDeleting(null); }, [repoId]);
+  useEffect(() => { if (open) refresh(); }, [open, repoId]);
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    try {
+      await fn();
+    } catch (e) {
+      toast && toast(errMsg(e, 'Tag operation failed'));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  const create = () => run('create', async () => {
+    const r = await axios.post('/api/git/tags', { repoId, ...form, name: form.name.trim(), target: form.target.trim() || 'HEAD' });
+    toast && toast(r.data.warning || `Tagged ${r.data.tag.commit.slice(0, 7)} as ${r.data.tag.name}${r.data.pushed ? ' and pushed it' : ''}`);
+    setForm({ name: '', target: '', message: '', push: form.push });
+    await refresh();
+  });
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ marginBottom: open ? 12 : 0, cursor: 'pointer' }} onClick={() => setOpen(o => !o)}>
+        <span className="card-title">
+          Tags
+          {open && tags.length > 0 && <span className="count-badge">{tags.length}</span>}
+        </span>
+        <span className="dropdown-arrow">{open ? '▲' : '▼'}</span>
+      </div>
+      {open && (
+        <>
+          <form style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginBottom: 8 }} onSubmit={(e) => { e.preventDefault(); create(); }}>
+            <input style={{ flex: '1 1 100px' }} placeholder="v1.2.0" value={form.name} onChange={set('name')} />
+            <input style={{ flex: '1 1 100px' }} placeholder={`on HEAD${headHash ? ` (${headHash.slice(0, 7)})` : ''}, a branch or hash`} value={form.target} onChange={set('target')} />
+            <input style={{ flex: '2 1 200px' }} placeholder="Message" value={form.message} onChange={set('message')} />
+            <label className="muted" style={{ whiteSpace: 'nowrap' }}>
+              <input type="checkbox" checked={form.push} onChange={set('push')} /> push
+            </label>
+            <button type="submit" className={`btn btn-secondary ${busy === 'create' ? 'btn-loading' : ''}`} disabled={Boolean(busy) || !form.name.trim() || !form.message.trim()} title="Create an annotated tag">
+              {busy === 'create' ? <span className="spinner" /> : 'Tag'}
+            </button>
+            <button type="button" className="btn btn-ghost" onClick={refresh} disabled={Boolean(busy)} title="Reload">⟳</button>
+          </form>
+          {tags.length === 0 && <div className="muted">No tags.</div>}
+          {tags.map(t => (
+            <div key={t.name} className="repo">
+              <div style={{ minWidth: 0 }}>
+                <div><strong>{t.name}</strong> {t.message}</div>
+                <div className="muted">
+                  {[
+                    t.commit.slice(0, 7),
+                    t.date && new Date(t.date).toLocaleString(),
+                    t.tagger,
+                    !t.local ? 'only on origin' : t.remote === false ? 'not pushed' : '',
+                    t.annotated === false && 'lightweight'
+                  ].filter(Boolean).join(' · ')}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                {releases && (
+                  <button className="btn btn-secondary" onClick={() => setReleaseFor(t)} disabled={Boolean(busy)} title="Publish a release for this tag">Release…</button>
+                )}
+                <button className="btn btn-danger" onClick={() => setDeleting(t)} disabled={Boolean(busy)} title="Delete the tag">🗑</button>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+      {releaseFor && (
+        <ReleaseModal
+          repoId={repoId}
+          tag={releaseFor}
+          onClose={() => setReleaseFor(null)}
+          onDone={(r) => {
+            setReleaseFor(null);
+            toast && toast(r.warnings?.length ? r.warnings.join('; ') : `Released ${r.release.name}`, 'info', {
+              action: { label: 'Open', onClick: () => window.open(r.release.url, '_blank', 'noopener') }
+            });
+            refresh();
+          }}
+        />
+      )}
+      {deleting && (
+        <DeleteTagModal
+          repoId={repoId}
+          tag={deleting}
+          onClose={() => setDeleting(null)}
+          onDone={(r) => {
+            setDeleting(null);
+            toast && toast(`Deleted ${r.tag}${r.local && r.remote ? ' here and on origin' : r.remote ? ' on origin' : ''}`);
+            refresh();
+          }}
+        />
+      )}
+    </div>
+  );
+}
@@ -3,8 +3,25 @@ import { Terminal } from 'xterm';
 import { FitAddon } from 'xterm-addon-fit';
 import { WebLinksAddon } from 'xterm-addon-web-links';
 import 'xterm/css/xterm.css';
+import axios from 'axios';
+import { useToast } from './ToastContext.jsx';
 
-export default function ClaudeTerminal({ repoPath }) {
+// Reconnect backoff: 1s, 2s, 4s, ... capped at 30s
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Name shown to the other people attached to a shared session; empty means
+// the server uses the signed-in user name
+export function getDisplayName() {
+  try { return localStorage.getItem('displayName') || ''; } catch { return ''; }
+}
+
+function shareUrl(token) {
+  return `${location.origin}${location.pathname}#share?token=${encodeURIComponent(token)}`;
+}
+
+export default function ClaudeTerminal({ repoId, sessionId: initialSessionId = '', kind = 'claude', profile = '', shareToken = '', active = true, onSession, onExit }) {
+  const toast = useToast();
   const ref = useRef(null);
   const containerRef = useRef(null);
   const termRef = useRef(null);
@@ -16,6 +33,25 @@ export default function ClaudeTerminal({ repoPath }) {
   const isMountedRef = useRef(true);
   // Track WebSocket connection state to prevent orphaned connections
   const wsStateRef = useRef('closed'); // 'closed' | 'connecting' | 'open'
+  // Connection state shown in the toolbar
+  const [connState, setConnState] = useState({ state: 'connecting' }); // connecting | open | reconnecting | exited | ended
+  const [retryIn, setRetryIn] = useState(0);
+  // Who is attached and who drives (only the driver's keystrokes reach the pty).
+  // The server assigns our id; the resume key lets a reconnect keep it.
+  const clientIdRef = useRef('');
+  const resumeKeyRef = useRef('');
+  const [presence, setPresence] = useState({ driver: null, clients: [] });
+  const [sessionInfo, setSessionInfo] = useState({ id: initialSessionId, guest: Boolean(shareToken), title: '', repo: '' });
+  const [showPeople, setShowPeople] = useState(false);
+  const peopleRef = useRef(null);
+  const isDriverRef = useRef(true);
+  const ptySizeRef = useRef(null);
+  const isDriver = presence.driver === clientIdRef.current;
+  // Latest callbacks without re-running the connection effect
+  const onSessionRef = useRef(onSession);
+  const onExitRef = useRef(onExit);
+  onSessionRef.current = onSession;
+  onExitRef.current = onExit;
 
   const [showPasteModal, setShowPasteModal] = useState(false);
   const [pasteBuffer, setPasteBuffer] = useState("");
@@ -56,8 +92,14 @@ export default function ClaudeTerminal({ repoPath }) {
     })();
     const term = new Terminal({ cursorBlink: true, fontSize: baseFontSize });
     const fit = new FitAddon();
-    fitRef.current = fit;
     term.loadAddon(fit);
+    // Viewers keep the driver's pty size instead of fitting to their own pane
+    fitRef.current = {
+      fit: () => {
+        if (isDriverRef.current) fit.fit();
+        else if (ptySizeRef.current) term.resize(ptySizeRef.current.cols, ptySizeRef.current.rows);
+      }
+    };
     // Make URLs clickable - opens in new tab
     const webLinks = new WebLinksAddon((event, uri) => {
       window.open(uri, '_blank', 'noopener,noreferrer');
@@ -66,70 +108,152 @@ export default function ClaudeTerminal({ repoPath }) {
     termRef.current = term;
     term.open(ref.current);
     // Fit to container after mount
-    try { fit.fit(); } catch {}
+    try { fitRef.current.fit(); } catch {}
     // Refit on window resize
     const onResize = () => { try { fitRef.current && fitRef.current.fit(); } catch {} };
     window.addEventListener('resize', onResize);
-    term.writeln('\x1b[1;34mweb-claude\x1b[0m — attaching to Claude CLI...');
+    term.writeln(`\x1b[1;34mweb-claude\x1b[0m — attaching to ${kind === 'shell' ? 'shell' : 'Claude CLI'}...`);
 
-    // Create WebSocket with state tracking
-    const proto = (location.protocol === 'https:') ? 'wss' : 'ws';
-    wsStateRef.current = 'connecting';
-    const ws = new WebSocket(`${proto}://${location.host}/ws/terminal?repoPath=${encodeURIComponent(repoPath||'')}`);
-    wsRef.current = ws;
+    // The pty lives on the server under a session id, so a dropped socket
+    // re-attaches to it instead of starting a new process.
+    let sessionId = initialSessionId;
+    // Offset of the last output we rendered; the server replays from here.
+    // Starts unset so a fresh page gets the full scrollback.
+    let since = null;
+    let attempt = 0;
+    let retryTimer = null;
+    let exited = false;
 
-    ws.onmessage = async (ev) => {
-      // Skip if component unmounted
-      if (!isMountedRef.current) return;
-      let s;
-      if (typeof ev.data === 'string') {
-        s = ev.data;
-      } else if (ev.data instanceof Blob) {
-        s = await ev.data.text();
-      } else if (ev.data instanceof ArrayBuffer) {
-        s = new TextDecoder().decode(ev.data);
-      } else {
-        s = String(ev.data);
-      }
-      term.write(s);
+    const scheduleReconnect = () => {
+      if (!isMountedRef.current || exited || retryTimer) return;
+      const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+      attempt++;
+      setConnState({ state: 'reconnecting', retryAt: Date.now() + delay });
+      retryTimer = setTimeout(() => { retryTimer = null; connect(); }, delay);
     };
-
-    ws.onclose = () => {
-      wsStateRef.current = 'closed';
-      // Only write to terminal if still mounted
-      if (isMountedRef.current) {
-        term.writeln('\r\n[session closed]\r\n');
-      }
+    // Skip the remaining backoff when the network or the tab comes back
+    const reconnectNow = () => {
+      if (!retryTimer || document.visibilityState === 'hidden') return;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      connect();
     };
+    window.addEventListener('online', reconnectNow);
+    document.addEventListener('visibilitychange', reconnectNow);
 
-    ws.onerror = (err) => {
-      wsStateRef.current = 'closed';
-      console.error('WebSocket error:', err);
-    };
+    const connect = () => {
+      const proto = (location.protocol === 'https:') ? 'wss' : 'ws';
+      const params = new URLSearchParams({ repoId: repoId || '', kind, name: getDisplayName() });
+      if (resumeKeyRef.current) params.set('resume', resumeKeyRef.current);
+      if (profile) params.set('profile', profile);
+      if (shareToken) params.set('share', shareToken);
+      else if (sessionId) params.set('sessionId', sessionId);
+      if ((sessionId || shareToken) && since !== null) params.set('since', String(since));
+      wsStateRef.current = 'connecting';
+      setConnState(s => (s.state === 'reconnecting' ? s : { state: 'connecting' }));
+      const ws = new WebSocket(`${proto}://${location.host}/ws/terminal?${params}`);
+      wsRef.current = ws;
 
-    ws.onopen = () => {
-      wsStateRef.current = 'open';
-      // Skip if component unmounted during connection
-      if (!isMountedRef.current) {
-        ws.close();
-        return;
-      }
-      // Send initial terminal size
-      try {
-        const { cols, rows } = term;
-        ws.send(JSON.stringify({ type: 'resize', cols, rows }));
-      } catch {}
+      ws.onmessage = (ev) => {
+        // Skip if component unmounted or this socket was replaced
+        if (!isMountedRef.current || wsRef.current !== ws) return;
+        let msg;
+        try { msg = JSON.parse(typeof ev.data === 'string' ? ev.data : String(ev.data)); } catch { return; }
+        if (msg.type === 'data') {
+          term.write(msg.data);
+          since = msg.end;
+        } else if (msg.type === 'session') {
+          if (sessionId && msg.id !== sessionId) {
+            term.writeln('\r\n\x1b[33m[previous session is gone — started a new one]\x1b[0m\r\n');
+          } else if (msg.truncated) {
+            term.writeln('\r\n\x1b[33m[some output was dropped from the scrollback]\x1b[0m\r\n');
+          }
+          if (msg.id !== sessionId) onSessionRef.current && onSessionRef.current(msg);
+          // Share guests are not told the session id
+          sessionId = msg.id || '';
+          clientIdRef.current = msg.you;
+          resumeKeyRef.current = msg.resume || '';
+          if (!msg.resumed) since = null;
+          ptySizeRef.current = { cols: msg.cols, rows: msg.rows };
+          setSessionInfo({ id: msg.id || '', guest: Boolean(msg.guest), title: msg.title || '', repo: msg.repo || '' });
+        } else if (msg.type === 'presence') {
+          const driving = msg.driver === clientIdRef.current;
+          const wasDriving = isDriverRef.current;
+          isDriverRef.current = driving;
+          setPresence({ driver: msg.driver, clients: msg.clients || [] });
+          // Take over the pty size when handed control, mirror the driver's otherwise
+          if (driving !== wasDriving || !driving) {
+            try { fitRef.current.fit(); } catch {}
+          }
+          if (driving && !wasDriving) {
+            try { ws.send(JSON.stringify({ type: 'resize', cols: term.cols, rows: term.rows })); } catch {}
+          }
+        } else if (msg.type === 'size') {
+          ptySizeRef.current = { cols: msg.cols, rows: msg.rows };
+          if (!isDriverRef.current) { try { term.resize(msg.cols, msg.rows); } catch {} }
+        } else if (msg.type === 'error') {
+          term.writeln(`\r\n\x1b[31m[${msg.message}]\x1b[0m\r\n`);
+        } else if (msg.type === 'exit') {
+          exited = true;
+          onExitRef.current && onExitRef.current(msg.code);
+          term.writeln(`\r\n[process exited${msg.code != null ? ` with code ${msg.code}` : ''}]\r\n`);
+        }
+      };
+
+      ws.onclose = (ev) => {
+        if (wsRef.current !== ws) return;
+        wsStateRef.current = 'closed';
+        // Only react if still mounted
+        if (!isMountedRef.current) return;
+        if (exited || ev.code === 4001) {
+          setConnState({ state: 'exited' });
+          return;
+        }
+        // Share link revoked, no longer valid, repo refused, or signed out: retrying would not help
+        if (ev.code === 4003 || ev.code === 4004 || ev.code === 4403 || ev.code === 4401) {
+          if (ev.code === 4003) term.writeln('\r\n\x1b[33m[the owner stopped sharing this session]\x1b[0m\r\n');
+          if (ev.code === 4401) term.writeln('\r\n\x1b[33m[signed out]\x1b[0m\r\n');
+          setConnState({ state: 'ended' });
+          return;
+        }
+        scheduleReconnect();
+      };
+
+      ws.onerror = (err) => {
+        console.error('WebSocket error:', err);
+      };
+
+      ws.onopen = () => {
+        wsStateRef.current = 'open';
+        // Skip if component unmounted during connection
+        if (!isMountedRef.current) {
+          ws.close();
+          return;
+        }
+        attempt = 0;
+        setConnState({ state: 'open' });
+        // Send initial terminal size
+        try {
+          const { cols, rows } = term;
+          ws.send(JSON.stringify({ type: 'resize', cols, rows }));
+        } catch {}
+      };
     };
+    connect();
 
     term.onData(data => {
-      if (ws.readyState === WebSocket.OPEN) {
+      const ws = wsRef.current;
+      if (!isDriverRef.current) return;
+      if (ws && ws.readyState === WebSocket.OPEN) {
         ws.send(data);
       }
     });
 
     // Sync terminal size changes to PTY
     term.onResize(({ cols, rows }) => {
-      if (ws.readyState === WebSocket.OPEN) {
+      const ws = wsRef.current;
+      if (!isDriverRef.current) return;
+      if (ws && ws.readyState === WebSocket.OPEN) {
         try { ws.send(JSON.stringify({ type: 'resize', cols, rows })); } catch {}
       }
     });
@@ -137,20 +261,91 @@ export default function ClaudeTerminal({ repoPath }) {
     return () => {
       // Mark component as unmounted first
       isMountedRef.current = false;
+      if (retryTimer) clearTimeout(retryTimer);
+      window.removeEventListener('online', reconnectNow);
+      document.removeEventListener('visibilitychange', reconnectNow);
 
-      // Close WebSocket regardless of state
+      // Close WebSocket regardless of state; the server keeps the session alive
+      const ws = wsRef.current;
+      wsRef.current = null;
       try {
-        if (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN) {
+        if (ws && (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN)) {
           ws.close();
         }
       } catch {}
       wsStateRef.current = 'closed';
-      wsRef.current = null;
 
       window.removeEventListener('resize', onResize);
       term.dispose();
     };
-  }, [repoPath]);
+  }, [repoId, shareToken]);
+
+  const sendControl = (msg) => {
+    const ws = wsRef.current;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      try { ws.send(JSON.stringify({ type: 'control', ...msg })); } catch {}
+    }
+  };
+
+  const copyShareLink = async (mode) => {
+    try {
+      const r = await axios.post(`/api/terminals/${encodeURIComponent(sessionInfo.id)}/share`, { mode });
+      const url = shareUrl(r.data.token);
+      try {
+        await navigator.clipboard.writeText(url);
+        toast && toast(mode === 'drive' ? 'Co-drive link copied ✅' : 'View-only link copied ✅');
+      } catch {
+        prompt('Copy this share link', url);
+      }
+    } catch (e) {
+      const msg = e?.response?.data?.error || e?.message || 'Share failed';
+      toast && toast(`Share failed: ${msg}`);
+    }
+  };
+
+  const stopSharing = async () => {
+    try {
+      await axios.delete(`/api/terminals/${encodeURIComponent(sessionInfo.id)}/share`);
+      toast && toast('Sharing stopped; guests were disconnected');
+    } catch (e) {
+      const msg = e?.response?.data?.error || e?.message || 'Failed to stop sharing';
+      toast && toast(msg);
+    }
+  };
+
+  const changeName = () => {
+    const me = presence.clients.find(c => c.id === clientIdRef.current);
+    const name = (prompt('Your name, as others see it', getDisplayName() || me?.name || '') || '').trim();
+    if (!name) return;
+    try { localStorage.setItem('displayName', name); } catch {}
+    sendControl({ action: 'rename', name });
+  };
+
+  // Close the people panel when clicking outside
+  useEffect(() => {
+    if (!showPeople) return;
+    const onDown = (e) => {
+      if (peopleRef.current && !peopleRef.current.contains(e.target)) setShowPeople(false);
+    };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [showPeople]);
+
+  // Countdown label while waiting to reconnect
+  useEffect(() => {
+    if (connState.state !== 'reconnecting') return;
+    const tick = () => setRetryIn(Math.max(0, Math.ceil((connState.retryAt - Date.now()) / 1000)));
+    tick();
+    const id = setInterval(tick, 500);
+    return () => clearInterval(id);
+  }, [connState]);
+
+  // Hidden tabs keep running; refit once this one becomes visible again
+  useEffect(() => {
+    if (!active) return;
+    const id = setTimeout(() => { try { fitRef.current && fitRef.current.fit(); } catch {} }, 0);
+    return () => clearTimeout(id);
+  }, [active]);
 
   // Track fullscreen state changes and refit terminal
   useEffect(() => {
@@ -237,7 +432,7 @@ export default function ClaudeTerminal({ repoPath }) {
       className="pane"
       style={fullscreenActive
         ? { position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, height: '100vh', display: 'flex', flexDirection: 'column', zIndex: 9999, borderRadius: 0, margin: 0 }
-        : {}}
+        : (active ? {} : { display: 'none' })}
     >
       <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:8}}>
         <div className="muted" style={{display:'flex', alignItems:'center', gap: 6}}>
@@ -308,7 +503,69 @@ export default function ClaudeTerminal({ repoPath }) {
             ))}
           </span>
         </div>
-        <div>
+        <div style={{display:'flex', alignItems:'center', gap: 8}}>
+          {connState.state === 'reconnecting' && (
+            <span className="muted" title="Connection lost; the session keeps running on the server">
+              Reconnecting{retryIn > 0 ? ` in ${retryIn}s` : '…'}
+            </span>
+          )}
+          {connState.state === 'exited' && <span className="muted">Exited</span>}
+          {connState.state === 'ended' && <span className="muted">Disconnected</span>}
+          {connState.state === 'open' && !isDriver && <span className="badge gray" title="Only the driver can type">View only</span>}
+          {connState.state === 'open' && (
+            <div ref={peopleRef} style={{ position: 'relative' }}>
+              <button
+                type="button"
+                className="secondary"
+                onClick={() => setShowPeople(v => !v)}
+                title="People attached to this session"
+              >👥 {presence.clients.length}</button>
+              {showPeople && (
+                <div className="branch-dropdown" style={{ left: 'auto', right: 0, minWidth: 260 }}>
+                  <div className="branch-dropdown-header">Connected</div>
+                  <div className="branch-list">
+                    {presence.clients.map(c => {
+                      const me = c.id === clientIdRef.current;
+                      return (
+                        <div key={c.id} className={`branch-item ${c.role === 'driver' ? 'active' : ''}`}>
+                          <span className="branch-name">
+                            {c.name}{me ? ' (you)' : ''}{c.guest ? <span className="muted"> · guest</span> : null}
+                            {c.requesting ? <span className="muted"> · wants control</span> : null}
+                          </span>
+                          {c.role === 'driver' ? (
+                            <span className="badge green">driver</span>
+                          ) : (isDriver && c.canDrive ? (
+                            <button type="button" className="btn-ghost" style={{ padding: '2px 8px' }} onClick={() => sendControl({ action: 'handoff', to: c.id })}>Hand over</button>
+                          ) : (
+                            <span className="badge gray">{c.canDrive ? 'viewer' : 'view only'}</span>
+                          ))}
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <div className="branch-dropdown-footer" style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                    {!isDriver && presence.clients.find(c => c.id === clientIdRef.current)?.canDrive && (
+                      presence.clients.find(c => c.id === clientIdRef.current)?.requesting ? (
+                        <button type="button" className="btn btn-new-branch" onClick={() => sendControl({ action: 'cancel' })}>Cancel request</button>
+                      ) : (
+                        <button type="button" className="btn btn-new-branch" onClick={() => sendControl({ action: 'request' })}>
+                          {presence.driver ? 'Request control' : 'Take control'}
+                        </button>
+                      )
+                    )}
+                    {!sessionInfo.guest && (
+                      <>
+                        <button type="button" className="btn btn-new-branch" onClick={() => copyShareLink('view')}>Copy view-only link</button>
+                        <button type="button" className="btn btn-new-branch" onClick={() => copyShareLink('drive')}>Copy co-drive link</button>
+                        <button type="button" className="btn btn-new-branch" onClick={stopSharing}>Stop sharing</button>
+                      </>
+                    )}
+                    <button type="button" className="btn btn-new-branch" onClick={changeName}>Change my name</button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
           <button
             type="button"
             className={"secondary icon" + (fullscreenActive ? " active" : "")}
@@ -0,0 +1,205 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import axios from 'axios';
+import ClaudeTerminal from './Terminal.jsx';
+import { useToast } from './ToastContext.jsx';
+
+const KIND_LABELS = { claude: 'Claude', shell: 'Shell' };
+
+function TerminalTabs({ repoId }, ref) {
+  const toast = useToast();
+  // Each tab keeps a stable client-side key; the server session id may change
+  // if the session was reaped and the terminal had to spawn a fresh one.
+  const [tabs, setTabs] = useState([]);
+  const [activeKey, setActiveKey] = useState('');
+  const [showNewMenu, setShowNewMenu] = useState(false);
+  // Claude launch profiles from the server config, and this repo's default
+  const [profiles, setProfiles] = useState([]);
+  const [defaultProfile, setDefaultProfile] = useState('');
+  const keySeqRef = useRef(0);
+  const newMenuRef = useRef(null);
+
+  const toTab = (s) => ({ key: `t${++keySeqRef.current}`, id: s.id, kind: s.kind, profile: s.profile || '', title: s.title, exited: false });
+
+  useEffect(() => {
+    if (!repoId) return;
+    axios.get('/api/terminal-profiles', { params: { repoId } })
+      .then(r => { setProfiles(r.data.profiles || []); setDefaultProfile(r.data.default || ''); })
+      .catch(() => { setProfiles([]); setDefaultProfile(''); });
+  }, [repoId]);
+
+  // Load the repo's running sessions; start a Claude tab if there are none
+  useEffect(() => {
+    if (!repoId) return;
+    let cancelled = false;
+    setTabs([]);
+    setActiveKey('');
+    (async () => {
+      try {
+        const r = await axios.get('/api/terminals', { params: { repoId } });
+        let sessions = r.data.sessions || [];
+        if (sessions.length === 0) {
+          const c = await axios.post('/api/terminals', { repoId, kind: 'claude' });
+          sessions = [c.data.session];
+        }
+        if (cancelled) return;
+        const next = sessions.map(toTab);
+        setTabs(next);
+        setActiveKey(next[0]?.key || '');
+      } catch (e) {
+        if (cancelled) return;
+        // Fall back to a socket-spawned session so the terminal still works
+        const t = toTab({ id: '', kind: 'claude', title: KIND_LABELS.claude });
+        setTabs([t]);
+        setActiveKey(t.key);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [repoId]);
+
+  // Close the "new tab" menu when clicking outside
+  useEffect(() => {
+    if (!showNewMenu) return;
+    const onDown = (e) => {
+      if (newMenuRef.current && !newMenuRef.current.contains(e.target)) setShowNewMenu(false);
+    };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [showNewMenu]);
+
+  // Lets other panels hand text (review comments, issues) to Claude: it goes
+  // to the active tab if that runs Claude, otherwise to the first Claude tab
+  useImperativeHandle(ref, () => ({
+    async send(text, { submit = false } = {}) {
+      const active = tabs.find(t => t.key === activeKey);
+      const target = active?.kind === 'claude' && !active.exited ? active : tabs.find(t => t.kind === 'claude' && !t.exited && t.id);
+      if (!target?.id) throw new Error('No running Claude terminal');
+      await axios.post(`/api/terminals/${encodeURIComponent(target.id)}/input`, { text, submit });
+      setActiveKey(target.key);
+    }
+  }), [tabs, activeKey]);
+
+  const updateTab = (key, patch) => setTabs(prev => prev.map(t => (t.key === key ? { ...t, ...patch } : t)));
+
+  const openTab = async (kind, profile) => {
+    setShowNewMenu(false);
+    try {
+      const r = await axios.post('/api/terminals', { repoId, kind, profile });
+      const t = toTab(r.data.session);
+      setTabs(prev => [...prev, t]);
+      setActiveKey(t.key);
+    } catch (e) {
+      const msg = e?.response?.data?.error || e?.message || 'Failed to open terminal';
+      toast && toast(`New terminal failed: ${msg}`);
+    }
+  };
+
+  const makeDefault = async (profile) => {
+    try {
+      const r = await axios.post('/api/terminal-profiles/default', { repoId, profile });
+      setDefaultProfile(r.data.default || profile);
+      const label = profiles.find(p => p.name === profile)?.label || profile;
+      toast && toast(`New Claude terminals in this repo start with "${label}"`);
+    } catch (e) {
+      const msg = e?.response?.data?.error || e?.message || 'Failed to save default';
+      toast && toast(`Set default failed: ${msg}`);
+    }
+  };
+
+  const renameTab = async (tab) => {
+    const title = (prompt('Rename terminal', tab.title) || '').trim();
+    if (!title || title === tab.title) return;
+    try {
+      const r = await axios.patch(`/api/terminals/${encodeURIComponent(tab.id)}`, { title });
+      updateTab(tab.key, { title: r.data.session?.title || title });
+    } catch (e) {
+      const msg = e?.response?.data?.error || e?.message || 'Rename failed';
+      toast && toast(`Rename failed: ${msg}`);
+    }
+  };
+
+  const closeTab = async (tab) => {
+    if (!tab.exited && !confirm(`Close "${tab.title}"? The running process will be killed.`)) return;
+    try {
+      if (tab.id) await axios.delete(`/api/terminals/${encodeURIComponent(tab.id)}`);
+    } catch (e) {
+      // Already gone on the server; just drop the tab
+      if (e?.response?.status !== 404) {
+        const msg = e?.response?.data?.error || e?.message || 'Close failed';
+        toast && toast(`Close failed: ${msg}`);
+        return;
+      }
+    }
+    const idx = tabs.findIndex(t => t.key === tab.key);
+    const next = tabs.filter(t => t.key !== tab.key);
+    setTabs(next);
+    if (tab.key === activeKey) setActiveKey(next[Math.max(0, idx - 1)]?.key || '');
+  };
+
+  return (
+    <div>
+      <div className="term-tabs">
+        {tabs.map(t => (
+          <div
+            key={t.key}
+            className={`term-tab ${t.key === activeKey ? 'active' : ''} ${t.exited ? 'exited' : ''}`}
+            onClick={() => setActiveKey(t.key)}
+            onDoubleClick={() => renameTab(t)}
+            title={`${KIND_LABELS[t.kind] || t.kind}${t.profile ? ` (${t.profile})` : ''} — double-click to rename`}
+          >
+            <span className="term-tab-kind">{t.kind === 'shell' ? '$' : '✻'}</span>
+            <span className="term-tab-title">{t.title}</span>
+            <button
+              type="button"
+              className="term-tab-close"
+              onClick={(e) => { e.stopPropagation(); closeTab(t); }}
+              title="Close terminal"
+            >✕</button>
+          </div>
+        ))}
+        <div ref={newMenuRef} style={{ position: 'relative' }}>
+          <button type="button" className="secondary term-tab-new" onClick={() => setShowNewMenu(m => !m)} title="New terminal">+</button>
+          {showNewMenu && (
+            <div className="branch-dropdown">
+              <div className="branch-dropdown-header">Claude</div>
+              {(profiles.length ? profiles : [{ name: '', label: KIND_LABELS.claude }]).map(p => (
+                <div key={p.name || 'claude'} className="branch-item" onClick={() => openTab('claude', p.name || undefined)} title={p.command || ''}>
+                  <span className="branch-name">{p.label}{p.description ? <span className="muted"> — {p.description}</span> : null}</span>
+                  {p.name && (p.name === defaultProfile ? (
+                    <span className="check-icon" title="Default for this repo">★</span>
+                  ) : (
+                    <span
+                      className="muted"
+                      title="Use as default for this repo"
+                      onClick={(e) => { e.stopPropagation(); makeDefault(p.name); }}
+                    >☆</span>
+                  ))}
+                </div>
+              ))}
+              <div className="branch-dropdown-header">Shell</div>
+              <div className="branch-item" onClick={() => openTab('shell')}>
+                <span className="branch-name">{KIND_LABELS.shell}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+      {tabs.map(t => (
+        <ClaudeTerminal
+          key={t.key}
+          repoId={repoId}
+          sessionId={t.id}
+          kind={t.kind}
+          profile={t.profile}
+          active={t.key === activeKey}
+          onSession={(s) => updateTab(t.key, { id: s.id, profile: s.profile || '', title: s.title })}
+          onExit={() => updateTab(t.key, { exited: true })}
+        />
+      ))}
+      {tabs.length === 0 && (
+        <div className="pane"><div className="muted">No terminals open. Use + to start one.</div></div>
+      )}
+    </div>
+  );
+}
+
+export default forwardRef(TerminalTabs);
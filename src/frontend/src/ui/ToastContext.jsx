@@ -4,10 +4,12 @@ const Ctx = React.createContext(() => {});
 
 export function ToastProvider({ children }) {
   const [items, setItems] = useState([]);
-  const push = (msg, type='info') => {
+  // action: { label, onClick } adds a button (e.g. Undo); duration in ms
+  const push = (msg, type='info', { action, duration = 3000 } = {}) => {
     const id = Date.now() + Math.random();
-    setItems(prev => [...prev, { id, msg, type }]);
-    setTimeout(() => setItems(prev => prev.filter(i => i.id !== id)), 3000);
+    const dismiss = () => setItems(prev => prev.filter(i => i.id !== id));
+    setItems(prev => [...prev, { id, msg, type, action, dismiss }]);
+    setTimeout(dismiss, duration);
   };
   return (
     <Ctx.Provider value={push}>
@@ -15,7 +17,12 @@ export function ToastProvider({ children }) {
       <div style={{position:'fixed',right:12,bottom:12,display:'flex',flexDirection:'column',gap:8,zIndex:9999}}>
         {items.map(i => (
           <div key={i.id} style={{background:'#111827',border:'1px solid #1f2937',padding:10,borderRadius:8,minWidth:220}}>
-            <div style={{color:'#e6edf3'}}>{i.msg}</div>
+            <div style={{display:'flex',alignItems:'center',gap:8}}>
+              <div style={{color:'#e6edf3',flex:1}}>{i.msg}</div>
+              {i.action && (
+                <button className="btn btn-secondary" onClick={() => { i.dismiss(); i.action.onClick(); }}>{i.action.label}</button>
+              )}
+            </div>
           </div>
         ))}
       </div>